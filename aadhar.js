@@ -0,0 +1,91 @@
+/* ============================================
+   Inclusive Voting App - Aadhar Numbers
+   Verhoeff checksum and masked display
+   ============================================ */
+
+// Used in the browser (every page, before script.js) and by
+// server/server.js. The last digit of an Aadhar Number is a Verhoeff check
+// digit, which catches every mistyped digit and every swap of two
+// neighbouring digits, so typos are caught before the number is looked up.
+// Aadhar Numbers are only ever shown masked, keeping the last 4 digits
+// (XXXX-XXXX-1234), on screen, to screen readers and in speech.
+
+// ============================================
+// Verhoeff Checksum
+// ============================================
+
+// Multiplication table of the dihedral group D5
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Permutation applied to a digit according to its position from the right
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Check the Verhoeff check digit of an Aadhar Number
+ * @param {string} aadhar - Aadhar number (digits only)
+ * @returns {boolean} True if the last digit matches the others
+ */
+function hasValidAadharChecksum(aadhar) {
+  if (!/^\d+$/.test(aadhar)) {
+    return false;
+  }
+  let check = 0;
+  aadhar.split('').reverse().forEach((digit, position) => {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[position % 8][Number(digit)]];
+  });
+  return check === 0;
+}
+
+// ============================================
+// Masked Display
+// ============================================
+
+/**
+ * Mask an Aadhar Number for display, keeping its last 4 digits
+ * @param {string} aadhar - Aadhar number
+ * @returns {string} e.g. "XXXX-XXXX-1234"
+ */
+function maskAadhar(aadhar) {
+  return `XXXX-XXXX-${String(aadhar || '').slice(-4)}`;
+}
+
+/**
+ * Describe a masked Aadhar Number for screen readers and speech, with its
+ * last 4 digits read one at a time
+ * @param {string} aadhar - Aadhar number
+ * @returns {string} e.g. "Aadhar Number ending in 1 2 3 4"
+ */
+function describeMaskedAadhar(aadhar) {
+  return `Aadhar Number ending in ${String(aadhar || '').slice(-4).split('').join(' ')}`;
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    hasValidAadharChecksum,
+    maskAadhar,
+    describeMaskedAadhar
+  };
+}
@@ -0,0 +1,416 @@
+/* ============================================
+   Inclusive Voting App - Audit Log
+   Append-only record of logins, verifications,
+   votes cast and officials' actions
+   ============================================ */
+
+// Used in the browser (every page, through script.js) and by
+// server/server.js. Each audit entry says what happened (the event and its
+// outcome), who it happened to (a voter's Aadhar Number or an official's
+// username), in which session, how the person acted (voice, click or
+// keyboard) and when. Entries never hold a voter's choices or receipt code:
+// a "vote cast" entry only says that the voter voted, which the voter roll
+// already records, and in which hour, so its time cannot be matched to a
+// ballot.
+//
+// Entries are chained like the ballots in ballot-log.js: each holds its
+// sequence number and the hash of the entry before it, so an entry changed
+// or removed from the middle of the log breaks the chain. The log is only
+// ever appended to; no screen or endpoint changes or deletes an entry.
+// Voters' Aadhar Numbers are kept in full but only shown masked (aadhar.js).
+const auditAadhar = typeof module !== 'undefined' && module.exports
+  ? require('./aadhar.js')
+  : { maskAadhar, describeMaskedAadhar };
+
+// ============================================
+// Audit Log Settings
+// ============================================
+const AUDIT_LOG = {
+  // Written at the top of an exported audit log
+  exportFormat: 'inclusive-voting-audit-log',
+  exportVersion: 1,
+  // Limits on what a browser may send to the server's audit log
+  maxIdLength: 64,
+  maxDetails: 12,
+  maxDetailLength: 200,
+  // Votes cast are logged to the hour
+  voteTimeUnitMs: 60 * 60 * 1000
+};
+
+// Events the audit log records, with their labels for the screen and speech
+const AUDIT_EVENTS = {
+  login: 'Voter login',
+  'login-failed': 'Failed voter login',
+  'face-enrollment': 'Face enrollment',
+  verification: 'Identity verification',
+  'vote-cast': 'Vote cast',
+  logout: 'Voter logout',
+  'official-login': 'Official login',
+  'official-login-failed': 'Failed official login',
+  'official-logout': 'Official logout',
+  'admin-action': 'Official action'
+};
+
+// How the person acted
+const AUDIT_SOURCES = {
+  voice: 'Voice command',
+  click: 'Click or touch',
+  keyboard: 'Keyboard',
+  system: 'Automatic'
+};
+
+const AUDIT_OUTCOMES = ['success', 'failure'];
+
+const AUDIT_ROLES = ['voter', 'official'];
+
+// Officials' actions done in their browser, which the server never sees
+const BROWSER_ADMIN_ACTIONS = [
+  'unlock-ballots',
+  'verify-ballot-log',
+  'export-ballot-log',
+  'import-booth-bundle',
+  'clear-booth-bundles',
+  'export-audit-log'
+];
+
+// ============================================
+// Creating Entries
+// ============================================
+
+/**
+ * Create an audit entry, ready to be chained onto the log
+ * @param {string} event - One of AUDIT_EVENTS
+ * @param {Object} options - { outcome, source, sessionId, actor, page,
+ *   details } - actor is { role, id }; details is a flat object of strings,
+ *   numbers and booleans
+ * @returns {Object} Audit entry without its chain fields
+ */
+function createAuditEntry(event, options = {}) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    outcome: options.outcome || 'success',
+    source: options.source || 'system',
+    sessionId: options.sessionId || null,
+    actor: options.actor || null,
+    page: options.page || '',
+    details: options.details || {},
+    timestamp: getAuditTimestamp(event, options.outcome || 'success')
+  };
+}
+
+/**
+ * Time an audit entry. A vote cast is only timed to the hour: an exact time
+ * could be matched to the ballot that appeared in the ballot box then.
+ * @param {string} event - One of AUDIT_EVENTS
+ * @param {string} outcome - 'success' or 'failure'
+ * @returns {string} ISO time
+ */
+function getAuditTimestamp(event, outcome) {
+  const now = Date.now();
+  if (event === 'vote-cast' && outcome === 'success') {
+    return new Date(now - (now % AUDIT_LOG.voteTimeUnitMs)).toISOString();
+  }
+  return new Date(now).toISOString();
+}
+
+/**
+ * Check an audit entry sent by a browser before the server records it
+ * @param {Object} entry - Entry from createAuditEntry
+ * @returns {Object} { valid, message, options } - options to pass to
+ *   createAuditEntry, with only the fields the log keeps
+ */
+function checkAuditEntry(entry) {
+  const fail = message => ({ valid: false, message, options: null });
+  const isShortText = value => typeof value === 'string' && value.length <= AUDIT_LOG.maxIdLength;
+  if (!entry || typeof entry !== 'object') {
+    return fail('An audit entry is required.');
+  }
+  if (!Object.prototype.hasOwnProperty.call(AUDIT_EVENTS, entry.event)) {
+    return fail('Unknown audit event.');
+  }
+  if (!AUDIT_OUTCOMES.includes(entry.outcome)) {
+    return fail('Unknown audit outcome.');
+  }
+  if (!Object.prototype.hasOwnProperty.call(AUDIT_SOURCES, entry.source)) {
+    return fail('Unknown audit source.');
+  }
+  if (entry.sessionId !== null && !isShortText(entry.sessionId)) {
+    return fail('The audit session id is not valid.');
+  }
+  if (entry.actor !== null &&
+      (!entry.actor || !AUDIT_ROLES.includes(entry.actor.role) || !isShortText(entry.actor.id))) {
+    return fail('The audit actor is not valid.');
+  }
+  if (typeof entry.page !== 'string' || entry.page.length > AUDIT_LOG.maxIdLength) {
+    return fail('The audit page is not valid.');
+  }
+
+  const details = entry.details;
+  if (!details || typeof details !== 'object' || Array.isArray(details) ||
+      Object.keys(details).length > AUDIT_LOG.maxDetails) {
+    return fail('The audit details are not valid.');
+  }
+  const flat = Object.entries(details).every(([key, value]) => key.length <= AUDIT_LOG.maxIdLength &&
+    (value === null || typeof value === 'number' || typeof value === 'boolean' ||
+      (typeof value === 'string' && value.length <= AUDIT_LOG.maxDetailLength)));
+  if (!flat) {
+    return fail('The audit details are not valid.');
+  }
+
+  return {
+    valid: true,
+    message: 'Audit entry accepted.',
+    options: {
+      outcome: entry.outcome,
+      source: entry.source,
+      sessionId: entry.sessionId,
+      actor: entry.actor && { role: entry.actor.role, id: entry.actor.id },
+      page: entry.page,
+      details
+    }
+  };
+}
+
+/**
+ * Check if a browser may add an entry to the server's audit log. The server
+ * records everything done through its endpoints itself; a browser only adds
+ * checks that failed before anything was sent (such as a liveness challenge)
+ * and officials' actions done in the browser.
+ * @param {Object} entry - Entry accepted by checkAuditEntry
+ * @returns {boolean}
+ */
+function isBrowserAuditEntry(entry) {
+  switch (entry.event) {
+    case 'verification':
+    case 'vote-cast':
+      return entry.outcome === 'failure';
+    case 'admin-action':
+      return BROWSER_ADMIN_ACTIONS.includes(entry.details.action);
+    default:
+      return false;
+  }
+}
+
+// ============================================
+// Chaining Entries
+// ============================================
+
+/**
+ * Hash an audit entry together with the hash of the entry before it
+ * @param {Object} entry - Chained audit entry
+ * @returns {Promise<string>} Hex digest
+ */
+async function getAuditEntryHash(entry) {
+  const { sequence, id, event, outcome, source, sessionId, actor, page, details, timestamp, previous } = entry;
+  const text = JSON.stringify({ sequence, id, event, outcome, source, sessionId, actor, page, details, timestamp, previous });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Link a new entry to the end of the audit log
+ * @param {Array<Object>} entries - The log so far, oldest first
+ * @param {Object} entry - Entry from createAuditEntry
+ * @returns {Promise<Object>} The entry with its sequence number, the hash of
+ *   the entry before it (null for the first) and its own hash
+ */
+async function chainAuditEntry(entries, entry) {
+  const last = entries[entries.length - 1];
+  const chained = {
+    ...entry,
+    sequence: entries.length + 1,
+    previous: last ? last.hash : null
+  };
+  chained.hash = await getAuditEntryHash(chained);
+  return chained;
+}
+
+/**
+ * Check that no entry in the audit log has been changed, removed or added
+ * out of order. Entries cut from the end of the log leave no gap, so an
+ * exported copy is the way to show the log has not been shortened since.
+ * @param {Array<Object>} entries - The whole log, oldest first
+ * @returns {Promise<Object>} { valid, count, brokenAt, message } - brokenAt
+ *   is the sequence number where the chain first breaks, or null
+ */
+async function checkAuditLog(entries) {
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const previous = index > 0 ? entries[index - 1].hash : null;
+    if (entry.sequence !== index + 1 || entry.previous !== previous || entry.hash !== await getAuditEntryHash(entry)) {
+      return {
+        valid: false,
+        count: entries.length,
+        brokenAt: index + 1,
+        message: `The audit log has been changed: the chain breaks at entry ${index + 1} of ${entries.length}.`
+      };
+    }
+  }
+  return {
+    valid: true,
+    count: entries.length,
+    brokenAt: null,
+    message: `The audit log is intact: ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}.`
+  };
+}
+
+// ============================================
+// Reading the Log
+// ============================================
+
+/**
+ * Find the audit entries that match the viewer's filters. Empty filters
+ * match everything.
+ * @param {Array<Object>} entries - Audit entries
+ * @param {Object} filters - { event, source, outcome, sessionId, actor, from,
+ *   to } - actor matches part of a username or Aadhar Number; from and to
+ *   are times Date.parse can read
+ * @returns {Array<Object>} Matching entries, in log order
+ */
+function filterAuditEntries(entries, filters = {}) {
+  const from = filters.from ? Date.parse(filters.from) : null;
+  const to = filters.to ? Date.parse(filters.to) : null;
+  const actor = (filters.actor || '').trim().toLowerCase();
+  const sessionId = (filters.sessionId || '').trim().toLowerCase();
+  return entries.filter((entry) => {
+    const time = Date.parse(entry.timestamp);
+    return (!filters.event || entry.event === filters.event) &&
+      (!filters.source || entry.source === filters.source) &&
+      (!filters.outcome || entry.outcome === filters.outcome) &&
+      (!sessionId || (entry.sessionId || '').toLowerCase().startsWith(sessionId)) &&
+      (!actor || (!!entry.actor && entry.actor.id.toLowerCase().includes(actor))) &&
+      (from === null || time >= from) &&
+      (to === null || time <= to);
+  });
+}
+
+/**
+ * Write an entry's details as text, e.g. "reason: mismatch, distance: 0.612"
+ * @param {Object} details - Entry details
+ * @returns {string}
+ */
+function formatAuditDetails(details) {
+  return Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+}
+
+/**
+ * Name who an audit entry is about, for the screen
+ * @param {Object} actor - Entry actor ({ role, id }) or null
+ * @returns {string} e.g. "voter XXXX-XXXX-1234" or "official ro-1"
+ */
+function formatAuditActor(actor) {
+  if (!actor) {
+    return '-';
+  }
+  return `${actor.role} ${actor.role === 'voter' ? auditAadhar.maskAadhar(actor.id) : actor.id}`;
+}
+
+/**
+ * Describe an audit entry in a sentence, for speech
+ * @param {Object} entry - Audit entry
+ * @returns {string} e.g. "Failed voter login for the voter with Aadhar
+ *   Number ending in 1 2 3 4 by voice command."
+ */
+function describeAuditEntry(entry) {
+  const label = AUDIT_EVENTS[entry.event] || entry.event;
+  let actor = '';
+  if (entry.actor) {
+    actor = entry.actor.role === 'voter'
+      ? ` for the voter with ${auditAadhar.describeMaskedAadhar(entry.actor.id)}`
+      : ` for ${entry.actor.role} ${entry.actor.id}`;
+  }
+  const outcome = entry.outcome === 'failure' && !/^Failed/.test(label) ? ', failed' : '';
+  let source = '';
+  if (entry.source === 'system') {
+    source = ' automatically';
+  } else if (AUDIT_SOURCES[entry.source]) {
+    source = ` by ${AUDIT_SOURCES[entry.source].toLowerCase()}`;
+  }
+  const details = formatAuditDetails(entry.details);
+  return `${label}${actor}${outcome}${source}${details ? ` (${details})` : ''}.`;
+}
+
+/**
+ * Package audit entries for download
+ * @param {Array<Object>} entries - Entries to export (all, or the filtered ones)
+ * @param {Object} filters - Filters the entries were chosen with
+ * @param {Object} integrity - Result of checkAuditLog for the whole log
+ * @returns {Object}
+ */
+function createAuditLogExport(entries, filters, integrity) {
+  return {
+    format: AUDIT_LOG.exportFormat,
+    version: AUDIT_LOG.exportVersion,
+    exportedAt: new Date().toISOString(),
+    filters,
+    integrity: { valid: integrity.valid, count: integrity.count, brokenAt: integrity.brokenAt },
+    entries
+  };
+}
+
+// ============================================
+// Action Source
+// ============================================
+
+// How the person last acted on this page: voice.js notes voice commands, and
+// clicks, touches and key presses are noticed here
+let lastActionSource = 'system';
+
+/**
+ * Note how the person last acted, for the next audit entry
+ * @param {string} source - One of AUDIT_SOURCES
+ */
+function noteActionSource(source) {
+  lastActionSource = source;
+}
+
+/**
+ * Get how the person last acted on this page
+ * @returns {string} One of AUDIT_SOURCES ('system' until they act)
+ */
+function getActionSource() {
+  return lastActionSource;
+}
+
+if (typeof document !== 'undefined') {
+  // Capture phase, so the source is noted before the page handles the action
+  document.addEventListener('pointerdown', (e) => {
+    if (e.isTrusted) {
+      noteActionSource('click');
+    }
+  }, true);
+  document.addEventListener('keydown', (e) => {
+    if (e.isTrusted && (e.key === 'Enter' || e.key === ' ')) {
+      noteActionSource('keyboard');
+    }
+  }, true);
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AUDIT_LOG,
+    AUDIT_EVENTS,
+    AUDIT_SOURCES,
+    createAuditEntry,
+    checkAuditEntry,
+    isBrowserAuditEntry,
+    chainAuditEntry,
+    checkAuditLog,
+    filterAuditEntries,
+    formatAuditDetails,
+    formatAuditActor,
+    describeAuditEntry,
+    createAuditLogExport,
+    noteActionSource,
+    getActionSource
+  };
+}
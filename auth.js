@@ -0,0 +1,142 @@
+/* ============================================
+   Inclusive Voting App - Password Hashing
+   Salted PBKDF2 password hashes using WebCrypto
+   ============================================ */
+
+// Works in the browser and in Node.js 20 or newer (server/server.js), which
+// both provide crypto.subtle, btoa and atob as globals.
+
+// ============================================
+// Hash Settings
+// ============================================
+const PASSWORD_HASH_SETTINGS = {
+  algorithm: 'PBKDF2-SHA256',
+  iterations: 310000,
+  saltBytes: 16,
+  hashBits: 256
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// ============================================
+// Encoding Helpers
+// ============================================
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// ============================================
+// Password Hashing
+// ============================================
+
+/**
+ * Derive a PBKDF2 hash from a password and salt
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} Derived hash
+ */
+async function derivePasswordHash(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    PASSWORD_HASH_SETTINGS.hashBits
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a new random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} { algorithm, iterations, salt, hash } (base64 fields)
+ */
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH_SETTINGS.saltBytes));
+  const hash = await derivePasswordHash(password, salt, PASSWORD_HASH_SETTINGS.iterations);
+  return {
+    algorithm: PASSWORD_HASH_SETTINGS.algorithm,
+    iterations: PASSWORD_HASH_SETTINGS.iterations,
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(hash)
+  };
+}
+
+/**
+ * Check a password against a stored hash record
+ * @param {string} password - Plain-text password
+ * @param {Object} record - Record produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, record) {
+  if (!record || record.algorithm !== PASSWORD_HASH_SETTINGS.algorithm) {
+    return false;
+  }
+  const expected = base64ToBytes(record.hash);
+  const actual = await derivePasswordHash(password, base64ToBytes(record.salt), record.iterations);
+
+  // Compare every byte so timing does not reveal how much matched
+  let difference = expected.length ^ actual.length;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected[i] ^ (actual[i] || 0);
+  }
+  return difference === 0;
+}
+
+/**
+ * Check that a new password meets the minimum requirements
+ * @param {string} password - Proposed password
+ * @returns {Object} { valid: boolean, message: string }
+ */
+function validateNewPassword(password) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return {
+      valid: false,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+    };
+  }
+  return { valid: true, message: 'Password accepted.' };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    bytesToBase64,
+    base64ToBytes,
+    hashPassword,
+    verifyPassword,
+    validateNewPassword
+  };
+}
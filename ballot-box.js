@@ -0,0 +1,115 @@
+/* ============================================
+   Inclusive Voting App - Ballot Box
+   Anonymous ballots, kept apart from the
+   record of who has voted
+   ============================================ */
+
+// Used in the browser (voting and results pages, through script.js) and by
+// server/server.js. Who has voted (the voter roll, the has_voted_[aadhar]
+// flags) and how they voted (the ballot box, the votes list) are stored
+// separately. A ballot holds only the selections: no Aadhar number and no
+// time it was cast. Each ballot goes in at a random position, so the order
+// of the ballot box does not match the order people voted in either.
+
+// ============================================
+// Ballots
+// ============================================
+
+// Fields of ballots stored before the voter roll was separated that could
+// identify the voter or when they voted
+const VOTER_IDENTIFYING_FIELDS = ['aadhar', 'timestamp', 'date'];
+
+/**
+ * Create an anonymous ballot
+ * @param {Object} selections - Checked selections, from checkBallotSelections
+ *   (election.js)
+ * @returns {Object} { selections }
+ */
+function createBallot(selections) {
+  return { selections };
+}
+
+/**
+ * Pick a position with a cryptographically secure random number
+ * @param {number} count - Number of positions
+ * @returns {number} Integer from 0 to count - 1
+ */
+function randomBallotIndex(count) {
+  // Reject values from the incomplete last range so every position is as likely
+  const range = 0x100000000;
+  const limit = range - (range % count);
+  const value = new Uint32Array(1);
+  do {
+    crypto.getRandomValues(value);
+  } while (value[0] >= limit);
+  return value[0] % count;
+}
+
+/**
+ * Put a ballot in the ballot box at a random position
+ * @param {Array<Object>} ballots - Ballots already cast
+ * @param {Object} ballot - Ballot from createBallot
+ * @returns {Array<Object>} New list of ballots
+ */
+function addBallotToBox(ballots, ballot) {
+  const shuffled = ballots.slice();
+  shuffled.splice(randomBallotIndex(shuffled.length + 1), 0, ballot);
+  return shuffled;
+}
+
+/**
+ * Shuffle ballots into a random order (Fisher-Yates)
+ * @param {Array<Object>} ballots - Ballots
+ * @returns {Array<Object>} New, shuffled list
+ */
+function shuffleBallots(ballots) {
+  const shuffled = ballots.slice();
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const other = randomBallotIndex(index + 1);
+    [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+  }
+  return shuffled;
+}
+
+// ============================================
+// Separating Older Ballots
+// ============================================
+
+/**
+ * Remove voter details from ballots stored before the voter roll was
+ * separated. The ballots are shuffled, since their order was the order
+ * people voted in.
+ * @param {Array<Object>} records - Stored vote records
+ * @returns {Object} { ballots, voters, changed } - voters are the Aadhar
+ *   numbers found on the records, to keep on the voter roll; changed is false
+ *   (and ballots is records) when no record had voter details
+ */
+function separateVoterRoll(records) {
+  const voters = [];
+  let changed = false;
+  const ballots = records.map((record) => {
+    if (!VOTER_IDENTIFYING_FIELDS.some(field => field in record)) {
+      return record;
+    }
+    changed = true;
+    if (record.aadhar) {
+      voters.push(record.aadhar);
+    }
+    const ballot = { ...record };
+    VOTER_IDENTIFYING_FIELDS.forEach(field => delete ballot[field]);
+    return ballot;
+  });
+  return changed ? { ballots: shuffleBallots(ballots), voters, changed } : { ballots: records, voters, changed };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createBallot,
+    addBallotToBox,
+    shuffleBallots,
+    separateVoterRoll
+  };
+}
@@ -0,0 +1,475 @@
+/* ============================================
+   Inclusive Voting App - Ballot Log
+   Hash-chained ballots with a signed checkpoint,
+   and a verifier that finds what was changed
+   ============================================ */
+
+// Used in the browser (voting and results pages, through script.js), by
+// server/server.js and by server/verify-ballot-log.js. Works with the
+// WebCrypto API that both provide as crypto.subtle.
+//
+// Every ballot in the ballot box carries a chain link: the hash of the
+// ballot before it and its own hash, which covers that previous hash and the
+// ballot's contents. The head of the chain, with the hash of every ballot, is
+// signed (ECDSA P-256) as a checkpoint each time a ballot is cast. Ballots go
+// in at random positions (see ballot-box.js), so the ballots after a new one
+// are linked again, and only the signed checkpoint says what the ballot box
+// held. The signing key stays with whoever stores the ballots: the server, or
+// the voting machine's browser when ballots are stored on the device.
+const ballotLogEncoding = typeof module !== 'undefined' && module.exports
+  ? require('./auth.js')
+  : { bytesToBase64, base64ToBytes };
+
+// ============================================
+// Ballot Log Settings
+// ============================================
+const BALLOT_LOG = {
+  signature: { name: 'ECDSA', namedCurve: 'P-256' },
+  signatureHash: 'SHA-256',
+  // Written at the top of exported ballot logs
+  exportFormat: 'inclusive-voting-ballot-log',
+  exportVersion: 1
+};
+
+// ============================================
+// Chain Links
+// ============================================
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Hash what a ballot holds, leaving out its chain link
+ * @param {Object} ballot - Ballot from the ballot box
+ * @returns {Promise<string>} Hex digest
+ */
+async function getBallotDigest(ballot) {
+  const { chain, ...contents } = ballot;
+  return sha256Hex(JSON.stringify(contents));
+}
+
+/**
+ * Work out the hash the first ballot links to, which ties the chain to
+ * one election
+ * @param {string} electionId - Election id
+ * @returns {Promise<string>} Hex digest
+ */
+async function getChainStart(electionId) {
+  return sha256Hex(`ballot-log:${electionId}`);
+}
+
+/**
+ * Work out a ballot's chain hash
+ * @param {string} previous - Chain hash of the ballot before it
+ * @param {string} digest - Digest of the ballot, from getBallotDigest
+ * @returns {Promise<string>} Hex digest
+ */
+async function getChainHash(previous, digest) {
+  return sha256Hex(previous + digest);
+}
+
+/**
+ * Link every ballot to the one before it
+ * @param {Array<Object>} ballots - Ballots in ballot box order
+ * @param {string} electionId - Election id
+ * @returns {Promise<Object>} { ballots, digests, head } - ballots with their
+ *   chain links ({ ...ballot, chain: { previous, hash } }), the digest of
+ *   each ballot and the chain hash of the last one
+ */
+async function linkBallots(ballots, electionId) {
+  let previous = await getChainStart(electionId);
+  const linked = [];
+  const digests = [];
+  for (const ballot of ballots) {
+    const { chain, ...contents } = ballot;
+    const digest = await getBallotDigest(contents);
+    const hash = await getChainHash(previous, digest);
+    linked.push({ ...contents, chain: { previous, hash } });
+    digests.push(digest);
+    previous = hash;
+  }
+  return { ballots: linked, digests, head: previous };
+}
+
+// ============================================
+// Signing Keys
+// ============================================
+
+/**
+ * Generate a key pair for signing ballot log checkpoints
+ * @param {boolean} extractable - Whether the private key can be exported
+ *   (false in the browser, where the key is kept as a CryptoKey)
+ * @returns {Promise<CryptoKeyPair>}
+ */
+async function generateBallotLogKey(extractable = false) {
+  return crypto.subtle.generateKey(BALLOT_LOG.signature, extractable, ['sign', 'verify']);
+}
+
+/**
+ * Export the public half of a signing key pair
+ * @param {CryptoKeyPair} keyPair - Key pair from generateBallotLogKey
+ * @returns {Promise<Object>} Public key as a JWK { kty, crv, x, y }
+ */
+async function exportBallotLogPublicKey(keyPair) {
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  return { kty, crv, x, y };
+}
+
+/**
+ * Work out the id of a signing public key: the first 16 hex digits of the
+ * SHA-256 hash of its coordinates. Officials can note it down to check
+ * later that a log was signed by the machine they expect.
+ * @param {Object} publicKey - Public key as a JWK
+ * @returns {Promise<string>}
+ */
+async function getBallotLogKeyId(publicKey) {
+  return (await sha256Hex(`${publicKey.x}.${publicKey.y}`)).slice(0, 16);
+}
+
+/**
+ * Import a signing key pair saved as JWKs (on the server, where the key is
+ * kept in a file)
+ * @param {Object} saved - { publicKey, privateKey } JWKs
+ * @returns {Promise<CryptoKeyPair>}
+ */
+async function importBallotLogKey(saved) {
+  return {
+    publicKey: await crypto.subtle.importKey('jwk', saved.publicKey, BALLOT_LOG.signature, true, ['verify']),
+    privateKey: await crypto.subtle.importKey('jwk', saved.privateKey, BALLOT_LOG.signature, false, ['sign'])
+  };
+}
+
+// ============================================
+// Checkpoints
+// ============================================
+
+/**
+ * Write out the parts of a checkpoint that are signed. The digests are
+ * covered through the head, which is worked out from them.
+ * @param {Object} checkpoint - Checkpoint
+ * @returns {string}
+ */
+function getCheckpointStatement(checkpoint) {
+  const { electionId, count, head, timestamp, keyId } = checkpoint;
+  return JSON.stringify({ electionId, count, head, timestamp, keyId });
+}
+
+/**
+ * Link the ballots and sign the head of the chain
+ * @param {Array<Object>} ballots - Ballots in ballot box order
+ * @param {string} electionId - Election id
+ * @param {CryptoKeyPair} keyPair - Signing key pair
+ * @returns {Promise<Object>} { ballots, checkpoint } - the linked ballots to
+ *   store, and the checkpoint { electionId, count, head, digests, timestamp,
+ *   keyId, signature } to store beside them
+ */
+async function sealBallotLog(ballots, electionId, keyPair) {
+  const linked = await linkBallots(ballots, electionId);
+  const checkpoint = {
+    electionId,
+    count: linked.ballots.length,
+    head: linked.head,
+    digests: linked.digests,
+    timestamp: new Date().toISOString(),
+    keyId: await getBallotLogKeyId(await exportBallotLogPublicKey(keyPair))
+  };
+  const signature = await crypto.subtle.sign(
+    { name: BALLOT_LOG.signature.name, hash: BALLOT_LOG.signatureHash },
+    keyPair.privateKey,
+    new TextEncoder().encode(getCheckpointStatement(checkpoint))
+  );
+  checkpoint.signature = ballotLogEncoding.bytesToBase64(new Uint8Array(signature));
+  return { ballots: linked.ballots, checkpoint };
+}
+
+/**
+ * Check a checkpoint's signature and that its digests add up to its head
+ * @param {Object} checkpoint - Checkpoint from sealBallotLog
+ * @param {Object} publicKey - Public key it should be signed with, as a JWK
+ * @param {string} electionId - Election the ballots are for
+ * @returns {Promise<Object>} { valid, message, hashes } - hashes are the
+ *   chain hashes of the signed ballots
+ */
+async function checkCheckpoint(checkpoint, publicKey, electionId) {
+  if (!checkpoint) {
+    return { valid: false, message: 'There is no signed checkpoint, so the ballots cannot be checked against one.', hashes: [] };
+  }
+  if (checkpoint.electionId !== electionId) {
+    return { valid: false, message: `The checkpoint is for another election, ${checkpoint.electionId}.`, hashes: [] };
+  }
+  if (!publicKey || checkpoint.keyId !== await getBallotLogKeyId(publicKey)) {
+    return { valid: false, message: `The checkpoint was signed with key ${checkpoint.keyId}, not the key expected.`, hashes: [] };
+  }
+
+  let signed = false;
+  try {
+    const key = await crypto.subtle.importKey('jwk', publicKey, BALLOT_LOG.signature, false, ['verify']);
+    signed = await crypto.subtle.verify(
+      { name: BALLOT_LOG.signature.name, hash: BALLOT_LOG.signatureHash },
+      key,
+      ballotLogEncoding.base64ToBytes(checkpoint.signature),
+      new TextEncoder().encode(getCheckpointStatement(checkpoint))
+    );
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) {
+    return { valid: false, message: 'The checkpoint signature is not valid: the checkpoint has been changed.', hashes: [] };
+  }
+
+  const digests = Array.isArray(checkpoint.digests) ? checkpoint.digests : [];
+  const hashes = [];
+  let previous = await getChainStart(electionId);
+  for (const digest of digests) {
+    previous = await getChainHash(previous, digest);
+    hashes.push(previous);
+  }
+  if (digests.length !== checkpoint.count || previous !== checkpoint.head) {
+    return { valid: false, message: 'The ballot hashes in the checkpoint do not match its signed head: the checkpoint has been changed.', hashes: [] };
+  }
+  return { valid: true, message: 'The checkpoint signature is valid.', hashes };
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Check the ballot box against its chain links and signed checkpoint, and
+ * find exactly which ballots were added, removed or altered since it was
+ * signed
+ * @param {Array<Object>} ballots - Ballots in ballot box order
+ * @param {Object|null} checkpoint - Checkpoint stored with the ballots
+ * @param {Object|null} publicKey - Public key the checkpoint should be signed
+ *   with, as a JWK
+ * @param {string} electionId - Election the ballots are for
+ * @returns {Promise<Object>} Report { valid, signed, message, keyId,
+ *   signedAt, total, intact, added, removed, altered, brokenLinks } - added
+ *   and altered hold { index } into the ballots, altered and removed hold
+ *   { position } in the signed log (both counted from 0), and brokenLinks
+ *   are indexes of ballots that do not link to the ballot before them
+ */
+async function checkBallotLog(ballots, checkpoint, publicKey, electionId) {
+  const digests = await Promise.all(ballots.map(getBallotDigest));
+
+  // The chain links say where ballots were changed, even without a checkpoint:
+  // a ballot whose own hash no longer matches its contents was altered
+  const start = await getChainStart(electionId);
+  const brokenLinks = [];
+  const selfAltered = [];
+  let previous = start;
+  for (let index = 0; index < ballots.length; index++) {
+    const chain = ballots[index].chain;
+    const hashMatches = Boolean(chain) && chain.hash === await getChainHash(chain.previous, digests[index]);
+    if (chain && !hashMatches) {
+      selfAltered.push(index);
+    }
+    if (!hashMatches || chain.previous !== previous) {
+      brokenLinks.push(index);
+    }
+    previous = chain ? chain.hash : null;
+  }
+
+  const signature = await checkCheckpoint(checkpoint, publicKey, electionId);
+  const report = {
+    valid: false,
+    signed: signature.valid,
+    message: signature.message,
+    keyId: checkpoint ? checkpoint.keyId : null,
+    signedAt: checkpoint ? checkpoint.timestamp : null,
+    total: ballots.length,
+    intact: 0,
+    added: [],
+    removed: [],
+    altered: [],
+    brokenLinks
+  };
+  if (!signature.valid) {
+    report.altered = selfAltered.map(index => ({ index, position: null }));
+    return report;
+  }
+
+  // Match each ballot to a signed ballot with the same digest. Two ballots
+  // can have the same digest, so each one takes the next signed position
+  // left for it: a copy of a ballot is then found as added, not intact.
+  const positions = new Map();
+  checkpoint.digests.forEach((digest, position) => {
+    if (!positions.has(digest)) {
+      positions.set(digest, []);
+    }
+    positions.get(digest).push(position);
+  });
+  const matched = new Set();
+  const unmatched = [];
+  digests.forEach((digest, index) => {
+    const left = positions.get(digest);
+    if (left && left.length > 0) {
+      matched.add(left.shift());
+      report.intact++;
+    } else {
+      unmatched.push(index);
+    }
+  });
+
+  // A ballot that is not in the signed log but still carries the chain link
+  // of a missing signed ballot is that ballot, altered. Any other is added.
+  const missing = new Map();
+  checkpoint.digests.forEach((digest, position) => {
+    if (!matched.has(position)) {
+      missing.set(signature.hashes[position], position);
+    }
+  });
+  const missingBefore = new Map(Array.from(missing.values()).map(position => [
+    position === 0 ? start : signature.hashes[position - 1],
+    position
+  ]));
+  unmatched.forEach((index) => {
+    const chain = ballots[index].chain || {};
+    let position = missing.get(chain.hash);
+    if (position === undefined && chain.previous) {
+      position = missingBefore.get(chain.previous);
+    }
+    if (position !== undefined && !matched.has(position)) {
+      matched.add(position);
+      report.altered.push({ index, position });
+    } else {
+      report.added.push({ index });
+    }
+  });
+  checkpoint.digests.forEach((digest, position) => {
+    if (!matched.has(position)) {
+      report.removed.push({ position });
+    }
+  });
+
+  report.valid = report.added.length === 0 && report.removed.length === 0 &&
+    report.altered.length === 0 && brokenLinks.length === 0;
+  report.message = report.valid
+    ? 'Every ballot matches the signed ballot log.'
+    : 'The ballot box does not match the signed ballot log.';
+  return report;
+}
+
+/**
+ * Check if a ballot is already in the ballot box. A ballot cast twice, such
+ * as a replayed request, must not go in again.
+ * @param {Array<Object>} ballots - Ballots in the ballot box
+ * @param {Object} ballot - Ballot about to be added
+ * @returns {Promise<boolean>}
+ */
+async function isBallotInBox(ballots, ballot) {
+  const digest = await getBallotDigest(ballot);
+  const digests = await Promise.all(ballots.map(getBallotDigest));
+  return digests.includes(digest);
+}
+
+/**
+ * Count things in words, e.g. "1 ballot" or "3 ballots"
+ * @param {number} count - Number
+ * @param {string} noun - Singular noun
+ * @returns {string}
+ */
+function countBallotLogItems(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describe a verification report for the screen and speech, one line per
+ * finding. Ballots are numbered from 1.
+ * @param {Object} report - Report from checkBallotLog
+ * @returns {Array<string>} Summary first, then each finding
+ */
+function describeBallotLogReport(report) {
+  const lines = [];
+  if (report.valid) {
+    lines.push(`All ${countBallotLogItems(report.total, 'ballot')} match the ballot log signed with key ${report.keyId}.`);
+    return lines;
+  }
+  lines.push(report.message);
+  if (report.signed) {
+    lines.push(`${countBallotLogItems(report.intact, 'ballot')} unchanged, ${report.added.length} added, ` +
+      `${report.removed.length} removed and ${report.altered.length} altered since it was signed with key ${report.keyId}.`);
+  }
+  report.added.forEach(({ index }) => lines.push(`Ballot ${index + 1} was added.`));
+  report.altered.forEach(({ index, position }) => lines.push(position === null
+    ? `Ballot ${index + 1} was altered.`
+    : `Ballot ${index + 1} was altered (ballot ${position + 1} in the signed log).`));
+  report.removed.forEach(({ position }) => lines.push(`Ballot ${position + 1} in the signed log was removed.`));
+  if (report.brokenLinks.length > 0) {
+    lines.push(`The chain is broken at ${report.brokenLinks.length === 1 ? 'ballot' : 'ballots'} ` +
+      `${report.brokenLinks.map(index => index + 1).join(', ')}.`);
+  }
+  return lines;
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Package a ballot log to check elsewhere, for example with
+ * server/verify-ballot-log.js
+ * @param {Object} log - { electionId, ballots, checkpoint, publicKey }
+ * @returns {Object} Exported log
+ */
+function createBallotLogExport(log) {
+  return {
+    format: BALLOT_LOG.exportFormat,
+    version: BALLOT_LOG.exportVersion,
+    exportedAt: new Date().toISOString(),
+    electionId: log.electionId,
+    ballots: log.ballots,
+    checkpoint: log.checkpoint,
+    publicKey: log.publicKey
+  };
+}
+
+/**
+ * Read an exported ballot log
+ * @param {Object} data - Parsed JSON from createBallotLogExport
+ * @returns {Object} { valid, message, log }
+ */
+function readBallotLogExport(data) {
+  if (!data || data.format !== BALLOT_LOG.exportFormat) {
+    return { valid: false, message: 'This is not an exported ballot log.', log: null };
+  }
+  if (data.version !== BALLOT_LOG.exportVersion) {
+    return { valid: false, message: `Ballot log version ${data.version} is not supported.`, log: null };
+  }
+  if (typeof data.electionId !== 'string' || !Array.isArray(data.ballots)) {
+    return { valid: false, message: 'The ballot log is missing its election id or ballots.', log: null };
+  }
+  const { electionId, ballots, checkpoint = null, publicKey = null } = data;
+  return { valid: true, message: 'Ballot log read.', log: { electionId, ballots, checkpoint, publicKey } };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BALLOT_LOG,
+    getBallotDigest,
+    linkBallots,
+    generateBallotLogKey,
+    exportBallotLogPublicKey,
+    getBallotLogKeyId,
+    importBallotLogKey,
+    sealBallotLog,
+    checkCheckpoint,
+    checkBallotLog,
+    isBallotInBox,
+    describeBallotLogReport,
+    createBallotLogExport,
+    readBallotLogExport
+  };
+}
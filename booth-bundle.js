@@ -0,0 +1,274 @@
+/* ============================================
+   Inclusive Voting App - Booth Bundles
+   Signed exports of one polling booth's ballots
+   and voter roll, to count booths together
+   ============================================ */
+
+// Used in the browser (results page, through script.js) and by
+// server/server.js. Each voting machine keeps its own ballot box, so to count
+// several polling booths together an official exports a booth bundle from
+// each machine and imports them all on one results page. A bundle holds the
+// booth's encrypted ballots with their signed checkpoint (see ballot-log.js),
+// its voter roll, the election id and the machine id, and is signed with the
+// machine's ballot log key. The machine id is the id of that key, so a bundle
+// cannot claim to come from another machine.
+//
+// The voter roll travels with the ballots, but the ballots are anonymous and
+// shuffled (see ballot-box.js) and the roll is sorted, so one still cannot be
+// matched to the other. A voter on the roll of two booths voted twice: the
+// second booth's bundle is refused until an official has looked into it.
+const boothBallotLog = typeof module !== 'undefined' && module.exports
+  ? require('./ballot-log.js')
+  : { BALLOT_LOG, exportBallotLogPublicKey, getBallotLogKeyId, checkBallotLog, describeBallotLogReport };
+const boothEncoding = typeof module !== 'undefined' && module.exports
+  ? require('./auth.js')
+  : { bytesToBase64, base64ToBytes };
+const boothAadhar = typeof module !== 'undefined' && module.exports
+  ? require('./aadhar.js')
+  : { maskAadhar };
+
+// ============================================
+// Booth Bundle Settings
+// ============================================
+const BOOTH_BUNDLE = {
+  // Written at the top of every booth bundle
+  format: 'inclusive-voting-booth-bundle',
+  version: 1
+};
+
+// ============================================
+// Creating a Bundle
+// ============================================
+
+/**
+ * Write out the parts of a booth bundle that are signed. The ballots are
+ * covered through the checkpoint, which is signed with the same key.
+ * @param {Object} bundle - Booth bundle
+ * @returns {string}
+ */
+function getBoothBundleStatement(bundle) {
+  const { format, version, electionId, machineId, boothName, exportedAt, voterRoll, checkpoint } = bundle;
+  const { count, head, timestamp, signature } = checkpoint;
+  return JSON.stringify({
+    format,
+    version,
+    electionId,
+    machineId,
+    boothName,
+    exportedAt,
+    voterRoll,
+    checkpoint: { count, head, timestamp, signature }
+  });
+}
+
+/**
+ * Package and sign one booth's ballots and voter roll
+ * @param {Object} log - { electionId, ballots, checkpoint }, the booth's
+ *   signed ballot box (see getBallotLog in script.js)
+ * @param {Array<string>} voterRoll - Aadhar numbers of everyone who voted at
+ *   the booth
+ * @param {string} boothName - Name of the booth, from APP_CONFIG.booth.name
+ * @param {CryptoKeyPair} keyPair - The machine's ballot log signing key pair
+ * @returns {Promise<Object>} Booth bundle
+ */
+async function createBoothBundle(log, voterRoll, boothName, keyPair) {
+  const publicKey = await boothBallotLog.exportBallotLogPublicKey(keyPair);
+  const bundle = {
+    format: BOOTH_BUNDLE.format,
+    version: BOOTH_BUNDLE.version,
+    electionId: log.electionId,
+    machineId: await boothBallotLog.getBallotLogKeyId(publicKey),
+    boothName: boothName || '',
+    exportedAt: new Date().toISOString(),
+    // Sorted, so the roll says nothing about the order people voted in
+    voterRoll: voterRoll.slice().sort(),
+    ballots: log.ballots,
+    checkpoint: log.checkpoint,
+    publicKey
+  };
+  const signature = await crypto.subtle.sign(
+    { name: boothBallotLog.BALLOT_LOG.signature.name, hash: boothBallotLog.BALLOT_LOG.signatureHash },
+    keyPair.privateKey,
+    new TextEncoder().encode(getBoothBundleStatement(bundle))
+  );
+  bundle.signature = boothEncoding.bytesToBase64(new Uint8Array(signature));
+  return bundle;
+}
+
+// ============================================
+// Checking a Bundle
+// ============================================
+
+/**
+ * Count things in words, e.g. "1 ballot" or "3 ballots"
+ * @param {number} count - Number
+ * @param {string} noun - Singular noun
+ * @returns {string}
+ */
+function countBoothItems(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Name a booth for the screen and speech
+ * @param {Object} bundle - Booth bundle
+ * @returns {string} e.g. "Ward 12 School (4f2a9c1e0b7d6a35)"
+ */
+function describeBooth(bundle) {
+  return bundle.boothName ? `${bundle.boothName} (${bundle.machineId})` : `Machine ${bundle.machineId}`;
+}
+
+/**
+ * Read a booth bundle from an imported file
+ * @param {Object} data - Parsed JSON from createBoothBundle
+ * @returns {Object} { valid, message, bundle }
+ */
+function readBoothBundle(data) {
+  if (!data || data.format !== BOOTH_BUNDLE.format) {
+    return { valid: false, message: 'This is not a booth bundle.', bundle: null };
+  }
+  if (data.version !== BOOTH_BUNDLE.version) {
+    return { valid: false, message: `Booth bundle version ${data.version} is not supported.`, bundle: null };
+  }
+  if (typeof data.electionId !== 'string' || typeof data.machineId !== 'string' ||
+      !Array.isArray(data.ballots) || !Array.isArray(data.voterRoll) ||
+      !data.checkpoint || !data.publicKey || typeof data.signature !== 'string') {
+    return { valid: false, message: 'The booth bundle is missing its ballots, voter roll, checkpoint or signature.', bundle: null };
+  }
+  return { valid: true, message: 'Booth bundle read.', bundle: data };
+}
+
+/**
+ * Check a booth bundle's signature, and its ballots against their signed
+ * ballot log
+ * @param {Object} bundle - Booth bundle from readBoothBundle
+ * @param {string} electionId - Election being counted
+ * @returns {Promise<Object>} { valid, message, findings } - findings are the
+ *   lines of the ballot log report when the ballots do not match it
+ */
+async function checkBoothBundle(bundle, electionId) {
+  const booth = describeBooth(bundle);
+  if (bundle.electionId !== electionId) {
+    return { valid: false, message: `The bundle from ${booth} is for another election, ${bundle.electionId}.`, findings: [] };
+  }
+  if (bundle.machineId !== await boothBallotLog.getBallotLogKeyId(bundle.publicKey)) {
+    return { valid: false, message: `The bundle from ${booth} is not signed with that machine's key.`, findings: [] };
+  }
+
+  let signed = false;
+  try {
+    const key = await crypto.subtle.importKey('jwk', bundle.publicKey, boothBallotLog.BALLOT_LOG.signature, false, ['verify']);
+    signed = await crypto.subtle.verify(
+      { name: boothBallotLog.BALLOT_LOG.signature.name, hash: boothBallotLog.BALLOT_LOG.signatureHash },
+      key,
+      boothEncoding.base64ToBytes(bundle.signature),
+      new TextEncoder().encode(getBoothBundleStatement(bundle))
+    );
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) {
+    return { valid: false, message: `The signature on the bundle from ${booth} is not valid: the bundle has been changed.`, findings: [] };
+  }
+
+  const report = await boothBallotLog.checkBallotLog(bundle.ballots, bundle.checkpoint, bundle.publicKey, electionId);
+  if (!report.valid) {
+    return {
+      valid: false,
+      message: `The ballots from ${booth} do not match their signed ballot log.`,
+      findings: boothBallotLog.describeBallotLogReport(report)
+    };
+  }
+
+  // Every voter on the roll cast exactly one ballot
+  if (new Set(bundle.voterRoll).size !== bundle.voterRoll.length) {
+    return { valid: false, message: `The voter roll from ${booth} lists a voter more than once.`, findings: [] };
+  }
+  if (bundle.voterRoll.length !== bundle.ballots.length) {
+    return {
+      valid: false,
+      message: `The voter roll from ${booth} lists ${countBoothItems(bundle.voterRoll.length, 'voter')}, ` +
+        `but it has ${countBoothItems(bundle.ballots.length, 'ballot')}.`,
+      findings: []
+    };
+  }
+  return { valid: true, message: `The bundle from ${booth} is signed and its ballots match their log.`, findings: [] };
+}
+
+// ============================================
+// Importing Bundles
+// ============================================
+
+/**
+ * Check a booth bundle and add it to the bundles already imported. A newer
+ * bundle from a machine already imported replaces the older one. A bundle is
+ * refused if any of its voters are on another booth's roll, or any of its
+ * ballots are in another booth's bundle.
+ * @param {Object} data - Parsed JSON of the imported file
+ * @param {Array<Object>} bundles - Bundles already imported
+ * @param {string} electionId - Election being counted
+ * @returns {Promise<Object>} { accepted, message, findings, bundles } -
+ *   bundles is the new list (unchanged when the bundle is refused); findings
+ *   list what was wrong, such as the voters seen at two booths
+ */
+async function importBoothBundle(data, bundles, electionId) {
+  const read = readBoothBundle(data);
+  if (!read.valid) {
+    return { accepted: false, message: read.message, findings: [], bundles };
+  }
+  const { bundle } = read;
+  const check = await checkBoothBundle(bundle, electionId);
+  if (!check.valid) {
+    return { accepted: false, message: check.message, findings: check.findings, bundles };
+  }
+
+  const booth = describeBooth(bundle);
+  const previous = bundles.find(imported => imported.machineId === bundle.machineId);
+  if (previous && previous.exportedAt >= bundle.exportedAt) {
+    return { accepted: false, message: `A bundle from ${booth} exported at the same time or later is already imported.`, findings: [], bundles };
+  }
+
+  const others = bundles.filter(imported => imported !== previous);
+  const findings = [];
+  const voters = new Set(bundle.voterRoll);
+  const digests = new Set(bundle.checkpoint.digests);
+  others.forEach((other) => {
+    other.voterRoll.filter(aadhar => voters.has(aadhar)).forEach((aadhar) => {
+      findings.push(`Voter ${boothAadhar.maskAadhar(aadhar)} is also on the roll of ${describeBooth(other)}.`);
+    });
+    const shared = other.checkpoint.digests.filter(digest => digests.has(digest)).length;
+    if (shared > 0) {
+      findings.push(`${shared} ${shared === 1 ? 'ballot is' : 'ballots are'} also in the bundle from ${describeBooth(other)}.`);
+    }
+  });
+  if (findings.length > 0) {
+    return {
+      accepted: false,
+      message: `The bundle from ${booth} was not imported: some of its voters or ballots were already counted at another booth.`,
+      findings,
+      bundles
+    };
+  }
+
+  const ballots = countBoothItems(bundle.ballots.length, 'ballot');
+  return {
+    accepted: true,
+    message: previous ? `Updated ${booth} with its newer bundle: ${ballots}.` : `Imported ${booth}: ${ballots}.`,
+    findings: [],
+    bundles: [...others, bundle]
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BOOTH_BUNDLE,
+    createBoothBundle,
+    describeBooth,
+    readBoothBundle,
+    checkBoothBundle,
+    importBoothBundle
+  };
+}
@@ -0,0 +1,112 @@
+/* ============================================
+   Inclusive Voting App - Configuration
+   Deployment settings shared by all pages
+   ============================================ */
+
+// ============================================
+// App Configuration
+// ============================================
+const APP_CONFIG = {
+  storage: {
+    // Storage backend: 'local' (browser localStorage), 'indexeddb' or 'http'.
+    // Official login, the results page and the poll officer PIN are checked
+    // by the server, so they need 'http'
+    backend: 'local',
+    // Base URL of the HTTP storage service (used by the 'http' backend,
+    // see server/server.js)
+    apiBaseUrl: '/api',
+    // Database name (used by the 'indexeddb' backend)
+    indexedDbName: 'inclusive-voting'
+  },
+  session: {
+    // A voter is logged out this long after logging in, however busy
+    lifetimeMs: 20 * 60 * 1000,
+    // ...and sooner after this long without a touch, key press or voice
+    // command, so a voter who walks away from a shared booth is logged out
+    idleTimeoutMs: 3 * 60 * 1000,
+    // The voter is warned, on screen and by voice, this long before either
+    warningMs: 30 * 1000,
+    // A voter must verify their identity again this long after the last
+    // verification before they can be shown the ballot or cast it
+    verificationTtlMs: 10 * 60 * 1000
+  },
+  election: {
+    // JSON file describing the election: title, constituency, candidates and
+    // rules (see election.js). Point this at another file to run a new election.
+    // This one is made at setup with its own key (see the README); the demo
+    // elections in elections/ have published keys, so use them only to try
+    // the app
+    definitionUrl: 'elections/election.json'
+  },
+  face: {
+    // Folder the face-api.js model weights are served from
+    modelUrl: 'vendor/face-api/models/',
+    // Face detector: 'tinyFaceDetector' (fast) or 'ssdMobilenetv1' (more
+    // accurate, slower on low-end machines)
+    detector: 'tinyFaceDetector',
+    // Maximum descriptor distance accepted as the same person
+    matchThreshold: 0.6,
+    // Face detection attempts before a verification gives up, and the
+    // delay between them
+    maxAttempts: 5,
+    retryDelayMs: 2000,
+    // Time limit for one whole verification, including the liveness check
+    verifyTimeoutMs: 60000,
+    // Show the face position overlay during verification and speak hints
+    // such as "come closer" or "too dark"
+    positionGuidance: true,
+    // How a capture is compared with the enrolled set: 'best' (closest sample)
+    // or 'mean' (average distance to all samples)
+    scoring: 'best',
+    // New enrollments closer than this to another voter's face are duplicates
+    duplicateThreshold: 0.5,
+    // What to do with a duplicate: 'block' the enrollment, or 'flag' it and
+    // allow it; both are recorded for an election official to review
+    duplicatePolicy: 'block'
+  },
+  liveness: {
+    // Ask for a random blink, head turn or smile before accepting a face match
+    enabled: true,
+    // Number of different challenges per verification
+    challengeCount: 1,
+    // Time allowed to perform each challenge
+    timeoutMs: 6000
+  },
+  fallback: {
+    // Offer other ways to verify when the camera cannot be used or the face
+    // is rejected: a one-time code, or a poll officer's override PIN (kept
+    // in the server settings, see server/settings.example.json)
+    enabled: true,
+    // Number of rejected face verifications before the other ways are offered
+    // (they are offered at once if the camera cannot be used)
+    offerAfterFailures: 2,
+    // How one-time codes are delivered: 'mock-sms' or 'mock-email' (test
+    // channels that write to the fallback_outbox storage key and the console)
+    channel: 'mock-sms'
+  },
+  officials: {
+    // An official is logged out after this long (their logins for the
+    // results page are kept in the server settings, see
+    // server/settings.example.json)
+    sessionTtlMs: 8 * 60 * 60 * 1000
+  },
+  results: {
+    // How often the results page checks for new votes
+    refreshMs: 5000
+  },
+  booth: {
+    // Name of this machine's polling booth, written in the booth bundles it
+    // exports to count booths together (see booth-bundle.js). Each machine
+    // is also identified by the id of its ballot log signing key.
+    name: ''
+  }
+};
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    APP_CONFIG
+  };
+}
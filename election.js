@@ -0,0 +1,468 @@
+/* ============================================
+   Inclusive Voting App - Election Definition
+   Loads the election (title, constituency,
+   contests, candidates and rules) from a JSON file
+   ============================================ */
+
+// The election is described in a JSON file in elections/, chosen with
+// APP_CONFIG.election.definitionUrl. Used in the browser (voting, home and
+// results pages) and by server/server.js, which reads the same file.
+//
+// {
+//   "id": "general-2026",
+//   "title": "General Election 2026",
+//   "constituency": "Central Constituency",
+//   "schedule": { "opensAt", "closesAt" }, (ISO times - see schedule.js)
+//   "encryption": { "keyId", "publicKey" }, (made by server/election-keys.js -
+//                                         see ballot-crypto.js)
+//   "method": "plurality",              (optional, default for every contest)
+//   "nota": true,                       (optional, default for every contest)
+//   "contests": [{
+//     "id", "title", "method", "nota",  (method and nota optional)
+//     "candidates": [{ "number", "name", "party", "symbol", "description", "image" }]
+//   }],
+//   "rules": [{ "title", "text" }]
+// }
+//
+// A ballot has one selection per contest: { [contestId]: selection }, where
+// the selection is one candidate for a plurality contest, the approved
+// candidates for an approval contest, or the candidates in order of
+// preference for a ranked contest. In a contest that offers "None of the
+// Above", the selection can instead be { nota: true } - a deliberate vote
+// for no candidate, counted separately (see tally.js). Any contest can also
+// be left blank with { blank: true }: the voter abstains there, and the
+// ballot is counted apart from both the candidates and "None of the Above".
+
+// ============================================
+// Election Settings
+// ============================================
+const ELECTION_SETTINGS = {
+  defaultDefinitionUrl: 'elections/election.json',
+  defaultMethod: 'plurality',
+  // Offer "None of the Above" in every contest unless the definition says not to
+  defaultNota: true,
+  notaLabel: 'None of the Above',
+  blankLabel: 'Leave Blank'
+};
+
+// How a contest is voted and counted (see tally.js):
+// plurality - one candidate; approval - any number of candidates;
+// ranked - candidates in order of preference, counted by instant runoff
+const VOTING_METHODS = ['plurality', 'approval', 'ranked'];
+
+// Loaded definition, for code that cannot wait for loadElection (voice commands)
+let loadedElection = null;
+let electionPromise = null;
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check that an election definition has everything the app needs
+ * @param {Object} definition - Parsed election JSON
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateElectionDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['The election definition must be a JSON object.'] };
+  }
+  ['id', 'title', 'constituency'].forEach((field) => {
+    if (!isFilledText(definition[field])) {
+      errors.push(`"${field}" is required.`);
+    }
+  });
+  if (definition.method !== undefined && !VOTING_METHODS.includes(definition.method)) {
+    errors.push(`"method" must be one of: ${VOTING_METHODS.join(', ')}.`);
+  }
+  if (definition.nota !== undefined && typeof definition.nota !== 'boolean') {
+    errors.push('"nota" must be true or false.');
+  }
+  validateElectionSchedule(definition.schedule, errors);
+  validateElectionEncryption(definition.encryption, errors);
+
+  if (!Array.isArray(definition.contests) || definition.contests.length === 0) {
+    errors.push('"contests" must list at least one contest.');
+  } else {
+    const contestIds = new Set();
+    definition.contests.forEach((contest, index) => {
+      const label = `Contest ${index + 1}`;
+      if (!contest || typeof contest !== 'object') {
+        errors.push(`${label} must be an object.`);
+        return;
+      }
+      if (!isFilledText(contest.id)) {
+        errors.push(`${label}: "id" is required.`);
+      } else if (contestIds.has(contest.id)) {
+        errors.push(`${label}: the id "${contest.id}" is used twice.`);
+      }
+      contestIds.add(contest.id);
+      if (!isFilledText(contest.title)) {
+        errors.push(`${label}: "title" is required.`);
+      }
+      if (contest.method !== undefined && !VOTING_METHODS.includes(contest.method)) {
+        errors.push(`${label}: "method" must be one of: ${VOTING_METHODS.join(', ')}.`);
+      }
+      if (contest.nota !== undefined && typeof contest.nota !== 'boolean') {
+        errors.push(`${label}: "nota" must be true or false.`);
+      }
+      validateContestCandidates(contest.candidates, label, errors);
+    });
+  }
+
+  if (!Array.isArray(definition.rules) ||
+      !definition.rules.every(rule => rule && isFilledText(rule.title) && isFilledText(rule.text))) {
+    errors.push('"rules" must be a list of { "title", "text" } entries.');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check for a non-empty string
+ * @param {*} value - Value from the definition
+ * @returns {boolean}
+ */
+function isFilledText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check the polling window: when the poll opens and closes
+ * @param {Object} schedule - { opensAt, closesAt } from the definition
+ * @param {Array<string>} errors - Problems found are added here
+ */
+function validateElectionSchedule(schedule, errors) {
+  if (!schedule || typeof schedule !== 'object') {
+    errors.push('"schedule" with "opensAt" and "closesAt" times is required.');
+    return;
+  }
+  const times = {};
+  ['opensAt', 'closesAt'].forEach((field) => {
+    times[field] = isFilledText(schedule[field]) ? Date.parse(schedule[field]) : NaN;
+    if (Number.isNaN(times[field])) {
+      errors.push(`"schedule.${field}" must be a date and time, e.g. "2026-11-03T08:00:00+05:30".`);
+    }
+  });
+  if (times.closesAt <= times.opensAt) {
+    errors.push('"schedule.closesAt" must be after "schedule.opensAt".');
+  }
+}
+
+/**
+ * Check the public key that ballots are encrypted with
+ * @param {Object} encryption - "encryption" from the definition
+ * @param {Array<string>} errors - Problems found are added here
+ */
+function validateElectionEncryption(encryption, errors) {
+  const required = '"encryption" with the election\'s "keyId" and "publicKey" is required. Run node server/election-keys.js to make them.';
+  if (!encryption || typeof encryption !== 'object') {
+    errors.push(required);
+    return;
+  }
+  if (typeof encryption.keyId !== 'string' || !/^[0-9a-f]{16}$/.test(encryption.keyId)) {
+    errors.push('"encryption.keyId" must be the 16-character key id printed by server/election-keys.js.');
+  }
+  const publicKey = encryption.publicKey;
+  if (!publicKey || publicKey.kty !== 'RSA' || !isFilledText(publicKey.n) || !isFilledText(publicKey.e)) {
+    errors.push('"encryption.publicKey" must be the RSA public key printed by server/election-keys.js.');
+  }
+}
+
+/**
+ * Check the candidates of one contest
+ * @param {Array} candidates - Candidates from the definition
+ * @param {string} contestLabel - Contest name used in error messages
+ * @param {Array<string>} errors - Problems found are added here
+ */
+function validateContestCandidates(candidates, contestLabel, errors) {
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    errors.push(`${contestLabel}: "candidates" must list at least one candidate.`);
+    return;
+  }
+  const numbers = new Set();
+  const names = new Set();
+  candidates.forEach((candidate, index) => {
+    const label = `${contestLabel}, candidate ${index + 1}`;
+    if (!candidate || typeof candidate !== 'object') {
+      errors.push(`${label} must be an object.`);
+      return;
+    }
+    if (!Number.isInteger(candidate.number) || candidate.number < 1) {
+      errors.push(`${label}: "number" must be a whole number from 1 up.`);
+    } else if (numbers.has(candidate.number)) {
+      errors.push(`${label}: number ${candidate.number} is used twice.`);
+    }
+    numbers.add(candidate.number);
+
+    ['name', 'party', 'symbol', 'description', 'image'].forEach((field) => {
+      if (!isFilledText(candidate[field])) {
+        errors.push(`${label}: "${field}" is required.`);
+      }
+    });
+    if (names.has(candidate.name)) {
+      errors.push(`${label}: the name "${candidate.name}" is used twice.`);
+    }
+    if (isFilledText(candidate.name) &&
+        [ELECTION_SETTINGS.notaLabel.toLowerCase(), 'nota'].includes(candidate.name.trim().toLowerCase())) {
+      errors.push(`${label}: "${candidate.name}" is not a candidate - set "nota" on the contest instead.`);
+    }
+    names.add(candidate.name);
+  });
+}
+
+// ============================================
+// Loading
+// ============================================
+
+/**
+ * Get the URL of the election definition file
+ * @returns {string}
+ */
+function getElectionDefinitionUrl() {
+  const electionConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.election) || {};
+  return electionConfig.definitionUrl || ELECTION_SETTINGS.defaultDefinitionUrl;
+}
+
+/**
+ * Load and check the election definition (only once per page)
+ * @returns {Promise<Object>} Election definition, candidates sorted by number.
+ *   Rejects with a message that can be shown to the voter.
+ */
+function loadElection() {
+  if (!electionPromise) {
+    electionPromise = (async () => {
+      const url = getElectionDefinitionUrl();
+      let response;
+      try {
+        response = await fetch(url);
+      } catch (error) {
+        throw new Error('The election details could not be loaded. Please make sure the voting app server is running.');
+      }
+      if (!response.ok) {
+        throw new Error(`Election definition missing: ${url} (HTTP ${response.status}). The election has not been set up yet - please ask an election official.`);
+      }
+
+      let definition;
+      try {
+        definition = await response.json();
+      } catch (error) {
+        throw new Error(`The election definition ${url} is not valid JSON.`);
+      }
+      const check = validateElectionDefinition(definition);
+      if (!check.valid) {
+        throw new Error(`The election definition ${url} has errors: ${check.errors.join(' ')}`);
+      }
+
+      loadedElection = prepareElection(definition);
+      return loadedElection;
+    })();
+
+    // Allow another attempt after a failure
+    electionPromise.catch(() => {
+      electionPromise = null;
+    });
+  }
+  return electionPromise;
+}
+
+/**
+ * Put a checked definition into the form the app uses
+ * @param {Object} definition - Valid election definition
+ * @returns {Object} Copy with each contest's voting method and "None of the
+ *   Above" setting filled in and its candidates sorted by number
+ */
+function prepareElection(definition) {
+  const defaultMethod = definition.method || ELECTION_SETTINGS.defaultMethod;
+  const defaultNota = typeof definition.nota === 'boolean' ? definition.nota : ELECTION_SETTINGS.defaultNota;
+  return {
+    ...definition,
+    contests: definition.contests.map(contest => ({
+      ...contest,
+      method: contest.method || defaultMethod,
+      nota: typeof contest.nota === 'boolean' ? contest.nota : defaultNota,
+      candidates: [...contest.candidates].sort((a, b) => a.number - b.number)
+    }))
+  };
+}
+
+/**
+ * Get the election if it has already been loaded
+ * @returns {Object|null} Election definition, or null before loadElection finishes
+ */
+function getLoadedElection() {
+  return loadedElection;
+}
+
+// ============================================
+// Contests and Candidates
+// ============================================
+
+/**
+ * Find a contest by id
+ * @param {Object} election - Election definition
+ * @param {string} contestId - Contest id
+ * @returns {Object|null} Contest, or null if the election has no such contest
+ */
+function getElectionContest(election, contestId) {
+  return election.contests.find(contest => contest.id === contestId) || null;
+}
+
+/**
+ * Find a candidate by ballot number
+ * @param {Object} contest - Contest from the election definition
+ * @param {number} number - Candidate number
+ * @returns {Object|null} Candidate, or null if there is none with that number
+ */
+function getElectionCandidate(contest, number) {
+  return contest.candidates.find(candidate => candidate.number === number) || null;
+}
+
+/**
+ * Describe the candidate numbers for voice prompts, e.g. "1 to 4"
+ * @param {Object} contest - Contest from the election definition
+ * @returns {string}
+ */
+function describeCandidateNumbers(contest) {
+  const numbers = contest.candidates.map(candidate => candidate.number);
+  return numbers.length === 1 ? `${numbers[0]}` : `${numbers[0]} to ${numbers[numbers.length - 1]}`;
+}
+
+// ============================================
+// Ballots
+// ============================================
+
+/**
+ * Check whether a contest selection is "None of the Above"
+ * @param {*} selection - Selection for one contest
+ * @returns {boolean}
+ */
+function isNotaSelection(selection) {
+  return !!selection && typeof selection === 'object' && !Array.isArray(selection) && selection.nota === true;
+}
+
+/**
+ * Make a "None of the Above" selection
+ * @returns {Object} { nota: true }
+ */
+function createNotaSelection() {
+  return { nota: true };
+}
+
+/**
+ * Check whether a contest selection leaves the contest blank (an abstention)
+ * @param {*} selection - Selection for one contest
+ * @returns {boolean}
+ */
+function isBlankSelection(selection) {
+  return !!selection && typeof selection === 'object' && !Array.isArray(selection) && selection.blank === true;
+}
+
+/**
+ * Make a blank selection
+ * @returns {Object} { blank: true }
+ */
+function createBlankSelection() {
+  return { blank: true };
+}
+
+/**
+ * Check a ballot against the election: a selection that suits the voting
+ * method in every contest, only candidates from the ballot, and nothing else
+ * @param {Object} election - Election definition
+ * @param {Object} selections - { [contestId]: { number, name } } for plurality
+ *   contests, { [contestId]: [{ number, name }] } for approval and ranked ones,
+ *   { [contestId]: { nota: true } } for "None of the Above", or
+ *   { [contestId]: { blank: true } } for a contest left blank
+ * @returns {Object} { valid, message, selections } - selections holds the
+ *   election's own copy of each chosen candidate
+ */
+function checkBallotSelections(election, selections) {
+  if (!selections || typeof selections !== 'object' || Array.isArray(selections)) {
+    return { valid: false, message: 'The ballot has no selections.', selections: null };
+  }
+  const unknown = Object.keys(selections).filter(contestId => !getElectionContest(election, contestId));
+  if (unknown.length > 0) {
+    return { valid: false, message: `The ballot has a contest that is not in this election: ${unknown[0]}.`, selections: null };
+  }
+
+  const checked = {};
+  for (const contest of election.contests) {
+    const selected = selections[contest.id];
+    const isList = contest.method === 'approval' || contest.method === 'ranked';
+    if (!selected || (Array.isArray(selected) && selected.length === 0)) {
+      return { valid: false, message: `Please make a selection for ${contest.title}.`, selections: null };
+    }
+    if (isNotaSelection(selected)) {
+      if (!contest.nota) {
+        return { valid: false, message: `${contest.title} does not offer ${ELECTION_SETTINGS.notaLabel}.`, selections: null };
+      }
+      checked[contest.id] = createNotaSelection();
+      continue;
+    }
+    if (isBlankSelection(selected)) {
+      checked[contest.id] = createBlankSelection();
+      continue;
+    }
+    if (isList && !Array.isArray(selected)) {
+      return { valid: false, message: `The selection for ${contest.title} must be a list of candidates.`, selections: null };
+    }
+    if (!isList && Array.isArray(selected)) {
+      return { valid: false, message: `Please choose only one candidate for ${contest.title}.`, selections: null };
+    }
+
+    const chosen = isList ? selected : [selected];
+    const candidates = chosen.map(choice => choice && getElectionCandidate(contest, choice.number));
+    if (candidates.some((candidate, index) => !candidate || candidate.name !== chosen[index].name)) {
+      return { valid: false, message: `The candidate chosen for ${contest.title} is not on the ballot.`, selections: null };
+    }
+    if (new Set(candidates).size !== candidates.length) {
+      return { valid: false, message: `A candidate is chosen more than once for ${contest.title}.`, selections: null };
+    }
+
+    // Approvals have no order; rankings keep the voter's order
+    if (contest.method === 'approval') {
+      candidates.sort((a, b) => a.number - b.number);
+    }
+    checked[contest.id] = isList ? candidates : candidates[0];
+  }
+  return { valid: true, message: 'Ballot is complete.', selections: checked };
+}
+
+/**
+ * Describe how a contest is voted, for instructions and speech
+ * @param {Object} contest - Contest from the election definition
+ * @returns {string}
+ */
+function describeVotingMethod(contest) {
+  if (contest.method === 'approval') {
+    return 'Approval voting: choose every candidate you approve of.';
+  }
+  if (contest.method === 'ranked') {
+    return 'Ranked choice: rank the candidates in order of preference, as many as you like.';
+  }
+  return 'Choose one candidate.';
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ELECTION_SETTINGS,
+    VOTING_METHODS,
+    validateElectionDefinition,
+    prepareElection,
+    getElectionContest,
+    getElectionCandidate,
+    describeCandidateNumbers,
+    isNotaSelection,
+    createNotaSelection,
+    isBlankSelection,
+    createBlankSelection,
+    checkBallotSelections,
+    describeVotingMethod
+  };
+}
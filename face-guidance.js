@@ -0,0 +1,286 @@
+/* ============================================
+   Inclusive Voting App - Face Positioning Guidance
+   Live overlay and spoken hints that help voters
+   place their face in front of the camera
+   ============================================ */
+
+// Needs face-api.js and liveness.js (for computeLandmarkMetrics). Used by
+// face-verifier.js when a page gives it a canvas overlay.
+
+// ============================================
+// Guidance Settings
+// ============================================
+const FACE_GUIDANCE_SETTINGS = {
+  intervalMs: 500,        // Time between guidance checks
+  repeatMs: 5000,         // Repeat an unchanged hint after this long
+  minBrightness: 60,      // Average brightness (0-255) below which it is too dark...
+  maxBrightness: 215,     // ...and above which it is too bright
+  minFaceWidth: 0.25,     // Face width as a share of the frame: closer below this...
+  maxFaceWidth: 0.6,      // ...and further away above this
+  centerTolerance: 0.12,  // Allowed offset of the face centre from the frame centre
+  maxYawOffset: 0.12      // Allowed nose offset from the middle of the face
+};
+
+// Spoken and displayed hints, most important first
+const FACE_GUIDANCE_HINTS = {
+  'no-face': 'I cannot see your face. Please sit in front of the screen and look at it.',
+  'too-dark': 'It is too dark. Please turn on a light or face a window.',
+  'too-bright': 'There is too much light. Please move away from the bright light.',
+  'come-closer': 'Please come closer to the screen.',
+  'move-back': 'Please move back a little.',
+  'move-left': 'Please move a little to your left.',
+  'move-right': 'Please move a little to your right.',
+  'move-up': 'Please move up a little.',
+  'move-down': 'Please move down a little.',
+  'face-camera': 'Please face the camera directly.',
+  ok: 'Good. Please hold still.'
+};
+
+// High-contrast overlay colours
+const FACE_GUIDANCE_COLORS = {
+  target: '#ffffff',
+  outline: '#000000',
+  good: '#00c853',
+  adjust: '#ffab00'
+};
+
+// ============================================
+// Measurements
+// ============================================
+
+/**
+ * Average brightness of the current video frame
+ * @param {HTMLVideoElement} video - Camera video
+ * @param {HTMLCanvasElement} sampleCanvas - Small scratch canvas
+ * @returns {number} Brightness from 0 (black) to 255 (white)
+ */
+function measureFrameBrightness(video, sampleCanvas) {
+  const context = sampleCanvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, sampleCanvas.width, sampleCanvas.height);
+  const { data } = context.getImageData(0, 0, sampleCanvas.width, sampleCanvas.height);
+
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+}
+
+/**
+ * Decide which hint helps the voter most
+ * @param {Object|null} face - { box: {x, y, width, height}, positions } or null if no face was found
+ * @param {number} frameWidth - Video width in pixels
+ * @param {number} frameHeight - Video height in pixels
+ * @param {number} brightness - Frame brightness from measureFrameBrightness
+ * @returns {string} Key of FACE_GUIDANCE_HINTS
+ */
+function getFaceGuidance(face, frameWidth, frameHeight, brightness) {
+  const settings = FACE_GUIDANCE_SETTINGS;
+  if (brightness < settings.minBrightness) {
+    return 'too-dark';
+  }
+  if (!face) {
+    return 'no-face';
+  }
+  if (brightness > settings.maxBrightness) {
+    return 'too-bright';
+  }
+
+  const { box } = face;
+  const widthShare = box.width / frameWidth;
+  if (widthShare < settings.minFaceWidth) {
+    return 'come-closer';
+  }
+  if (widthShare > settings.maxFaceWidth) {
+    return 'move-back';
+  }
+
+  // The camera image is not mirrored: a face on the left of the image
+  // belongs to a voter sitting to their own right.
+  const offsetX = (box.x + box.width / 2) / frameWidth - 0.5;
+  const offsetY = (box.y + box.height / 2) / frameHeight - 0.5;
+  if (offsetX < -settings.centerTolerance) {
+    return 'move-left';
+  }
+  if (offsetX > settings.centerTolerance) {
+    return 'move-right';
+  }
+  if (offsetY < -settings.centerTolerance) {
+    return 'move-down';
+  }
+  if (offsetY > settings.centerTolerance) {
+    return 'move-up';
+  }
+
+  if (face.positions && Math.abs(computeLandmarkMetrics(face.positions).yaw - 0.5) > settings.maxYawOffset) {
+    return 'face-camera';
+  }
+  return 'ok';
+}
+
+// ============================================
+// Overlay Drawing
+// ============================================
+
+/**
+ * Draw the target frame, the detected face and the current hint
+ * @param {HTMLCanvasElement} canvas - Overlay canvas on top of the video
+ * @param {number} frameWidth - Video width in pixels
+ * @param {number} frameHeight - Video height in pixels
+ * @param {Object|null} box - Detected face box, or null
+ * @param {string} hint - Key of FACE_GUIDANCE_HINTS
+ */
+function drawFaceGuidance(canvas, frameWidth, frameHeight, box, hint) {
+  if (canvas.width !== frameWidth || canvas.height !== frameHeight) {
+    canvas.width = frameWidth;
+    canvas.height = frameHeight;
+  }
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, frameWidth, frameHeight);
+
+  // Target frame: where a well-placed face should be
+  const targetWidth = frameWidth * (FACE_GUIDANCE_SETTINGS.minFaceWidth + FACE_GUIDANCE_SETTINGS.maxFaceWidth) / 2;
+  const targetHeight = Math.min(targetWidth * 1.3, frameHeight * 0.9);
+  const targetX = (frameWidth - targetWidth) / 2;
+  const targetY = (frameHeight - targetHeight) / 2;
+  context.setLineDash([16, 10]);
+  context.lineWidth = 8;
+  context.strokeStyle = FACE_GUIDANCE_COLORS.outline;
+  context.strokeRect(targetX, targetY, targetWidth, targetHeight);
+  context.lineWidth = 4;
+  context.strokeStyle = FACE_GUIDANCE_COLORS.target;
+  context.strokeRect(targetX, targetY, targetWidth, targetHeight);
+  context.setLineDash([]);
+
+  // Detected face
+  const color = hint === 'ok' ? FACE_GUIDANCE_COLORS.good : FACE_GUIDANCE_COLORS.adjust;
+  if (box) {
+    context.lineWidth = 6;
+    context.strokeStyle = color;
+    context.strokeRect(box.x, box.y, box.width, box.height);
+  }
+
+  // Hint in large text along the bottom edge
+  const fontSize = Math.round(frameHeight / 16);
+  context.font = `bold ${fontSize}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  context.fillRect(0, frameHeight - fontSize * 2, frameWidth, fontSize * 2);
+  context.fillStyle = color;
+  context.fillText(FACE_GUIDANCE_HINTS[hint], frameWidth / 2, frameHeight - fontSize, frameWidth - 20);
+}
+
+// ============================================
+// Face Guide
+// ============================================
+
+/**
+ * Create a guide that keeps checking the face position while the camera is on
+ * @param {HTMLVideoElement} video - Camera video
+ * @param {HTMLCanvasElement} canvas - Overlay canvas on top of the video
+ * @param {Object} options - { detectorOptions, speakHints (default true), onHint(hint, message) }
+ * @returns {Object} Guide with start, stop, pause and resume methods
+ */
+function createFaceGuide(video, canvas, options = {}) {
+  const detectorOptions = options.detectorOptions || new faceapi.TinyFaceDetectorOptions();
+  const sampleCanvas = document.createElement('canvas');
+  sampleCanvas.width = 32;
+  sampleCanvas.height = 24;
+
+  let running = false;
+  let paused = false;
+  let timer = null;
+  let lastHint = null;
+  let lastSpokenHint = null;
+  let lastSpokenAt = 0;
+
+  /**
+   * Report a hint when it changes, and speak it (repeating it while it stays
+   * the same) without cutting off other announcements
+   * @param {string} hint - Key of FACE_GUIDANCE_HINTS
+   */
+  const announce = (hint) => {
+    if (hint !== lastHint && typeof options.onHint === 'function') {
+      options.onHint(hint, FACE_GUIDANCE_HINTS[hint]);
+    }
+    lastHint = hint;
+
+    const now = Date.now();
+    const due = hint !== lastSpokenHint ||
+      (hint !== 'ok' && now - lastSpokenAt > FACE_GUIDANCE_SETTINGS.repeatMs);
+    const busy = typeof speechSynthesis !== 'undefined' && speechSynthesis.speaking;
+    if (due && !busy && options.speakHints !== false && typeof speak === 'function') {
+      speak(FACE_GUIDANCE_HINTS[hint]);
+      lastSpokenHint = hint;
+      lastSpokenAt = now;
+    }
+  };
+
+  const tick = async () => {
+    if (!running) {
+      return;
+    }
+    if (!paused && video.videoWidth > 0) {
+      try {
+        const detection = await faceapi.detectSingleFace(video, detectorOptions).withFaceLandmarks();
+        if (running && !paused) {
+          const face = detection
+            ? { box: detection.detection.box, positions: detection.landmarks.positions }
+            : null;
+          const hint = getFaceGuidance(face, video.videoWidth, video.videoHeight, measureFrameBrightness(video, sampleCanvas));
+          drawFaceGuidance(canvas, video.videoWidth, video.videoHeight, face && face.box, hint);
+          announce(hint);
+        }
+      } catch (error) {
+        console.error('Face guidance error:', error);
+      }
+    }
+    if (running) {
+      timer = setTimeout(tick, FACE_GUIDANCE_SETTINGS.intervalMs);
+    }
+  };
+
+  const clearOverlay = () => {
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  };
+
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      paused = false;
+      lastHint = null;
+      lastSpokenHint = null;
+      tick();
+    },
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      clearOverlay();
+    },
+    // Pause while something else needs the voter's attention (e.g. a liveness challenge)
+    pause() {
+      paused = true;
+      clearOverlay();
+    },
+    resume() {
+      paused = false;
+      lastHint = null;
+      lastSpokenHint = null;
+    }
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FACE_GUIDANCE_HINTS,
+    getFaceGuidance,
+    createFaceGuide
+  };
+}
@@ -0,0 +1,238 @@
+/* ============================================
+   Inclusive Voting App - Face Index
+   Fast search of all enrolled faces for duplicates
+   ============================================ */
+
+// Used in the browser (script.js) and by server/server.js. All enrolled
+// templates are packed into one Float32Array so a search is a single tight
+// loop, and each distance stops being summed as soon as it passes the
+// threshold, which keeps a scan of thousands of voters to a few milliseconds.
+
+// Length of the face descriptors face-api.js computes
+const FACE_DESCRIPTOR_LENGTH = 128;
+
+// ============================================
+// Index Building
+// ============================================
+
+/**
+ * Check that a value is a face descriptor: exactly FACE_DESCRIPTOR_LENGTH
+ * finite numbers
+ * @param {*} value - Value to check, e.g. from a request body or storage
+ * @returns {boolean}
+ */
+function isFaceDescriptor(value) {
+  return (Array.isArray(value) || value instanceof Float32Array) &&
+    value.length === FACE_DESCRIPTOR_LENGTH &&
+    Array.prototype.every.call(value, n => typeof n === 'number' && Number.isFinite(n));
+}
+
+/**
+ * Pack every enrolled template into a flat index
+ * Templates that are not face descriptors (see isFaceDescriptor) are left
+ * out with a warning, so one bad entry cannot stop every enrollment.
+ * @param {Object} entries - Stored face entries keyed by aadhar
+ *   (values are { templates: number[][] } or a single legacy descriptor array)
+ * @returns {Object} { dimensions, owners: string[], vectors: Float32Array }
+ */
+function buildFaceIndex(entries) {
+  const owners = [];
+  const templates = [];
+  let skipped = 0;
+
+  Object.keys(entries).forEach((aadhar) => {
+    const entry = entries[aadhar];
+    const entryTemplates = Array.isArray(entry) ? [entry] : (entry && entry.templates) || [];
+    (Array.isArray(entryTemplates) ? entryTemplates : []).forEach((template) => {
+      if (!isFaceDescriptor(template)) {
+        skipped++;
+        return;
+      }
+      owners.push(aadhar);
+      templates.push(template);
+    });
+  });
+  if (skipped > 0) {
+    console.warn(`Face index: skipped ${skipped} stored template(s) that are not face descriptors.`);
+  }
+
+  const dimensions = FACE_DESCRIPTOR_LENGTH;
+  const vectors = new Float32Array(templates.length * dimensions);
+  templates.forEach((template, index) => {
+    vectors.set(template, index * dimensions);
+  });
+
+  return { dimensions, owners, vectors };
+}
+
+// ============================================
+// Duplicate Search
+// ============================================
+
+/**
+ * Find other voters whose enrolled face matches any of the given descriptors
+ * @param {Object} index - Index from buildFaceIndex
+ * @param {Array<ArrayLike<number>>} descriptors - Newly captured descriptors
+ * @param {Object} options - { threshold, excludeAadhar, ignoreAadhars } -
+ *   ignoreAadhars are voters an official has found to be other people
+ * @returns {Array<Object>} Matches sorted by distance: [{ aadhar, distance }]
+ *   (one entry per matching voter, with their closest distance)
+ */
+function findDuplicateFaces(index, descriptors, options = {}) {
+  const threshold = options.threshold || 0.5;
+  const limit = threshold * threshold; // Compare squared distances
+  const { dimensions, owners, vectors } = index;
+  const ignored = new Set(options.ignoreAadhars || []);
+  const closest = new Map();
+
+  descriptors.forEach((descriptor) => {
+    for (let t = 0; t < owners.length; t++) {
+      const owner = owners[t];
+      if (owner === options.excludeAadhar || ignored.has(owner)) {
+        continue;
+      }
+
+      const offset = t * dimensions;
+      let sum = 0;
+      for (let d = 0; d < dimensions && sum < limit; d++) {
+        const diff = vectors[offset + d] - descriptor[d];
+        sum += diff * diff;
+      }
+
+      if (sum < limit) {
+        const distance = Math.sqrt(sum);
+        if (!closest.has(owner) || distance < closest.get(owner)) {
+          closest.set(owner, distance);
+        }
+      }
+    }
+  });
+
+  return Array.from(closest, ([aadhar, distance]) => ({ aadhar, distance }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// ============================================
+// Enrollment Screening
+// ============================================
+
+/**
+ * Decide what to do with a new enrollment that may duplicate another voter
+ * @param {Object} index - Index from buildFaceIndex
+ * @param {string} aadhar - Aadhar number being enrolled
+ * @param {Array<ArrayLike<number>>} descriptors - Newly captured descriptors
+ * @param {Object} settings - { threshold, policy: 'block' | 'flag', reviews } -
+ *   reviews are the duplicate-face records so far, so voters an official
+ *   has cleared are not matched again (see getClearedDuplicates)
+ * @returns {Object} { allowed: boolean, flagged: boolean, matches: Array, auditRecord: Object|null }
+ */
+function screenFaceEnrollment(index, aadhar, descriptors, settings = {}) {
+  const policy = settings.policy === 'flag' ? 'flag' : 'block';
+  const matches = findDuplicateFaces(index, descriptors, {
+    threshold: settings.threshold,
+    excludeAadhar: aadhar,
+    ignoreAadhars: getClearedDuplicates(settings.reviews || [], aadhar)
+  });
+
+  if (matches.length === 0) {
+    return { allowed: true, flagged: false, matches, auditRecord: null };
+  }
+
+  const action = policy === 'block' ? 'blocked' : 'flagged';
+  return {
+    allowed: policy !== 'block',
+    flagged: true,
+    matches,
+    auditRecord: {
+      id: crypto.randomUUID(),
+      type: 'duplicate-face',
+      aadhar,
+      matches: matches.map(match => ({ aadhar: match.aadhar, distance: Number(match.distance.toFixed(4)) })),
+      action,
+      status: 'pending-review',
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// ============================================
+// Official Review
+// ============================================
+
+// What an election official can decide about a possible duplicate: the
+// faces belong to different people, or to the same person
+const FACE_REVIEW_RESOLUTIONS = ['cleared', 'confirmed'];
+
+/**
+ * Get the voters an official has found to look like a voter without being them
+ * @param {Array<Object>} reviews - Duplicate-face records
+ * @param {string} aadhar - Aadhar number being enrolled
+ * @returns {Array<string>} Aadhar numbers not to match against that voter
+ */
+function getClearedDuplicates(reviews, aadhar) {
+  const cleared = [];
+  reviews.forEach((record) => {
+    if (record.aadhar === aadhar && record.status === 'cleared') {
+      record.matches.forEach(match => cleared.push(match.aadhar));
+    }
+  });
+  return cleared;
+}
+
+/**
+ * Record an election official's decision on a possible duplicate
+ * @param {Array<Object>} reviews - Duplicate-face records
+ * @param {string} id - Id of the record to resolve
+ * @param {string} resolution - One of FACE_REVIEW_RESOLUTIONS
+ * @param {string} official - Username of the official
+ * @param {string} note - What the official checked
+ * @returns {Object} { valid, message, record, reviews } - the resolved record
+ *   and every record to store, when valid
+ */
+function resolveFaceReview(reviews, id, resolution, official, note) {
+  const record = reviews.find(item => item.id === id);
+  if (!record) {
+    return { valid: false, message: 'This review was not found.', record: null, reviews };
+  }
+  if (record.status !== 'pending-review') {
+    return { valid: false, message: 'This review has already been resolved.', record, reviews };
+  }
+  if (!FACE_REVIEW_RESOLUTIONS.includes(resolution)) {
+    return { valid: false, message: `resolution must be one of: ${FACE_REVIEW_RESOLUTIONS.join(', ')}.`, record, reviews };
+  }
+  if (typeof note !== 'string' || note.trim() === '') {
+    return { valid: false, message: 'Please note what you checked to decide.', record, reviews };
+  }
+
+  const resolved = {
+    ...record,
+    status: resolution,
+    resolvedBy: official,
+    resolvedAt: new Date().toISOString(),
+    note: note.trim()
+  };
+  return {
+    valid: true,
+    message: resolution === 'cleared'
+      ? 'Marked as different people. The voter can enroll their face.'
+      : 'Marked as the same person.',
+    record: resolved,
+    reviews: reviews.map(item => (item.id === id ? resolved : item))
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FACE_DESCRIPTOR_LENGTH,
+    isFaceDescriptor,
+    buildFaceIndex,
+    findDuplicateFaces,
+    screenFaceEnrollment,
+    FACE_REVIEW_RESOLUTIONS,
+    getClearedDuplicates,
+    resolveFaceReview
+  };
+}
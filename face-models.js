@@ -0,0 +1,197 @@
+/* ============================================
+   Inclusive Voting App - Face Model Loader
+   Loads the self-hosted face-api.js models once
+   and keeps them in the browser cache
+   ============================================ */
+
+// Needs vendor/face-api/face-api.min.js to be loaded first. Model files are
+// kept with the Cache API, so after the first page has downloaded them every
+// other page (and every later visit) loads them without the network.
+
+// ============================================
+// Model Settings
+// ============================================
+const FACE_MODEL_SETTINGS = {
+  // Cache name - change it whenever the files in vendor/face-api/models change
+  cacheName: 'face-api-models-v1',
+  defaultModelUrl: 'vendor/face-api/models/'
+};
+
+// Networks used by the app and the file name prefix of their weights.
+// Only the detector chosen in APP_CONFIG.face.detector is loaded.
+const FACE_MODELS = [
+  { net: 'tinyFaceDetector', file: 'tiny_face_detector_model', label: 'face detector', detector: true },
+  { net: 'ssdMobilenetv1', file: 'ssd_mobilenetv1_model', label: 'face detector', detector: true },
+  { net: 'faceLandmark68Net', file: 'face_landmark_68_model', label: 'face landmark model' },
+  { net: 'faceRecognitionNet', file: 'face_recognition_model', label: 'face recognition model' }
+];
+
+// Shared by every caller on the page, so the models are only loaded once
+// (keyed by detector)
+const faceModelsPromises = {};
+
+// ============================================
+// File Loading
+// ============================================
+
+/**
+ * Get the URL of the folder holding the model files
+ * @returns {string} Folder URL ending in '/'
+ */
+function getFaceModelUrl() {
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const url = faceConfig.modelUrl || FACE_MODEL_SETTINGS.defaultModelUrl;
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * List the models needed with a given face detector
+ * @param {string} detector - 'tinyFaceDetector' or 'ssdMobilenetv1'
+ * @returns {Array<Object>} Entries of FACE_MODELS
+ */
+function getRequiredFaceModels(detector) {
+  if (!FACE_MODELS.some(model => model.detector && model.net === detector)) {
+    throw new Error(`Unknown face detector "${detector}". Use "tinyFaceDetector" or "ssdMobilenetv1".`);
+  }
+  return FACE_MODELS.filter(model => !model.detector || model.net === detector);
+}
+
+/**
+ * Open the model cache (null where the Cache API is unavailable,
+ * e.g. pages not served from localhost or https)
+ * @returns {Promise<Cache|null>}
+ */
+async function openFaceModelCache() {
+  if (typeof caches === 'undefined') {
+    return null;
+  }
+  try {
+    return await caches.open(FACE_MODEL_SETTINGS.cacheName);
+  } catch (error) {
+    console.warn('Face model cache unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch a model file, from the cache when it has been downloaded before
+ * @param {string} url - File URL
+ * @param {Cache|null} cache - Model cache
+ * @returns {Promise<Object>} { response: Response, fromCache: boolean }
+ */
+async function fetchFaceModelFile(url, cache) {
+  const cached = cache ? await cache.match(url) : null;
+  if (cached) {
+    return { response: cached, fromCache: true };
+  }
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not download the face model file ${url}. Please make sure the voting app server is running.`);
+  }
+  if (!response.ok) {
+    throw new Error(`Face model file missing: ${url} (HTTP ${response.status}). The face-api.js model files must be in ${getFaceModelUrl()}.`);
+  }
+
+  if (cache) {
+    await cache.put(url, response.clone());
+  }
+  return { response, fromCache: false };
+}
+
+/**
+ * Load the weights of one network into face-api.js
+ * @param {Object} model - Entry of FACE_MODELS
+ * @param {Cache|null} cache - Model cache
+ * @returns {Promise<boolean>} True if every file came from the cache
+ */
+async function loadFaceModel(model, cache) {
+  const baseUrl = getFaceModelUrl();
+  const manifestFile = await fetchFaceModelFile(`${baseUrl}${model.file}-weights_manifest.json`, cache);
+  const manifest = await manifestFile.response.json();
+
+  // Join all weight shards in manifest order, as face-api.js does
+  const specs = [];
+  const shards = [];
+  let fromCache = manifestFile.fromCache;
+  for (const group of manifest) {
+    specs.push(...group.weights);
+    for (const shardPath of group.paths) {
+      const shardFile = await fetchFaceModelFile(`${baseUrl}${shardPath}`, cache);
+      shards.push(new Uint8Array(await shardFile.response.arrayBuffer()));
+      fromCache = fromCache && shardFile.fromCache;
+    }
+  }
+
+  const buffer = new Uint8Array(shards.reduce((total, shard) => total + shard.length, 0));
+  let offset = 0;
+  shards.forEach((shard) => {
+    buffer.set(shard, offset);
+    offset += shard.length;
+  });
+
+  try {
+    faceapi.nets[model.net].loadFromWeightMap(faceapi.tf.io.decodeWeights(buffer.buffer, specs));
+  } catch (error) {
+    // A damaged copy must not stay in the cache
+    if (cache) {
+      await caches.delete(FACE_MODEL_SETTINGS.cacheName);
+    }
+    throw new Error(`The ${model.label} files in ${baseUrl} are damaged or incomplete. Please refresh the page.`);
+  }
+  return fromCache;
+}
+
+// ============================================
+// Public Loader
+// ============================================
+
+/**
+ * Load every face-api.js model used by the app (only once per page)
+ * @param {Object} options - { detector, onProgress(loaded, total, label, fromCache) }
+ *   detector defaults to APP_CONFIG.face.detector; onProgress is called
+ *   after each model is ready
+ * @returns {Promise<void>} Rejects with a message that can be shown to the voter
+ */
+function loadFaceApiModels(options = {}) {
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const detector = options.detector || faceConfig.detector || 'tinyFaceDetector';
+
+  if (!faceModelsPromises[detector]) {
+    const promise = (async () => {
+      if (typeof faceapi === 'undefined') {
+        throw new Error('The face recognition library (vendor/face-api/face-api.min.js) could not be loaded. Please refresh the page.');
+      }
+
+      const models = getRequiredFaceModels(detector);
+      const cache = await openFaceModelCache();
+      let loaded = 0;
+      for (const model of models) {
+        const fromCache = faceapi.nets[model.net].isLoaded || await loadFaceModel(model, cache);
+        loaded++;
+        if (typeof options.onProgress === 'function') {
+          options.onProgress(loaded, models.length, model.label, fromCache);
+        }
+      }
+    })();
+
+    // Allow another attempt after a failure
+    promise.catch(() => {
+      delete faceModelsPromises[detector];
+    });
+    faceModelsPromises[detector] = promise;
+  }
+  return faceModelsPromises[detector];
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FACE_MODELS,
+    loadFaceApiModels
+  };
+}
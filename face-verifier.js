@@ -0,0 +1,412 @@
+/* ============================================
+   Inclusive Voting App - Face Verifier
+   Camera, enrollment and verification shared by
+   every page that checks a voter's face
+   ============================================ */
+
+// Needs face-api.js, face-models.js (models loaded first), liveness.js and
+// script.js, plus face-guidance.js for the positioning overlay. The verifier
+// reports what happens through events; each page decides what to show and say.
+//
+// Events (handler receives one detail object):
+//   camera-started     {}
+//   stopped            {}
+//   face-detected      {}
+//   face-missing       { attempt, maxAttempts }
+//   guidance           { hint, message }           (overlay only)
+//   liveness-challenge { challenge, prompt }
+//   pose               { index, total, pose }      (enroll)
+//   sample-captured    { index, total }            (enroll)
+//   enrolled           { samples, flagged }        (enroll)
+//   verified           { match }                   (verify)
+//   rejected           { reason, message, match }  (verify and enroll)
+
+// ============================================
+// Verifier Settings
+// ============================================
+const FACE_VERIFIER_DEFAULTS = {
+  detector: 'tinyFaceDetector',  // or 'ssdMobilenetv1'
+  matchThreshold: 0.6,
+  maxAttempts: 5,                // Detection attempts before giving up
+  retryDelayMs: 2000,            // Delay between detection attempts
+  timeoutMs: 60000,              // Time limit for one verification
+  poseSettleMs: 3000,            // Time to get into each enrollment pose
+  cameraWarmupMs: 1000,          // Let the camera adjust before detecting
+  minConfidence: 0.5,            // SsdMobilenetv1 detection confidence
+  guidance: true,                // Draw and speak positioning hints...
+  overlay: null                  // ...on this canvas over the video
+};
+
+// Message for each reason a verification or enrollment can stop
+const FACE_VERIFIER_MESSAGES = {
+  cancelled: 'Face verification cancelled.',
+  timeout: 'Face verification took too long. Please try again.',
+  'no-face': 'No face detected. Please make sure your face is in front of the camera and try again.',
+  'face-lost': 'Your face left the camera view. Please try again.',
+  'not-enrolled': 'Your face is not enrolled yet. Please complete face enrollment first.',
+  mismatch: 'Face not recognized. Please try again.',
+  inconsistent: 'The face in front of the camera changed during the check. Please try again, on your own in front of the camera.'
+};
+
+/**
+ * Combine the defaults, APP_CONFIG.face and per-page options
+ * @param {Object} options - Overrides of FACE_VERIFIER_DEFAULTS
+ * @returns {Object} Verifier settings
+ */
+function getFaceVerifierSettings(options = {}) {
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const fromConfig = {
+    detector: faceConfig.detector,
+    matchThreshold: faceConfig.matchThreshold,
+    maxAttempts: faceConfig.maxAttempts,
+    retryDelayMs: faceConfig.retryDelayMs,
+    timeoutMs: faceConfig.verifyTimeoutMs,
+    guidance: faceConfig.positionGuidance
+  };
+
+  const settings = { ...FACE_VERIFIER_DEFAULTS };
+  [fromConfig, options].forEach((source) => {
+    Object.keys(source).forEach((key) => {
+      if (source[key] !== undefined) {
+        settings[key] = source[key];
+      }
+    });
+  });
+  return settings;
+}
+
+/**
+ * Turn a getUserMedia error into a message for the voter
+ * @param {Error} error - Camera error
+ * @returns {string}
+ */
+function getCameraErrorMessage(error) {
+  let message = 'Could not access camera. ';
+  if (error.name === 'NotAllowedError') {
+    message += 'Please allow camera permissions and try again.';
+  } else if (error.name === 'NotFoundError') {
+    message += 'No camera found. Please connect a camera and try again.';
+  } else {
+    message += 'Please check your camera settings.';
+  }
+  return message;
+}
+
+/**
+ * Keep at most a number of items, spread evenly and always with the first
+ * and the last
+ * @param {Array} items - Items in order
+ * @param {number} max - Most items to keep (at least 2)
+ * @returns {Array} Items kept, in order
+ */
+function pickEvenly(items, max) {
+  if (items.length <= max) {
+    return items;
+  }
+  return Array.from({ length: max }, (_, i) => items[Math.round(i * (items.length - 1) / (max - 1))]);
+}
+
+// ============================================
+// Face Verifier
+// ============================================
+
+/**
+ * Create a face verifier for a video element
+ * @param {HTMLVideoElement} video - Video element that shows the camera
+ * @param {Object} options - Overrides of FACE_VERIFIER_DEFAULTS
+ * @returns {Object} Verifier with on, start, stop, enroll and verify methods
+ */
+function createFaceVerifier(video, options = {}) {
+  const settings = getFaceVerifierSettings(options);
+  const listeners = {};
+  let stream = null;
+  let active = false;
+  let guide = null;
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * Call every handler registered for an event
+   * @param {string} event - Event name
+   * @param {Object} detail - Event details
+   */
+  const emit = (event, detail = {}) => {
+    (listeners[event] || []).forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Face verifier "${event}" handler failed:`, error);
+      }
+    });
+  };
+
+  const getDetectorOptions = () => (settings.detector === 'ssdMobilenetv1'
+    ? new faceapi.SsdMobilenetv1Options({ minConfidence: settings.minConfidence })
+    : new faceapi.TinyFaceDetectorOptions());
+
+  const detectFace = () => faceapi
+    .detectSingleFace(video, getDetectorOptions())
+    .withFaceLandmarks()
+    .withFaceDescriptor();
+
+  /**
+   * Detect a face, retrying up to maxAttempts times
+   * @param {number} deadline - Time (ms) after which to give up
+   * @returns {Promise<Object>} { descriptor: Float32Array|null, reason: string|null }
+   */
+  const captureDescriptor = async (deadline) => {
+    for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+      if (!active) {
+        return { descriptor: null, reason: 'cancelled' };
+      }
+      if (Date.now() > deadline) {
+        return { descriptor: null, reason: 'timeout' };
+      }
+
+      const detection = await detectFace();
+      if (detection) {
+        emit('face-detected');
+        return { descriptor: detection.descriptor, reason: null };
+      }
+
+      emit('face-missing', { attempt, maxAttempts: settings.maxAttempts });
+      if (attempt < settings.maxAttempts) {
+        await wait(settings.retryDelayMs);
+      }
+    }
+    return { descriptor: null, reason: 'no-face' };
+  };
+
+  /**
+   * Build a failed result and report it
+   * @param {string} reason - Key of FACE_VERIFIER_MESSAGES (or 'liveness'/'duplicate')
+   * @param {string} message - Message for the voter (defaults to the reason's message)
+   * @param {Object} match - Match score, when faces were compared
+   * @returns {Object} { verified: false, success: false, reason, message, match }
+   */
+  const reject = (reason, message = FACE_VERIFIER_MESSAGES[reason], match = null) => {
+    emit('rejected', { reason, message, match });
+    return { verified: false, success: false, reason, message, match };
+  };
+
+  /**
+   * Capture the live face, check it is a live person and compare it with the
+   * voter's enrolled templates
+   * @param {string} aadhar - Aadhar number
+   * @returns {Promise<Object>} { verified, reason, message, match }
+   */
+  const compareLiveFace = async (aadhar) => {
+    const deadline = Date.now() + settings.timeoutMs;
+
+    if (!(await isFaceEnrolled(aadhar))) {
+      return reject('not-enrolled');
+    }
+
+    const capture = await captureDescriptor(deadline);
+    if (!capture.descriptor) {
+      return reject(capture.reason);
+    }
+
+    // Make sure a live person is in front of the camera, not a photo. Every
+    // frame of the challenge is matched too, so the face that follows the
+    // instructions must be the voter's from start to finish.
+    let descriptors = [capture.descriptor];
+    if (isLivenessEnabled()) {
+      // Positioning hints would talk over the challenge
+      if (guide) {
+        guide.pause();
+      }
+      const liveness = await runLivenessCheck(video, {
+        detectorOptions: getDetectorOptions(),
+        isCancelled: () => !active || Date.now() > deadline,
+        onChallenge: (challenge, prompt) => emit('liveness-challenge', { challenge, prompt }),
+        withDescriptors: true
+      });
+      if (guide) {
+        guide.resume();
+      }
+      if (!active) {
+        return reject('cancelled');
+      }
+      if (!liveness.passed) {
+        return Date.now() > deadline
+          ? reject('timeout')
+          : reject('liveness', `${liveness.message} Please try again.`);
+      }
+
+      // And the face seen right after the challenge
+      const liveDetection = await detectFace();
+      if (!liveDetection) {
+        return reject('face-lost');
+      }
+      descriptors = pickEvenly([capture.descriptor, ...liveness.descriptors, liveDetection.descriptor], FACE_MATCH_MAX_FRAMES);
+    }
+
+    const match = await matchEnrolledFace(aadhar, descriptors, { threshold: settings.matchThreshold });
+    if (!match) {
+      return reject('not-enrolled');
+    }
+    if (!match.isMatch) {
+      return reject(match.reason === 'inconsistent' ? 'inconsistent' : 'mismatch', undefined, match);
+    }
+
+    emit('verified', { match });
+    return { verified: true, reason: null, message: 'Face verified successfully.', match };
+  };
+
+  const verifier = {
+    settings,
+
+    /**
+     * Register an event handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event details
+     * @returns {Object} The verifier, so calls can be chained
+     */
+    on(event, handler) {
+      (listeners[event] = listeners[event] || []).push(handler);
+      return verifier;
+    },
+
+    /**
+     * Turn on the camera
+     * @returns {Promise<void>} Rejects with a message for the voter
+     */
+    async start() {
+      if (stream) {
+        return;
+      }
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { width: 640, height: 480, facingMode: 'user' }
+        });
+      } catch (error) {
+        console.error('Error accessing camera:', error);
+        throw new Error(getCameraErrorMessage(error));
+      }
+
+      video.srcObject = stream;
+      await new Promise((resolve) => {
+        video.onloadedmetadata = () => {
+          video.play();
+          resolve();
+        };
+      });
+      await wait(settings.cameraWarmupMs);
+      active = true;
+      emit('camera-started');
+
+      if (settings.guidance && settings.overlay && typeof createFaceGuide === 'function') {
+        guide = createFaceGuide(video, settings.overlay, {
+          detectorOptions: getDetectorOptions(),
+          onHint: (hint, message) => emit('guidance', { hint, message })
+        });
+        guide.start();
+      }
+    },
+
+    /**
+     * Turn off the camera and cancel any verification or enrollment in progress
+     */
+    stop() {
+      active = false;
+      if (guide) {
+        guide.stop();
+        guide = null;
+      }
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+        stream = null;
+      }
+      if (video) {
+        video.srcObject = null;
+      }
+      emit('stopped');
+    },
+
+    /**
+     * Capture one sample per pose and enroll them for a voter
+     * @param {string} aadhar - Aadhar number
+     * @param {Array<string>} poses - Instructions, one per sample
+     * @returns {Promise<Object>} { success, reason, message, samples, flagged }
+     */
+    async enroll(aadhar, poses) {
+      const samples = [];
+      for (let index = 0; index < poses.length; index++) {
+        if (!active) {
+          return reject('cancelled', 'Enrollment cancelled.');
+        }
+        emit('pose', { index, total: poses.length, pose: poses[index] });
+        await wait(settings.poseSettleMs);
+
+        const capture = await captureDescriptor(Infinity);
+        if (!capture.descriptor) {
+          return capture.reason === 'no-face'
+            ? reject('no-face', 'No face detected for this step. Please make sure your face is in front of the camera and try again.')
+            : reject(capture.reason, 'Enrollment cancelled.');
+        }
+        samples.push(capture.descriptor);
+        emit('sample-captured', { index, total: poses.length });
+      }
+
+      if (!active) {
+        return reject('cancelled', 'Enrollment cancelled.');
+      }
+      const enrollment = await enrollFaceTemplates(aadhar, samples);
+      if (!enrollment.success) {
+        return reject('duplicate', enrollment.message);
+      }
+
+      emit('enrolled', { samples: samples.length, flagged: enrollment.flagged });
+      return {
+        success: true,
+        reason: null,
+        message: enrollment.message,
+        samples: samples.length,
+        flagged: enrollment.flagged
+      };
+    },
+
+    /**
+     * Check that the live face in front of the camera belongs to a voter.
+     * Every attempt is recorded in the audit log with its match distance
+     * (by the server, when it compared the faces).
+     * @param {string} aadhar - Aadhar number
+     * @returns {Promise<Object>} { verified, reason, message, match }
+     *   reason is one of the FACE_VERIFIER_MESSAGES keys or 'liveness'; match
+     *   is { isMatch, reason } from the server, which keeps the distances to
+     *   itself, or the whole score from scoreFaceFrames without one
+     */
+    async verify(aadhar) {
+      const result = await compareLiveFace(aadhar);
+      if (result.match && isAuditedByServer('matchFace')) {
+        return result;
+      }
+      await recordAuditEvent('verification', {
+        outcome: result.verified ? 'success' : 'failure',
+        actor: { role: 'voter', id: aadhar },
+        details: {
+          method: 'face',
+          reason: result.reason,
+          distance: result.match ? Number(result.match.distance.toFixed(3)) : null,
+          frames: result.match ? result.match.frames : null,
+          threshold: settings.matchThreshold,
+          liveness: isLivenessEnabled()
+        }
+      });
+      return result;
+    }
+  };
+
+  return verifier;
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FACE_VERIFIER_DEFAULTS,
+    createFaceVerifier
+  };
+}
@@ -0,0 +1,329 @@
+/* ============================================
+   Inclusive Voting App - Fallback Verification
+   One-time codes, delivery channels and poll-officer
+   overrides for voters who cannot pass face verification
+   ============================================ */
+
+// Used in the browser (script.js) and by server/server.js. Codes and the
+// officer PIN are stored as PBKDF2 hashes like passwords, so in the browser
+// auth.js must be loaded first.
+const fallbackHashing = typeof module !== 'undefined' && module.exports
+  ? require('./auth.js')
+  : { hashPassword, verifyPassword };
+
+// ============================================
+// Fallback Settings
+// ============================================
+const FALLBACK_SETTINGS = {
+  codeLength: 6,
+  codeTtlMs: 5 * 60 * 1000,         // A code expires after 5 minutes...
+  maxCodeAttempts: 5,               // ...or after 5 wrong entries
+  passTtlMs: 15 * 60 * 1000,        // How long a successful fallback unlocks voting
+  maxCodeRequests: 3,               // Codes a voter can request...
+  codeRequestWindowMs: 15 * 60 * 1000, // ...in any 15 minutes
+  maxOfficerPinFailures: 3,         // Wrong officer PINs before the override locks...
+  officerPinWindowMs: 15 * 60 * 1000   // ...when they fall within 15 minutes
+};
+
+// Limits on repeated fallback attempts, each counted per voter and per
+// session (see checkFallbackLimit)
+const FALLBACK_LIMITS = {
+  'otp-request': {
+    limit: FALLBACK_SETTINGS.maxCodeRequests,
+    windowMs: FALLBACK_SETTINGS.codeRequestWindowMs,
+    message: 'Too many codes have been requested. Please try again in {minutes}.'
+  },
+  'officer-pin': {
+    limit: FALLBACK_SETTINGS.maxOfficerPinFailures,
+    windowMs: FALLBACK_SETTINGS.officerPinWindowMs,
+    message: 'Too many wrong officer PINs. The officer override is locked for this voter. Please try again in {minutes}.'
+  }
+};
+
+// Why a voter needed the fallback (kept in the audit log)
+const FALLBACK_REASONS = ['camera-unavailable', 'face-rejected'];
+
+// ============================================
+// One-Time Codes
+// ============================================
+
+/**
+ * Generate a random numeric one-time code
+ * @returns {string} Code with FALLBACK_SETTINGS.codeLength digits
+ */
+function generateFallbackCode() {
+  const digits = crypto.getRandomValues(new Uint32Array(FALLBACK_SETTINGS.codeLength));
+  return Array.from(digits, value => value % 10).join('');
+}
+
+/**
+ * Create the stored record for a new code (the code itself is not kept)
+ * @param {string} code - One-time code
+ * @returns {Promise<Object>} { code: hash record, expiresAt, attempts }
+ */
+async function createFallbackCodeRecord(code) {
+  return {
+    code: await fallbackHashing.hashPassword(code),
+    expiresAt: new Date(Date.now() + FALLBACK_SETTINGS.codeTtlMs).toISOString(),
+    attempts: 0
+  };
+}
+
+/**
+ * Check an entered code against its stored record
+ * @param {Object|null} record - Record from createFallbackCodeRecord
+ * @param {string} code - Code entered by the voter
+ * @returns {Promise<Object>} { valid, message, record } - record is the updated
+ *   record to store, or null when it must be deleted (used, expired or locked)
+ */
+async function checkFallbackCode(record, code) {
+  if (!record) {
+    return { valid: false, message: 'No code has been sent. Please request a new code.', record: null };
+  }
+  if (Date.now() > Date.parse(record.expiresAt)) {
+    return { valid: false, message: 'This code has expired. Please request a new code.', record: null };
+  }
+
+  if (await fallbackHashing.verifyPassword(String(code).trim(), record.code)) {
+    return { valid: true, message: 'Code accepted.', record: null };
+  }
+
+  const attempts = record.attempts + 1;
+  if (attempts >= FALLBACK_SETTINGS.maxCodeAttempts) {
+    return { valid: false, message: 'Too many wrong codes. Please request a new code.', record: null };
+  }
+  const attemptsLeft = FALLBACK_SETTINGS.maxCodeAttempts - attempts;
+  return {
+    valid: false,
+    message: `That code is not correct. You have ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`,
+    record: { ...record, attempts }
+  };
+}
+
+/**
+ * Text sent to the voter with their code
+ * @param {string} code - One-time code
+ * @returns {string}
+ */
+function formatFallbackCodeMessage(code) {
+  const minutes = Math.round(FALLBACK_SETTINGS.codeTtlMs / 60000);
+  return `Your voting verification code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`;
+}
+
+// ============================================
+// Officer Override
+// ============================================
+
+/**
+ * Check a poll officer's override PIN
+ * @param {string} pin - PIN entered by the officer
+ * @param {Object|null} officerPin - Hash record from the server settings' officerPin
+ * @returns {Promise<Object>} { valid, message }
+ */
+async function checkOfficerPin(pin, officerPin) {
+  if (!officerPin) {
+    return { valid: false, message: 'Officer override is not set up on this machine.' };
+  }
+  if (!(await fallbackHashing.verifyPassword(String(pin), officerPin))) {
+    return { valid: false, message: 'The officer PIN is not correct.' };
+  }
+  return { valid: true, message: 'Officer override accepted.' };
+}
+
+// ============================================
+// Attempt Limits
+// ============================================
+
+// Attempts are kept in one record, stored on the server (or on this device
+// without one) so a limit holds across requests and new sessions:
+// { '<kind>:<subject>': [ISO times] }, where the subject is 'voter:<aadhar>'
+// or 'session:<id>'. Only the times still inside their window are kept.
+
+/**
+ * Name the subjects an attempt counts against
+ * @param {string} aadhar - Voter's Aadhar number
+ * @param {string|null} sessionId - Voter's session id, if any
+ * @returns {Array<string>} Subjects for checkFallbackLimit
+ */
+function getFallbackSubjects(aadhar, sessionId = null) {
+  return sessionId ? [`voter:${aadhar}`, `session:${sessionId}`] : [`voter:${aadhar}`];
+}
+
+/**
+ * Check whether another attempt is allowed, for every subject
+ * @param {Object} attempts - Stored attempts record
+ * @param {string} kind - Key of FALLBACK_LIMITS
+ * @param {Array<string>} subjects - From getFallbackSubjects
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { allowed: boolean, message: string|null, retryAt: string|null }
+ */
+function checkFallbackLimit(attempts, kind, subjects, now = Date.now()) {
+  const { limit, windowMs, message } = FALLBACK_LIMITS[kind];
+  let retryAt = 0;
+  subjects.forEach((subject) => {
+    const times = (attempts[`${kind}:${subject}`] || [])
+      .map(time => Date.parse(time))
+      .filter(time => now - time < windowMs);
+    if (times.length >= limit) {
+      // Locked until enough of the attempts leave the window
+      retryAt = Math.max(retryAt, times[times.length - limit] + windowMs);
+    }
+  });
+  if (!retryAt) {
+    return { allowed: true, message: null, retryAt: null };
+  }
+  const minutes = Math.max(1, Math.ceil((retryAt - now) / 60000));
+  return {
+    allowed: false,
+    message: message.replace('{minutes}', `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`),
+    retryAt: new Date(retryAt).toISOString()
+  };
+}
+
+/**
+ * Count an attempt against every subject. Attempts are counted before they
+ * are checked, so requests sent together cannot get past the limit.
+ * @param {Object} attempts - Stored attempts record
+ * @param {string} kind - Key of FALLBACK_LIMITS
+ * @param {Array<string>} subjects - From getFallbackSubjects
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Updated attempts record to store
+ */
+function recordFallbackAttempt(attempts, kind, subjects, now = Date.now()) {
+  const updated = pruneFallbackAttempts(attempts, now);
+  subjects.forEach((subject) => {
+    const key = `${kind}:${subject}`;
+    updated[key] = [...(updated[key] || []), new Date(now).toISOString()];
+  });
+  return updated;
+}
+
+/**
+ * Forget a kind of attempt for every subject, e.g. once the officer PIN is right
+ * @param {Object} attempts - Stored attempts record
+ * @param {string} kind - Key of FALLBACK_LIMITS
+ * @param {Array<string>} subjects - From getFallbackSubjects
+ * @returns {Object} Updated attempts record to store
+ */
+function clearFallbackAttempts(attempts, kind, subjects) {
+  const updated = { ...attempts };
+  subjects.forEach(subject => delete updated[`${kind}:${subject}`]);
+  return updated;
+}
+
+/**
+ * Drop the attempts that have left their window
+ * @param {Object} attempts - Stored attempts record
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Attempts still counted
+ */
+function pruneFallbackAttempts(attempts, now = Date.now()) {
+  const pruned = {};
+  Object.keys(attempts).forEach((key) => {
+    const limit = FALLBACK_LIMITS[key.split(':')[0]];
+    const times = limit && Array.isArray(attempts[key])
+      ? attempts[key].filter(time => now - Date.parse(time) < limit.windowMs)
+      : [];
+    if (times.length > 0) {
+      pruned[key] = times;
+    }
+  });
+  return pruned;
+}
+
+// ============================================
+// Delivery Channels
+// ============================================
+
+// A channel delivers a message to a voter: { name, label, send(aadhar, message) }.
+// The mock channels only write to an outbox for testing; a real SMS or email
+// gateway is added as another factory here and selected in APP_CONFIG.fallback.channel.
+const FALLBACK_CHANNEL_FACTORIES = {
+  'mock-sms': appendToOutbox => createMockFallbackChannel('mock-sms', 'text message', appendToOutbox),
+  'mock-email': appendToOutbox => createMockFallbackChannel('mock-email', 'email', appendToOutbox)
+};
+
+/**
+ * Create a channel that "delivers" messages into a local outbox
+ * @param {string} name - Channel name
+ * @param {string} label - How the voter is told the code was sent
+ * @param {Function} appendToOutbox - async (entry) => void, stores one outbox entry
+ * @returns {Object} Delivery channel
+ */
+function createMockFallbackChannel(name, label, appendToOutbox) {
+  return {
+    name,
+    label,
+    async send(aadhar, message) {
+      await appendToOutbox({
+        id: crypto.randomUUID(),
+        channel: name,
+        to: aadhar,
+        message,
+        sentAt: new Date().toISOString()
+      });
+      console.info(`[${name}] to ${aadhar}: ${message}`);
+    }
+  };
+}
+
+/**
+ * Create a delivery channel by name
+ * @param {string} name - Key of FALLBACK_CHANNEL_FACTORIES (APP_CONFIG.fallback.channel)
+ * @param {Function} appendToOutbox - Outbox writer used by the mock channels
+ * @returns {Object} Delivery channel
+ */
+function createFallbackChannel(name, appendToOutbox) {
+  const factory = FALLBACK_CHANNEL_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown fallback channel "${name}". Use one of: ${Object.keys(FALLBACK_CHANNEL_FACTORIES).join(', ')}.`);
+  }
+  return factory(appendToOutbox);
+}
+
+// ============================================
+// Audit Records
+// ============================================
+
+/**
+ * Create an audit record for one use of the fallback
+ * @param {string} aadhar - Aadhar number
+ * @param {string} method - 'otp' or 'officer-pin'
+ * @param {string} outcome - 'code-sent', 'verified' or 'rejected'
+ * @param {Object} details - { reason, channel, officer, message }
+ * @returns {Object} Audit record
+ */
+function createFallbackAuditRecord(aadhar, method, outcome, details = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type: 'fallback-verification',
+    aadhar,
+    method,
+    outcome,
+    reason: FALLBACK_REASONS.includes(details.reason) ? details.reason : 'unspecified',
+    channel: details.channel || null,
+    officer: details.officer || null,
+    message: details.message || null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FALLBACK_SETTINGS,
+    generateFallbackCode,
+    createFallbackCodeRecord,
+    checkFallbackCode,
+    formatFallbackCodeMessage,
+    checkOfficerPin,
+    getFallbackSubjects,
+    checkFallbackLimit,
+    recordFallbackAttempt,
+    clearFallbackAttempts,
+    createFallbackChannel,
+    createFallbackAuditRecord
+  };
+}
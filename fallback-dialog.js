@@ -0,0 +1,197 @@
+/* ============================================
+   Inclusive Voting App - Fallback Verification Dialog
+   "Other ways to verify" dialog shared by the
+   face verification and voting pages
+   ============================================ */
+
+// Needs fallback-auth.js and script.js (requestFallbackCode, verifyFallbackCode,
+// isOfficerOverrideAvailable and verifyOfficerOverride).
+
+// ============================================
+// Fallback Dialog
+// ============================================
+
+/**
+ * Show the dialog that lets a voter confirm their identity without the camera
+ * @param {Object} options - { aadhar, reason, onVerified(result), returnFocusTo }
+ *   reason is 'camera-unavailable' or 'face-rejected'; onVerified is called
+ *   after the dialog closes on success and should announce result.message;
+ *   returnFocusTo gets focus back on cancel
+ * @returns {Promise<void>}
+ */
+async function showFallbackDialog(options) {
+  const { aadhar, reason, onVerified, returnFocusTo } = options;
+
+  // The officer override is only offered where the server has a PIN
+  let officerEnabled = false;
+  try {
+    officerEnabled = await isOfficerOverrideAvailable();
+  } catch (error) {
+    console.error('Error checking for the poll officer override:', error);
+  }
+
+  const existingModal = document.getElementById('fallback-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'fallback-modal';
+  overlay.className = 'modal-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-labelledby', 'fallback-title');
+  overlay.setAttribute('aria-modal', 'true');
+
+  overlay.innerHTML = `
+    <div class="modal-content">
+      <h2 id="fallback-title" class="modal-title">Other Ways to Verify</h2>
+      <div id="fallback-status" role="status" aria-live="polite"></div>
+
+      <form id="fallback-code-form" class="fallback-section" novalidate>
+        <h3>One-Time Code</h3>
+        <button type="button" id="btn-send-code" class="btn btn-primary">Send me a code</button>
+        <div class="form-group">
+          <label for="fallback-code-input">Code</label>
+          <input type="text" id="fallback-code-input" inputmode="numeric" autocomplete="one-time-code"
+                 maxlength="${FALLBACK_SETTINGS.codeLength}" aria-describedby="fallback-code-hint">
+          <small id="fallback-code-hint">Enter the ${FALLBACK_SETTINGS.codeLength}-digit code you received</small>
+        </div>
+        <button type="submit" id="btn-verify-code" class="btn btn-success">Verify code</button>
+      </form>
+
+      ${officerEnabled ? `
+      <form id="fallback-officer-form" class="fallback-section" novalidate>
+        <h3>Poll Officer</h3>
+        <p>Ask a poll officer to check your identity document and enter their PIN.</p>
+        <div class="form-group">
+          <label for="fallback-officer-input">Officer name or ID</label>
+          <input type="text" id="fallback-officer-input" autocomplete="off" required aria-required="true">
+        </div>
+        <div class="form-group">
+          <label for="fallback-pin-input">Officer PIN</label>
+          <input type="password" id="fallback-pin-input" autocomplete="off" required aria-required="true">
+        </div>
+        <button type="submit" id="btn-verify-officer" class="btn btn-success">Confirm identity</button>
+      </form>` : ''}
+
+      <div class="modal-actions">
+        <button type="button" id="btn-cancel-fallback" class="btn btn-secondary">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  const closeDialog = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+
+  const cancelDialog = () => {
+    closeDialog();
+    if (returnFocusTo) {
+      returnFocusTo.focus();
+    }
+  };
+
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      cancelDialog();
+    }
+  };
+  document.addEventListener('keydown', handleEscape);
+
+  const reportResult = (message, type) => {
+    const statusArea = overlay.querySelector('#fallback-status');
+    statusArea.innerHTML = `<div class="status-message ${type}" role="alert">${message}</div>`;
+    if (typeof speak === 'function') {
+      speak(message);
+    }
+  };
+
+  /**
+   * Close the dialog after a successful check and hand over to the page,
+   * which announces the result
+   * @param {Object} result - { success, message }
+   */
+  const finish = (result) => {
+    closeDialog();
+    if (typeof onVerified === 'function') {
+      onVerified(result);
+    }
+  };
+
+  /**
+   * Run one identity check and report its result
+   * @param {Function} check - async () => { success, message }
+   */
+  const runCheck = async (check) => {
+    let result;
+    try {
+      result = await check();
+    } catch (error) {
+      console.error('Error during fallback verification:', error);
+      reportResult('Your identity could not be checked. Please ask an election official for help.', 'error');
+      return;
+    }
+    if (result.success) {
+      finish(result);
+    } else {
+      reportResult(result.message, 'error');
+    }
+  };
+
+  overlay.querySelector('#btn-cancel-fallback').addEventListener('click', cancelDialog);
+
+  overlay.querySelector('#btn-send-code').addEventListener('click', async () => {
+    try {
+      const result = await requestFallbackCode(aadhar, reason);
+      reportResult(result.message, result.success ? 'success' : 'error');
+      if (result.success) {
+        overlay.querySelector('#fallback-code-input').focus();
+      }
+    } catch (error) {
+      console.error('Error sending fallback code:', error);
+      reportResult('The code could not be sent. Please ask an election official for help.', 'error');
+    }
+  });
+
+  overlay.querySelector('#fallback-code-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = overlay.querySelector('#fallback-code-input').value.trim();
+    if (!/^\d+$/.test(code)) {
+      reportResult('Please enter the code you received.', 'error');
+      return;
+    }
+
+    await runCheck(() => verifyFallbackCode(aadhar, code, reason));
+  });
+
+  if (officerEnabled) {
+    overlay.querySelector('#fallback-officer-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const officer = overlay.querySelector('#fallback-officer-input').value;
+      const pinInput = overlay.querySelector('#fallback-pin-input');
+
+      const pin = pinInput.value;
+      pinInput.value = '';
+      await runCheck(() => verifyOfficerOverride(aadhar, officer, pin, reason));
+    });
+  }
+
+  document.body.appendChild(overlay);
+  overlay.querySelector('#btn-send-code').focus();
+
+  if (typeof speak === 'function') {
+    speak(officerEnabled
+      ? 'Other ways to verify. You can get a one-time code, or ask a poll officer to confirm your identity.'
+      : 'Other ways to verify. Press Send me a code to get a one-time code.');
+  }
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    showFallbackDialog
+  };
+}
@@ -0,0 +1,254 @@
+/* ============================================
+   Inclusive Voting App - Liveness Detection
+   Randomized blink, head-turn and smile challenges
+   checked over a short sequence of face landmarks
+   ============================================ */
+
+// A printed photo or a still image on a screen gives the same landmarks in
+// every frame, so it cannot follow a randomly chosen instruction.
+
+// ============================================
+// Challenge Settings
+// ============================================
+const LIVENESS_SETTINGS = {
+  baselineFrames: 3,        // Frames averaged before the instruction is given
+  frameIntervalMs: 150,     // Delay between landmark samples
+  maxMissedFrames: 10,      // Frames without a face before the check fails
+  blinkRatio: 0.7,          // Eye openness must drop below 70% of baseline...
+  reopenRatio: 0.85,        // ...and then return above 85% of baseline
+  turnShift: 0.12,          // Nose must move 12% of the face width sideways
+  smileRatio: 1.12          // Mouth must widen by 12%
+};
+
+// Landmark indexes in the 68-point model
+const LANDMARKS = {
+  JAW_LEFT: 0,
+  JAW_RIGHT: 16,
+  NOSE_TIP: 30,
+  LEFT_EYE: [36, 37, 38, 39, 40, 41],
+  RIGHT_EYE: [42, 43, 44, 45, 46, 47],
+  MOUTH_LEFT: 48,
+  MOUTH_RIGHT: 54
+};
+
+// The camera image is not mirrored, so a turn to the voter's own left moves
+// the nose towards the right of the image (a larger yaw value).
+const LIVENESS_CHALLENGES = {
+  blink: {
+    prompt: 'Please blink your eyes.',
+    createCheck: (baseline) => {
+      let eyesClosed = false;
+      return (metrics) => {
+        if (metrics.eyeOpenness < baseline.eyeOpenness * LIVENESS_SETTINGS.blinkRatio) {
+          eyesClosed = true;
+        }
+        return eyesClosed && metrics.eyeOpenness > baseline.eyeOpenness * LIVENESS_SETTINGS.reopenRatio;
+      };
+    }
+  },
+  'turn-left': {
+    prompt: 'Please turn your head slowly to your left.',
+    createCheck: (baseline) => (metrics) => metrics.yaw > baseline.yaw + LIVENESS_SETTINGS.turnShift
+  },
+  'turn-right': {
+    prompt: 'Please turn your head slowly to your right.',
+    createCheck: (baseline) => (metrics) => metrics.yaw < baseline.yaw - LIVENESS_SETTINGS.turnShift
+  },
+  smile: {
+    prompt: 'Please smile.',
+    createCheck: (baseline) => (metrics) => metrics.mouthWidth > baseline.mouthWidth * LIVENESS_SETTINGS.smileRatio
+  }
+};
+
+// ============================================
+// Landmark Metrics
+// ============================================
+
+/**
+ * Distance between two points
+ * @param {Object} a - Point with x and y
+ * @param {Object} b - Point with x and y
+ * @returns {number}
+ */
+function pointDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Eye aspect ratio: eye height relative to eye width (drops when the eye closes)
+ * @param {Array<Object>} points - Six eye landmarks
+ * @returns {number}
+ */
+function eyeAspectRatio(points) {
+  const vertical = pointDistance(points[1], points[5]) + pointDistance(points[2], points[4]);
+  return vertical / (2 * pointDistance(points[0], points[3]));
+}
+
+/**
+ * Compute the measurements used by the liveness challenges
+ * @param {Array<Object>} positions - 68 landmark points ({x, y})
+ * @returns {Object} { eyeOpenness, yaw, mouthWidth }
+ */
+function computeLandmarkMetrics(positions) {
+  const jawLeft = positions[LANDMARKS.JAW_LEFT];
+  const jawRight = positions[LANDMARKS.JAW_RIGHT];
+  const faceWidth = pointDistance(jawLeft, jawRight);
+
+  const leftEye = LANDMARKS.LEFT_EYE.map(index => positions[index]);
+  const rightEye = LANDMARKS.RIGHT_EYE.map(index => positions[index]);
+
+  return {
+    eyeOpenness: (eyeAspectRatio(leftEye) + eyeAspectRatio(rightEye)) / 2,
+    // Position of the nose between the jaw edges: about 0.5 when facing the camera
+    yaw: (positions[LANDMARKS.NOSE_TIP].x - jawLeft.x) / (jawRight.x - jawLeft.x),
+    mouthWidth: pointDistance(positions[LANDMARKS.MOUTH_LEFT], positions[LANDMARKS.MOUTH_RIGHT]) / faceWidth
+  };
+}
+
+/**
+ * Average a list of metrics
+ * @param {Array<Object>} samples - Metrics from computeLandmarkMetrics
+ * @returns {Object} Averaged metrics
+ */
+function averageMetrics(samples) {
+  const total = samples.reduce((sum, sample) => ({
+    eyeOpenness: sum.eyeOpenness + sample.eyeOpenness,
+    yaw: sum.yaw + sample.yaw,
+    mouthWidth: sum.mouthWidth + sample.mouthWidth
+  }), { eyeOpenness: 0, yaw: 0, mouthWidth: 0 });
+
+  return {
+    eyeOpenness: total.eyeOpenness / samples.length,
+    yaw: total.yaw / samples.length,
+    mouthWidth: total.mouthWidth / samples.length
+  };
+}
+
+// ============================================
+// Liveness Check
+// ============================================
+
+/**
+ * Check if liveness challenges are turned on in APP_CONFIG
+ * @returns {boolean}
+ */
+function isLivenessEnabled() {
+  const livenessConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.liveness) || {};
+  return livenessConfig.enabled !== false;
+}
+
+/**
+ * Pick random challenges without repeating one
+ * @param {number} count - Number of challenges
+ * @returns {Array<string>} Challenge names
+ */
+function pickLivenessChallenges(count = 1) {
+  const names = Object.keys(LIVENESS_CHALLENGES);
+  const picked = [];
+  while (picked.length < Math.min(count, names.length)) {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0];
+    const name = names[random % names.length];
+    if (!picked.includes(name)) {
+      picked.push(name);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Run randomized liveness challenges against a live video
+ * With options.withDescriptors, a face descriptor is also computed on every
+ * frame the challenges look at, so the caller can check that the face that
+ * followed the instructions is the voter's.
+ * @param {HTMLVideoElement} video - Camera video element
+ * @param {Object} options - { challengeCount, timeoutMs, detectorOptions, isCancelled, onChallenge, withDescriptors }
+ * @returns {Promise<Object>} { passed: boolean, challenge: string|null, message: string,
+ *   descriptors: Array<Float32Array> } - descriptors of the frames with a face, in order
+ */
+async function runLivenessCheck(video, options = {}) {
+  const livenessConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.liveness) || {};
+  const challengeCount = options.challengeCount || livenessConfig.challengeCount || 1;
+  const timeoutMs = options.timeoutMs || livenessConfig.timeoutMs || 6000;
+  const detectorOptions = options.detectorOptions || new faceapi.TinyFaceDetectorOptions();
+  const isCancelled = options.isCancelled || (() => false);
+
+  let missedFrames = 0;
+  const descriptors = [];
+
+  // Detect landmarks in the current frame (null when no face is visible)
+  const sampleMetrics = async () => {
+    const landmarks = faceapi.detectSingleFace(video, detectorOptions).withFaceLandmarks();
+    const detection = await (options.withDescriptors ? landmarks.withFaceDescriptor() : landmarks);
+    if (!detection) {
+      missedFrames++;
+      return null;
+    }
+    if (options.withDescriptors) {
+      descriptors.push(detection.descriptor);
+    }
+    return computeLandmarkMetrics(detection.landmarks.positions);
+  };
+
+  for (const challenge of pickLivenessChallenges(challengeCount)) {
+    // Measure the resting face first
+    const baselineSamples = [];
+    while (baselineSamples.length < LIVENESS_SETTINGS.baselineFrames) {
+      if (isCancelled()) {
+        return { passed: false, challenge, message: 'Liveness check cancelled.', descriptors };
+      }
+      if (missedFrames > LIVENESS_SETTINGS.maxMissedFrames) {
+        return { passed: false, challenge, message: 'Liveness check failed: your face left the camera view.', descriptors };
+      }
+      const metrics = await sampleMetrics();
+      if (metrics) {
+        baselineSamples.push(metrics);
+      }
+      await new Promise(resolve => setTimeout(resolve, LIVENESS_SETTINGS.frameIntervalMs));
+    }
+
+    const { prompt, createCheck } = LIVENESS_CHALLENGES[challenge];
+    const isSatisfied = createCheck(averageMetrics(baselineSamples));
+    if (typeof speak === 'function') {
+      speak(prompt);
+    }
+    if (typeof options.onChallenge === 'function') {
+      options.onChallenge(challenge, prompt);
+    }
+
+    // Watch the following frames for the requested movement
+    const deadline = Date.now() + timeoutMs;
+    let satisfied = false;
+    while (!satisfied && Date.now() < deadline) {
+      if (isCancelled()) {
+        return { passed: false, challenge, message: 'Liveness check cancelled.', descriptors };
+      }
+      if (missedFrames > LIVENESS_SETTINGS.maxMissedFrames) {
+        return { passed: false, challenge, message: 'Liveness check failed: your face left the camera view.', descriptors };
+      }
+      const metrics = await sampleMetrics();
+      satisfied = metrics !== null && isSatisfied(metrics);
+      if (!satisfied) {
+        await new Promise(resolve => setTimeout(resolve, LIVENESS_SETTINGS.frameIntervalMs));
+      }
+    }
+
+    if (!satisfied) {
+      return { passed: false, challenge, message: 'Liveness check failed: the requested movement was not seen.', descriptors };
+    }
+  }
+
+  return { passed: true, challenge: null, message: 'Liveness check passed.', descriptors };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LIVENESS_CHALLENGES,
+    computeLandmarkMetrics,
+    isLivenessEnabled,
+    pickLivenessChallenges,
+    runLivenessCheck
+  };
+}
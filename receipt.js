@@ -0,0 +1,175 @@
+/* ============================================
+   Inclusive Voting App - Ballot Receipts
+   Receipt codes that let voters check their
+   ballot is in the ballot box
+   ============================================ */
+
+// Used in the browser (voting and receipt check pages, through script.js)
+// and by server/server.js. A receipt code is the start of the hash of the
+// voter's encrypted ballot (see getBallotDigest in ballot-log.js), written in
+// Crockford base 32: 16 letters and numbers, e.g. 7K3P-QX2M-9D4R-HT6W.
+//
+// The code says nothing about the vote. The ballot was encrypted with a
+// fresh random key that the browser throws away, so the voter cannot open it
+// to show anyone how they voted: a receipt proves the ballot is there, never
+// what it says. Receipts are not stored with the voter's details.
+const receiptBallotLog = typeof module !== 'undefined' && module.exports
+  ? require('./ballot-log.js')
+  : { getBallotDigest, checkCheckpoint };
+
+// ============================================
+// Receipt Settings
+// ============================================
+
+// Crockford base 32 leaves out I, L, O and U, which are easy to misread
+const RECEIPT_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const RECEIPT_SETTINGS = {
+  length: 16,
+  groupLength: 4
+};
+
+// ============================================
+// Receipt Codes
+// ============================================
+
+/**
+ * Write the start of a ballot digest as a receipt code
+ * @param {string} digest - Hex digest, from getBallotDigest (ballot-log.js)
+ * @returns {string} Receipt code without dashes
+ */
+function receiptFromDigest(digest) {
+  // Each character holds 5 bits, so 16 characters use the first 80 bits
+  let bits = '';
+  for (let index = 0; index < RECEIPT_SETTINGS.length * 5 / 4; index++) {
+    bits += parseInt(digest[index], 16).toString(2).padStart(4, '0');
+  }
+  let code = '';
+  for (let index = 0; index < bits.length; index += 5) {
+    code += RECEIPT_ALPHABET[parseInt(bits.slice(index, index + 5), 2)];
+  }
+  return code;
+}
+
+/**
+ * Work out the receipt code for a ballot
+ * @param {Object} ballot - Encrypted ballot, as it goes in the ballot box
+ * @returns {Promise<string>} Receipt code without dashes
+ */
+async function getBallotReceipt(ballot) {
+  return receiptFromDigest(await receiptBallotLog.getBallotDigest(ballot));
+}
+
+/**
+ * Read a receipt code as typed or spoken: spaces and dashes are ignored,
+ * and letters that look like numbers are read as those numbers
+ * @param {string} text - Code entered by the voter
+ * @returns {string|null} Receipt code without dashes, or null if it is not one
+ */
+function normalizeReceiptCode(text) {
+  const code = String(text || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (code.length !== RECEIPT_SETTINGS.length || ![...code].every(character => RECEIPT_ALPHABET.includes(character))) {
+    return null;
+  }
+  return code;
+}
+
+/**
+ * Write a receipt code in groups, e.g. 7K3P-QX2M-9D4R-HT6W
+ * @param {string} code - Receipt code without dashes
+ * @returns {string}
+ */
+function formatReceiptCode(code) {
+  return code.match(new RegExp(`.{1,${RECEIPT_SETTINGS.groupLength}}`, 'g')).join('-');
+}
+
+/**
+ * Spell a receipt code out for speech, one character at a time with a
+ * pause between groups
+ * @param {string} code - Receipt code without dashes
+ * @returns {string}
+ */
+function spellReceiptCode(code) {
+  return formatReceiptCode(code)
+    .split('-')
+    .map(group => group.split('').join(' '))
+    .join(', ');
+}
+
+// ============================================
+// Checking a Receipt
+// ============================================
+
+/**
+ * Check that the ballot with a receipt code is in the ballot box and in its
+ * signed checkpoint (see ballot-log.js)
+ * @param {string} text - Receipt code entered by the voter
+ * @param {Array<Object>} ballots - Ballots in the ballot box
+ * @param {Object|null} checkpoint - Checkpoint stored with the ballots
+ * @param {Object|null} publicKey - Public key the checkpoint should be signed
+ *   with, as a JWK
+ * @param {string} electionId - Election the ballots are for
+ * @returns {Promise<Object>} { valid, found, message, signedAt } - valid is
+ *   false when the code or the ballot box could not be checked
+ */
+async function findBallotReceipt(text, ballots, checkpoint, publicKey, electionId) {
+  const code = normalizeReceiptCode(text);
+  if (!code) {
+    return {
+      valid: false,
+      found: false,
+      message: `A receipt code has ${RECEIPT_SETTINGS.length} letters and numbers, like 7K3P-QX2M-9D4R-HT6W. Please check the code and try again.`,
+      signedAt: null
+    };
+  }
+
+  const signature = await receiptBallotLog.checkCheckpoint(checkpoint, publicKey, electionId);
+  if (!signature.valid) {
+    return {
+      valid: false,
+      found: false,
+      message: 'The ballot box cannot be checked right now. Please tell an election official.',
+      signedAt: null
+    };
+  }
+
+  const signed = checkpoint.digests.some(digest => receiptFromDigest(digest) === code);
+  const receipts = await Promise.all(ballots.map(getBallotReceipt));
+  const inBox = receipts.includes(code);
+  const signedAt = checkpoint.timestamp;
+  if (signed && inBox) {
+    return { valid: true, found: true, message: 'Your ballot is in the ballot box and will be counted.', signedAt };
+  }
+  if (signed) {
+    return {
+      valid: true,
+      found: false,
+      message: 'Your ballot was recorded, but it is no longer in the ballot box. Please tell an election official.',
+      signedAt
+    };
+  }
+  return {
+    valid: true,
+    found: false,
+    message: 'No ballot with this receipt code is in the ballot box. Please check the code. If it is correct, tell an election official.',
+    signedAt
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECEIPT_SETTINGS,
+    getBallotReceipt,
+    normalizeReceiptCode,
+    formatReceiptCode,
+    spellReceiptCode,
+    findBallotReceipt
+  };
+}
@@ -0,0 +1,224 @@
+/* ============================================
+   Inclusive Voting App - Polling Schedule
+   When the poll opens and closes, and official
+   extensions and early closing
+   ============================================ */
+
+// Used in the browser (home, voting and results pages, through script.js)
+// and by server/server.js. The election definition sets the polling window
+// ("schedule": { "opensAt", "closesAt" }, see election.js). Election officials
+// can extend it or close the poll early. Each change is kept as an audit
+// record, and the window in force is the definition's window with every
+// change for the election applied in order, so it always matches the log.
+
+// ============================================
+// Schedule Settings
+// ============================================
+
+// What an official can do to the polling window
+const POLL_SCHEDULE_ACTIONS = ['extend', 'close'];
+
+const POLL_SCHEDULE_SETTINGS = {
+  maxReasonLength: 500
+};
+
+// ============================================
+// Polling Window
+// ============================================
+
+/**
+ * Work out the polling window in force
+ * @param {Object} election - Election definition with a schedule
+ * @param {Array<Object>} changes - Poll schedule audit records, oldest first
+ *   (records for other elections are ignored)
+ * @returns {Object} { electionId, opensAt, closesAt, scheduledClosesAt,
+ *   extended, closedEarly } - times are ISO strings
+ */
+function resolvePollSchedule(election, changes = []) {
+  const schedule = {
+    electionId: election.id,
+    opensAt: election.schedule.opensAt,
+    closesAt: election.schedule.closesAt,
+    scheduledClosesAt: election.schedule.closesAt,
+    extended: false,
+    closedEarly: false
+  };
+  changes
+    .filter(change => change.electionId === election.id)
+    .forEach((change) => {
+      schedule.closesAt = change.closesAt;
+      schedule.closedEarly = change.action === 'close';
+    });
+  schedule.extended = !schedule.closedEarly && Date.parse(schedule.closesAt) > Date.parse(schedule.scheduledClosesAt);
+  return schedule;
+}
+
+/**
+ * Find where the poll stands at a moment
+ * @param {Object} schedule - Window from resolvePollSchedule
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {string} 'upcoming', 'open' or 'closed'
+ */
+function getPollState(schedule, now = Date.now()) {
+  if (now < Date.parse(schedule.opensAt)) {
+    return 'upcoming';
+  }
+  return now < Date.parse(schedule.closesAt) ? 'open' : 'closed';
+}
+
+/**
+ * Check whether ballots can be cast
+ * @param {Object} schedule - Window from resolvePollSchedule
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {boolean}
+ */
+function isPollOpen(schedule, now = Date.now()) {
+  return getPollState(schedule, now) === 'open';
+}
+
+// ============================================
+// Descriptions
+// ============================================
+
+/**
+ * Format a poll time for voters, e.g. "18 Oct 2026, 6:00 pm"
+ * @param {string} isoTime - ISO time
+ * @returns {string}
+ */
+function formatPollTime(isoTime) {
+  return new Date(isoTime).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Describe a length of time in words, e.g. "2 days and 3 hours"
+ * @param {number} ms - Milliseconds
+ * @returns {string} The two largest units; seconds only under a minute
+ */
+function formatTimeRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  if (totalSeconds < 60) {
+    return `${totalSeconds} ${totalSeconds === 1 ? 'second' : 'seconds'}`;
+  }
+  const units = [
+    ['day', Math.floor(totalSeconds / 86400)],
+    ['hour', Math.floor((totalSeconds % 86400) / 3600)],
+    ['minute', Math.floor((totalSeconds % 3600) / 60)]
+  ];
+  const first = units.findIndex(([, count]) => count > 0);
+  return units
+    .slice(first, first + 2)
+    .filter(([, count]) => count > 0)
+    .map(([unit, count]) => `${count} ${unit}${count === 1 ? '' : 's'}`)
+    .join(' and ');
+}
+
+/**
+ * Describe the poll for voters and officials, for the screen and speech
+ * @param {Object} schedule - Window from resolvePollSchedule
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {string}
+ */
+function describePollSchedule(schedule, now = Date.now()) {
+  const state = getPollState(schedule, now);
+  if (state === 'upcoming') {
+    return `Polling opens in ${formatTimeRemaining(Date.parse(schedule.opensAt) - now)}, ` +
+      `on ${formatPollTime(schedule.opensAt)}, and closes on ${formatPollTime(schedule.closesAt)}.`;
+  }
+  if (state === 'open') {
+    const extended = schedule.extended ? ' The closing time has been extended by an election official.' : '';
+    return `Polling is open. It closes in ${formatTimeRemaining(Date.parse(schedule.closesAt) - now)}, ` +
+      `on ${formatPollTime(schedule.closesAt)}.${extended}`;
+  }
+  if (schedule.closedEarly) {
+    return `Polling was closed early by an election official on ${formatPollTime(schedule.closesAt)}. No more ballots can be cast.`;
+  }
+  return `Polling closed on ${formatPollTime(schedule.closesAt)}. No more ballots can be cast.`;
+}
+
+// ============================================
+// Official Changes
+// ============================================
+
+/**
+ * Check an official's change to the polling window
+ * @param {Object} schedule - Window in force, from resolvePollSchedule
+ * @param {string} action - 'extend' or 'close'
+ * @param {Object} details - { closesAt (new closing time, for 'extend'), reason }
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {Object} { valid, message, closesAt } - closesAt is the new
+ *   closing time as an ISO string
+ */
+function checkPollChange(schedule, action, details = {}, now = Date.now()) {
+  const reason = typeof details.reason === 'string' ? details.reason.trim() : '';
+  if (!POLL_SCHEDULE_ACTIONS.includes(action)) {
+    return { valid: false, message: `Unknown poll action: ${action}.`, closesAt: null };
+  }
+  if (reason === '') {
+    return { valid: false, message: 'Please give a reason. It is kept in the audit log.', closesAt: null };
+  }
+  if (reason.length > POLL_SCHEDULE_SETTINGS.maxReasonLength) {
+    return { valid: false, message: `Please keep the reason under ${POLL_SCHEDULE_SETTINGS.maxReasonLength} characters.`, closesAt: null };
+  }
+
+  const state = getPollState(schedule, now);
+  if (state === 'closed') {
+    return { valid: false, message: 'Polling has already closed and cannot be changed.', closesAt: null };
+  }
+
+  if (action === 'close') {
+    if (state !== 'open') {
+      return { valid: false, message: 'Polling has not opened yet, so it cannot be closed early.', closesAt: null };
+    }
+    return { valid: true, message: 'Polling has been closed.', closesAt: new Date(now).toISOString() };
+  }
+
+  const newClosesAt = Date.parse(details.closesAt);
+  if (Number.isNaN(newClosesAt)) {
+    return { valid: false, message: 'Please enter the new closing time.', closesAt: null };
+  }
+  if (newClosesAt <= Date.parse(schedule.closesAt)) {
+    return { valid: false, message: `The new closing time must be later than the current one, ${formatPollTime(schedule.closesAt)}.`, closesAt: null };
+  }
+  const closesAt = new Date(newClosesAt).toISOString();
+  return { valid: true, message: `Polling now closes on ${formatPollTime(closesAt)}.`, closesAt };
+}
+
+/**
+ * Create the audit record for an official's change to the polling window
+ * @param {Object} schedule - Window in force before the change
+ * @param {string} action - 'extend' or 'close'
+ * @param {string} official - Username of the official
+ * @param {string} closesAt - New closing time (ISO), from checkPollChange
+ * @param {string} reason - Why the official made the change
+ * @returns {Object} Audit record
+ */
+function createPollAuditRecord(schedule, action, official, closesAt, reason) {
+  return {
+    id: crypto.randomUUID(),
+    type: 'poll-schedule',
+    electionId: schedule.electionId,
+    action,
+    official,
+    previousClosesAt: schedule.closesAt,
+    closesAt,
+    reason: reason.trim(),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    POLL_SCHEDULE_ACTIONS,
+    resolvePollSchedule,
+    getPollState,
+    isPollOpen,
+    formatPollTime,
+    formatTimeRemaining,
+    describePollSchedule,
+    checkPollChange,
+    createPollAuditRecord
+  };
+}
@@ -3,193 +3,1767 @@
    Session management, vote storage, navigation
    ============================================ */
 
+// All persistence goes through the storage adapter selected in config.js
+// (see storage.js), so every storage function below returns a Promise.
+// Password hashing comes from auth.js, duplicate-face search from
+// face-index.js and fallback verification from fallback-auth.js, which must
+// be loaded first. Ballots are checked against the contests from election.js
+// and the polling window from schedule.js, encrypted by ballot-crypto.js,
+// stored anonymously by ballot-box.js, chained and signed by ballot-log.js,
+// and counted by tally.js once an official unlocks them. Voters check their
+// ballot is in the ballot box with a receipt code from receipt.js. Booths
+// are counted together through the signed bundles of booth-bundle.js.
+// Logins, verifications, votes cast and officials' actions are recorded in
+// the audit log of audit-log.js, by the server for what is done through it.
+// Voter sessions, their lifetime and the inactivity timeout come from
+// session.js; each voter's steps from login to vote are tracked in the voter
+// journey below. Aadhar Numbers are checked
+// and masked by aadhar.js.
+const aadharChecks = typeof module !== 'undefined' && module.exports
+  ? require('./aadhar.js')
+  : { hasValidAadharChecksum };
+
 // ============================================
 // Storage Keys
 // ============================================
 const STORAGE_KEYS = {
+  // This device's session token; the sessions themselves, see session.js
   SESSION: 'voting_session',
+  VOTER_SESSIONS: 'voter_sessions',
+  // The logged-in voter's step from login to vote (see VOTER_JOURNEY)
+  VOTER_JOURNEY: 'voter_journey',
   FACE_DESCRIPTORS: 'face_descriptors',
+  // The ballot box (anonymous ballots) and the voter roll (who has voted)
+  // are kept apart, see ballot-box.js
   VOTES: 'votes',
-  HAS_VOTED_PREFIX: 'has_voted_'
+  HAS_VOTED_PREFIX: 'has_voted_',
+  VOTER_ACCOUNTS: 'voter_accounts',
+  FACE_DUPLICATE_AUDIT: 'face_duplicate_audit',
+  FALLBACK_CODES: 'fallback_codes',
+  FALLBACK_OUTBOX: 'fallback_outbox',
+  FALLBACK_AUDIT: 'fallback_audit',
+  FALLBACK_PASS: 'fallback_pass',
+  // Recent code requests and wrong officer PINs, see FALLBACK_LIMITS
+  FALLBACK_ATTEMPTS: 'fallback_attempts',
+  OFFICIAL_SESSION: 'official_session',
+  POLL_AUDIT: 'poll_audit',
+  // Signed head of the chained ballot box, see ballot-log.js
+  BALLOT_CHECKPOINT: 'ballot_checkpoint',
+  // Chained audit entries (see audit-log.js), and this device's audit session
+  AUDIT_LOG: 'audit_log',
+  AUDIT_SESSION: 'audit_session'
 };
 
+/**
+ * Read and parse a JSON value from storage
+ * @param {Object} storage - Storage adapter
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing is stored
+ * @returns {Promise<*>} Parsed value or fallback
+ */
+async function readStoredJSON(storage, key, fallback) {
+  const stored = await storage.getItem(key);
+  return stored ? JSON.parse(stored) : fallback;
+}
+
+/**
+ * Serialize and write a JSON value to storage
+ * @param {Object} storage - Storage adapter
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+async function writeStoredJSON(storage, key, value) {
+  await storage.setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Append a record to a JSON array in storage
+ * @param {Object} storage - Storage adapter
+ * @param {string} key - Storage key
+ * @param {Object} record - Record to append
+ * @returns {Promise<void>}
+ */
+async function appendStoredRecord(storage, key, record) {
+  const records = await readStoredJSON(storage, key, []);
+  records.push(record);
+  await writeStoredJSON(storage, key, records);
+}
+
+// ============================================
+// Session Management
+// ============================================
+
+/**
+ * Get the session settings from APP_CONFIG (see session.js)
+ * @returns {Object} Session settings
+ */
+function getVoterSessionSettings() {
+  return getSessionSettings(typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.session : null);
+}
+
+/**
+ * Get this device's voter session token, which server-backed storage needs
+ * for everything the voter does
+ * @returns {Promise<string|null>} Token, or null when nobody is logged in
+ */
+async function getSessionToken() {
+  return getDeviceStorage().getItem(STORAGE_KEYS.SESSION);
+}
+
+/**
+ * Get this device's voter session. The device keeps only the session token;
+ * the session itself is looked up on the server, or in the session table
+ * when there is no server.
+ * @returns {Promise<Object|null>} { token, aadhar, expiresAt, lastActiveAt,
+ *   ended } - ended is null while the session lasts, otherwise why it ended
+ *   ('expired', 'idle' or 'unknown'); null when nobody is logged in
+ */
+async function getVoterSession() {
+  const token = await getSessionToken();
+  if (!token) {
+    return null;
+  }
+
+  const storage = getStorage();
+  let session;
+  if (typeof storage.getSession === 'function') {
+    session = await storage.getSession(token);
+  } else {
+    const sessions = await readStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, {});
+    session = sessions[token] || null;
+    if (session) {
+      session = { ...session, ended: checkVoterSession(session, getVoterSessionSettings()) };
+    }
+  }
+  return session ? { ...session, token } : { token, aadhar: null, expiresAt: null, lastActiveAt: null, ended: 'unknown' };
+}
+
+/**
+ * Get current user session (Aadhar number). A session that has ended is
+ * logged out.
+ * @returns {Promise<string|null>} Aadhar number or null
+ */
+async function getCurrentSession() {
+  const session = await getVoterSession();
+  if (!session) {
+    return null;
+  }
+  if (session.ended) {
+    await clearSession(session.ended);
+    return null;
+  }
+  return session.aadhar;
+}
+
+/**
+ * Set current user session
+ * @param {string} aadhar - Aadhar number
+ * @param {Object} login - Result of validateLogin, which holds the session
+ *   the server started
+ * @returns {Promise<void>}
+ */
+async function setCurrentSession(aadhar, login = {}) {
+  let session = login.session;
+  if (!session) {
+    const storage = getStorage();
+    const settings = getVoterSessionSettings();
+    session = createVoterSession(aadhar, settings);
+    // Sessions that have ended are dropped as new ones start
+    const sessions = await readStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, {});
+    Object.keys(sessions).forEach((token) => {
+      if (checkVoterSession(sessions[token], settings)) {
+        delete sessions[token];
+      }
+    });
+    sessions[session.token] = session;
+    await writeStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, sessions);
+  }
+  await getDeviceStorage().setItem(STORAGE_KEYS.SESSION, session.token);
+  await startVoterJourney(aadhar);
+}
+
+/**
+ * Record that the voter is still using the app, which restarts the
+ * inactivity timeout
+ * @returns {Promise<Object|null>} The session, or null if it has ended
+ */
+async function touchCurrentSession() {
+  const token = await getSessionToken();
+  if (!token) {
+    return null;
+  }
+
+  const storage = getStorage();
+  if (typeof storage.touchSession === 'function') {
+    const session = await storage.touchSession(token);
+    return session ? { ...session, token } : null;
+  }
+  const sessions = await readStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, {});
+  const session = sessions[token];
+  if (!session || checkVoterSession(session, getVoterSessionSettings())) {
+    return null;
+  }
+  sessions[token] = recordSessionActivity(session);
+  await writeStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, sessions);
+  return { ...sessions[token], ended: null };
+}
+
+/**
+ * Clear current session (logout)
+ * @param {string} reason - Why the session ended, for an audit log kept on
+ *   this device (the server works out its own): 'logged-out', 'expired',
+ *   'idle' or 'unknown' (no longer on the server)
+ * @returns {Promise<void>}
+ */
+async function clearSession(reason = 'logged-out') {
+  const session = await getVoterSession();
+  if (session) {
+    if (session.aadhar && !isAuditedByServer('endSession')) {
+      // A session that ran out ends on its own, whatever the voter last did
+      await recordAuditEvent('logout', {
+        actor: { role: 'voter', id: session.aadhar },
+        details: { reason },
+        ...(reason === 'logged-out' ? {} : { source: 'system' })
+      });
+    }
+    const storage = getStorage();
+    if (typeof storage.endSession === 'function') {
+      await storage.endSession(session.token);
+    } else {
+      const sessions = await readStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, {});
+      delete sessions[session.token];
+      await writeStoredJSON(storage, STORAGE_KEYS.VOTER_SESSIONS, sessions);
+    }
+  }
+  await getDeviceStorage().removeItem(STORAGE_KEYS.SESSION);
+  await getDeviceStorage().removeItem(STORAGE_KEYS.FALLBACK_PASS);
+  await getDeviceStorage().removeItem(STORAGE_KEYS.AUDIT_SESSION);
+  await getDeviceStorage().removeItem(STORAGE_KEYS.VOTER_JOURNEY);
+}
+
+/**
+ * Check if user is logged in
+ * @returns {Promise<boolean>}
+ */
+async function isLoggedIn() {
+  return (await getCurrentSession()) !== null;
+}
+
+// ============================================
+// Face Verification State Management
+// ============================================
+
+// Most frames one verification compares with the enrolled face; the frames
+// of a liveness challenge are thinned out evenly to this many
+const FACE_MATCH_MAX_FRAMES = 32;
+
+/**
+ * Store the enrolled face template set for a user
+ * @param {string} aadhar - Aadhar number
+ * @param {Array<Float32Array>} descriptors - Face descriptors captured during enrollment
+ * @returns {Promise<void>}
+ */
+async function storeFaceTemplates(aadhar, descriptors) {
+  const storage = getStorage();
+  const entries = await getFaceDescriptors();
+  entries[aadhar] = {
+    templates: descriptors.map(descriptor => Array.from(descriptor)), // Regular arrays for JSON
+    enrolledAt: new Date().toISOString()
+  };
+  await writeStoredJSON(storage, STORAGE_KEYS.FACE_DESCRIPTORS, entries);
+}
+
+/**
+ * Get the enrolled face template set for a user
+ * @param {string} aadhar - Aadhar number
+ * @returns {Promise<Array<Float32Array>|null>} Face descriptors or null if not enrolled
+ */
+async function getFaceTemplates(aadhar) {
+  const entries = await getFaceDescriptors();
+  const templates = getEntryTemplates(entries[aadhar]);
+  return templates.length > 0 ? templates.map(template => new Float32Array(template)) : null;
+}
+
+/**
+ * Check if a voter has enrolled their face
+ * @param {string} aadhar - Aadhar number
+ * @returns {Promise<boolean>}
+ */
+async function isFaceEnrolled(aadhar) {
+  const storage = getStorage();
+  if (typeof storage.getFaceEnrollment === 'function') {
+    return (await storage.getFaceEnrollment(await getSessionToken(), aadhar)).enrolled;
+  }
+  return (await getFaceTemplates(aadhar)) !== null;
+}
+
+/**
+ * Compare the frames captured during a verification with a voter's enrolled
+ * templates (on the server when the storage backend has one, so templates
+ * never reach the browser)
+ * @param {string} aadhar - Aadhar number
+ * @param {Array<Float32Array>} descriptors - Descriptors of the captured
+ *   frames, at most FACE_MATCH_MAX_FRAMES
+ * @param {Object} options - { threshold } (the server uses its own settings)
+ * @returns {Promise<Object|null>} Score from scoreFaceFrames - only
+ *   { isMatch, reason } from the server - or null when the voter has not
+ *   enrolled a face
+ */
+async function matchEnrolledFace(aadhar, descriptors, options = {}) {
+  const storage = getStorage();
+  if (typeof storage.matchFace === 'function') {
+    return storage.matchFace(await getSessionToken(), aadhar, descriptors.map(descriptor => Array.from(descriptor)));
+  }
+  const templates = await getFaceTemplates(aadhar);
+  return templates ? scoreFaceFrames(templates, descriptors, options) : null;
+}
+
+/**
+ * Get the template arrays from a stored face entry
+ * Entries saved before template sets existed hold a single descriptor array.
+ * @param {Object|Array|undefined} entry - Stored entry
+ * @returns {Array<Array<number>>} Template arrays
+ */
+function getEntryTemplates(entry) {
+  if (!entry) {
+    return [];
+  }
+  if (Array.isArray(entry)) {
+    return [entry];
+  }
+  return entry.templates || [];
+}
+
+/**
+ * Get all face descriptors
+ * @returns {Promise<Object>} Object with aadhar as keys and face entries as values
+ */
+async function getFaceDescriptors() {
+  return readStoredJSON(getStorage(), STORAGE_KEYS.FACE_DESCRIPTORS, {});
+}
+
+// Index of every enrolled face, rebuilt only when the stored faces change
+let faceIndexCache = { source: undefined, index: null };
+
+/**
+ * Get the search index of all enrolled faces
+ * @returns {Promise<Object>} Index from buildFaceIndex
+ */
+async function getFaceIndex() {
+  const source = await getStorage().getItem(STORAGE_KEYS.FACE_DESCRIPTORS);
+  if (faceIndexCache.source !== source) {
+    faceIndexCache = {
+      source,
+      index: buildFaceIndex(source ? JSON.parse(source) : {})
+    };
+  }
+  return faceIndexCache.index;
+}
+
+/**
+ * Enroll a voter's face after checking it against every other enrolled voter.
+ * Duplicates are blocked or flagged (APP_CONFIG.face.duplicatePolicy) and
+ * recorded in the duplicate-face audit log for an election official.
+ * @param {string} aadhar - Aadhar number
+ * @param {Array<Float32Array>} descriptors - Face descriptors captured during enrollment
+ * @returns {Promise<Object>} { success: boolean, flagged: boolean, message: string }
+ */
+async function enrollFaceTemplates(aadhar, descriptors) {
+  const storage = getStorage();
+  const result = typeof storage.enrollFace === 'function'
+    ? await storage.enrollFace(await getSessionToken(), aadhar, descriptors.map(descriptor => Array.from(descriptor)))
+    : await screenAndStoreFace(storage, aadhar, descriptors);
+  if (!isAuditedByServer('enrollFace')) {
+    await recordAuditEvent('face-enrollment', {
+      outcome: result.success ? 'success' : 'failure',
+      actor: { role: 'voter', id: aadhar },
+      details: { flagged: result.flagged, templates: descriptors.length }
+    });
+  }
+  return result;
+}
+
+/**
+ * Screen a face against this device's enrolled voters and store it if it
+ * is allowed
+ * @param {Object} storage - Storage adapter
+ * @param {string} aadhar - Aadhar number
+ * @param {Array<Float32Array>} descriptors - Face descriptors captured during enrollment
+ * @returns {Promise<Object>} { success: boolean, flagged: boolean, message: string }
+ */
+async function screenAndStoreFace(storage, aadhar, descriptors) {
+  // A face is enrolled once: only an election official can reset it
+  if ((await getFaceTemplates(aadhar)) !== null) {
+    return {
+      success: false,
+      flagged: false,
+      message: 'A face is already enrolled for this Aadhar Number. Please ask an election official to reset it.'
+    };
+  }
+
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const screening = screenFaceEnrollment(await getFaceIndex(), aadhar, descriptors, {
+    threshold: faceConfig.duplicateThreshold,
+    policy: faceConfig.duplicatePolicy,
+    reviews: await readStoredJSON(storage, STORAGE_KEYS.FACE_DUPLICATE_AUDIT, [])
+  });
+
+  if (screening.auditRecord) {
+    await appendStoredRecord(storage, STORAGE_KEYS.FACE_DUPLICATE_AUDIT, screening.auditRecord);
+    console.warn('Possible duplicate face enrollment recorded:', screening.auditRecord.id);
+  }
+
+  // Officials review duplicates through the server (see getFaceReviews), so
+  // without one nobody will
+  if (!screening.allowed) {
+    return {
+      success: false,
+      flagged: true,
+      message: 'This face appears to be enrolled under another Aadhar Number, so enrollment has been blocked. Please ask an election official for help.'
+    };
+  }
+
+  await storeFaceTemplates(aadhar, descriptors);
+  return { success: true, flagged: screening.flagged, message: 'Face enrolled successfully.' };
+}
+
+/**
+ * Reset a voter's face enrollment so they can enroll again. Only an election
+ * official can do this, through the server, which records it in the audit log.
+ * @param {string} aadhar - Aadhar number
+ * @param {string} reason - Why the enrollment is reset
+ * @returns {Promise<Object>} { success: boolean, message: string }
+ */
+async function resetFaceEnrollment(aadhar, reason) {
+  const number = String(aadhar || '').trim();
+  if (!/^\d{12}$/.test(number) || !aadharChecks.hasValidAadharChecksum(number)) {
+    return { success: false, message: 'Please enter a valid 12-digit Aadhar Number.' };
+  }
+  if (!reason || reason.trim() === '') {
+    return { success: false, message: 'Please give a reason for resetting the face enrollment.' };
+  }
+  const storage = getStorage();
+  const session = await getOfficialSession();
+  if (!session || typeof storage.resetFaceEnrollment !== 'function') {
+    return { success: false, message: 'Face enrollments can only be reset by an election official logged in through the voting server.' };
+  }
+  return storage.resetFaceEnrollment(session.token, number, reason.trim());
+}
+
+/**
+ * Get the possible duplicate enrollments for the logged-in election official
+ * to review. They are only reviewed through the server, where officials log in.
+ * @returns {Promise<Object>} { success, message, records } - records oldest first
+ */
+async function getFaceReviews() {
+  const storage = getStorage();
+  const session = await getOfficialSession();
+  if (!session || typeof storage.getFaceReviews !== 'function') {
+    return { success: false, message: 'Please log in as an election official.', records: [] };
+  }
+  return storage.getFaceReviews(session.token);
+}
+
+/**
+ * Record the logged-in election official's decision on a possible duplicate
+ * enrollment. The server records it in the audit log.
+ * @param {string} id - Id of the duplicate-face record
+ * @param {string} resolution - 'cleared' (different people) or 'confirmed'
+ *   (the same person, whose flagged enrollment is removed)
+ * @param {string} note - What the official checked
+ * @returns {Promise<Object>} { success, message }
+ */
+async function resolveFaceReview(id, resolution, note) {
+  if (!note || note.trim() === '') {
+    return { success: false, message: 'Please note what you checked to decide.' };
+  }
+  const storage = getStorage();
+  const session = await getOfficialSession();
+  if (!session || typeof storage.resolveFaceReview !== 'function') {
+    return { success: false, message: 'Please log in as an election official.' };
+  }
+  return storage.resolveFaceReview(session.token, id, resolution, note.trim());
+}
+
+/**
+ * Euclidean distance between two face descriptors
+ * @param {ArrayLike<number>} a - First descriptor
+ * @param {ArrayLike<number>} b - Second descriptor
+ * @returns {number} Distance (0 = identical)
+ */
+function faceDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Score a captured descriptor against an enrolled template set
+ * @param {Array<ArrayLike<number>>} templates - Enrolled descriptors
+ * @param {ArrayLike<number>} descriptor - Captured descriptor
+ * @param {Object} options - { threshold, scoring: 'best' | 'mean' }
+ * @returns {Object} { isMatch, distance, bestDistance, meanDistance }
+ */
+function scoreFaceMatch(templates, descriptor, options = {}) {
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const threshold = options.threshold || faceConfig.matchThreshold || 0.6;
+  const scoring = options.scoring || faceConfig.scoring || 'best';
+
+  const distances = templates.map(template => faceDistance(template, descriptor));
+  const bestDistance = Math.min(...distances);
+  const meanDistance = distances.reduce((sum, d) => sum + d, 0) / distances.length;
+  const distance = scoring === 'mean' ? meanDistance : bestDistance;
+
+  return {
+    isMatch: distance < threshold,
+    distance,
+    bestDistance,
+    meanDistance
+  };
+}
+
+/**
+ * Score every frame of one verification against an enrolled template set.
+ * Each frame must match the templates and all of them must show the same
+ * face, so a live person cannot follow a liveness challenge while a photo
+ * of the voter is matched.
+ * @param {Array<ArrayLike<number>>} templates - Enrolled descriptors
+ * @param {Array<ArrayLike<number>>} descriptors - Descriptors of the captured frames
+ * @param {Object} options - { threshold, scoring }, as for scoreFaceMatch
+ * @returns {Object} { isMatch, reason, distance, spread, frames } - reason is
+ *   null, 'mismatch' (a frame does not match) or 'inconsistent' (two frames
+ *   show different faces); distance is the worst frame's score and spread the
+ *   largest distance between two frames
+ */
+function scoreFaceFrames(templates, descriptors, options = {}) {
+  const faceConfig = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.face) || {};
+  const threshold = options.threshold || faceConfig.matchThreshold || 0.6;
+
+  const distance = Math.max(...descriptors.map(descriptor => scoreFaceMatch(templates, descriptor, options).distance));
+  let spread = 0;
+  descriptors.forEach((a, i) => {
+    descriptors.slice(i + 1).forEach((b) => {
+      spread = Math.max(spread, faceDistance(a, b));
+    });
+  });
+
+  let reason = null;
+  if (distance >= threshold) {
+    reason = 'mismatch';
+  } else if (spread >= threshold) {
+    reason = 'inconsistent';
+  }
+  return { isMatch: reason === null, reason, distance, spread, frames: descriptors.length };
+}
+
+/**
+ * Check if user has already voted (is on the voter roll). The server only
+ * tells the logged-in voter about themselves.
+ * @param {string} aadhar - Aadhar number
+ * @returns {Promise<boolean>}
+ */
+async function hasUserVoted(aadhar) {
+  const storage = getStorage();
+  if (typeof storage.hasVoted === 'function') {
+    return storage.hasVoted(await getSessionToken(), aadhar);
+  }
+  const key = STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar;
+  return (await storage.getItem(key)) === 'true';
+}
+
+/**
+ * Mark user as having voted (add them to the voter roll)
+ * @param {string} aadhar - Aadhar number
+ * @returns {Promise<void>}
+ */
+async function markUserAsVoted(aadhar) {
+  const key = STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar;
+  await getStorage().setItem(key, 'true');
+}
+
+/**
+ * Get everyone on this device's voter roll
+ * @returns {Promise<Array<string>>} Aadhar numbers of voter accounts that
+ *   have voted
+ */
+async function getVoterRoll() {
+  const voters = Object.keys(await getVoterAccounts());
+  const voted = await Promise.all(voters.map(hasUserVoted));
+  return voters.filter((aadhar, index) => voted[index]);
+}
+
+// ============================================
+// Vote Storage
+// ============================================
+
+/**
+ * Store a voter's whole ballot securely: the ballot is encrypted here with
+ * the election's public key and goes in the ballot box without the voter's
+ * details, and the voter goes on the voter roll
+ * @param {string} aadhar - Aadhar number
+ * @param {Object} selections - Choice per contest: { [contestId]: candidate }, or a
+ *   list of candidates for approval and ranked contests
+ * @returns {Promise<Object>} { success, receipt } - receipt is the ballot's
+ *   receipt code (see receipt.js), or null if the ballot was not stored
+ */
+async function storeVote(aadhar, selections) {
+  // The audit log records that the voter voted, never what they chose or
+  // their receipt
+  const recordVote = (outcome, reason = null) => recordAuditEvent('vote-cast', {
+    outcome,
+    actor: { role: 'voter', id: aadhar },
+    details: reason ? { reason } : {}
+  });
+  try {
+    // Only a verified voter who has been shown the ballot can cast it
+    const journey = await getVoterJourney();
+    if (!journey || journey.aadhar !== aadhar || journey.state !== 'ballot-issued') {
+      console.error('Ballot rejected:', journey ? describeJourneyState(journey) : 'Nobody is logged in.');
+      await recordVote('failure', 'no-ballot-issued');
+      return { success: false, receipt: null };
+    }
+
+    // The ballot is checked before it is encrypted: after that, no one can
+    // read it until the count
+    const election = await loadElection();
+    const check = checkBallotSelections(election, selections);
+    if (!check.valid) {
+      console.error('Ballot rejected:', check.message);
+      await recordVote('failure', 'invalid-ballot');
+      return { success: false, receipt: null };
+    }
+    const ballot = await encryptBallot(createBallot(check.selections), election.encryption);
+    // The receipt is only given to the voter, never stored with their details
+    const receipt = await getBallotReceipt(ballot);
+
+    // Server-backed storage records the vote and enforces one vote per voter
+    // and the polling window. The server records the vote in the audit log,
+    // or why it refused it.
+    const storage = getStorage();
+    if (isAuditedByServer('castVote')) {
+      try {
+        await storage.castVote(await getSessionToken(), ballot);
+      } catch (error) {
+        console.error('Error storing vote:', error);
+        return { success: false, receipt: null };
+      }
+      await setJourneyState(journey, 'voted');
+      return { success: true, receipt };
+    }
+
+    const schedule = await getPollSchedule();
+    if (!isPollOpen(schedule)) {
+      console.error('Ballot rejected:', describePollSchedule(schedule));
+      await recordVote('failure', 'poll-closed');
+      return { success: false, receipt: null };
+    }
+
+    // The ballot box must still match its signed log: signing it again would
+    // hide any change made to it outside the app
+    const storedBallots = await getVotes();
+    const checkpoint = await readStoredJSON(storage, STORAGE_KEYS.BALLOT_CHECKPOINT, null);
+    const keyPair = await getBallotLogSigningKey();
+    if (checkpoint || storedBallots.some(stored => stored.chain)) {
+      const report = await checkBallotLog(storedBallots, checkpoint, await exportBallotLogPublicKey(keyPair), election.id);
+      if (!report.valid) {
+        console.error('Ballot rejected:', describeBallotLogReport(report).join(' '));
+        await recordVote('failure', 'ballot-log-mismatch');
+        return { success: false, receipt: null };
+      }
+    }
+
+    // Ballots stored before the voter roll was separated still name their
+    // voters: move them to the voter roll and shuffle the ballots. Ballots
+    // stored before encryption are encrypted now.
+    const { ballots, voters } = separateVoterRoll(storedBallots);
+    for (const voter of voters) {
+      await markUserAsVoted(voter);
+    }
+    const sealed = await encryptStoredBallots(ballots, election.encryption);
+    if (await isBallotInBox(sealed.ballots, ballot)) {
+      console.error('Ballot rejected: this ballot is already in the ballot box.');
+      await recordVote('failure', 'duplicate-ballot');
+      return { success: false, receipt: null };
+    }
+
+    // Add the anonymous ballot at a random position, then link the ballot box
+    // and sign its new head
+    const log = await sealBallotLog(addBallotToBox(sealed.ballots, ballot), election.id, keyPair);
+    await writeStoredJSON(storage, STORAGE_KEYS.VOTES, log.ballots);
+    await writeStoredJSON(storage, STORAGE_KEYS.BALLOT_CHECKPOINT, log.checkpoint);
+    
+    // Mark user as voted
+    await markUserAsVoted(aadhar);
+    await setJourneyState(journey, 'voted');
+    await recordVote('success');
+    
+    return { success: true, receipt };
+  } catch (error) {
+    console.error('Error storing vote:', error);
+    await recordVote('failure', 'not-stored');
+    return { success: false, receipt: null };
+  }
+}
+
+/**
+ * Get all votes
+ * @returns {Promise<Array>} Encrypted, anonymous ballots (see encryptBallot
+ *   in ballot-crypto.js), in random order, each with its chain link (see
+ *   ballot-log.js)
+ */
+async function getVotes() {
+  return readStoredJSON(getStorage(), STORAGE_KEYS.VOTES, []);
+}
+
+// ============================================
+// Ballot Log
+// ============================================
+
+// Ballots stored on this device are signed with this device's key. IndexedDB
+// can hold the CryptoKey itself, so the private key is never exportable.
+const BALLOT_LOG_KEY_DATABASE = 'inclusive-voting-keys';
+const BALLOT_LOG_KEY_NAME = 'ballot_log_signing_key';
+let ballotLogKeyPromise = null;
+
+/**
+ * Get this device's ballot log signing key pair, creating it the first time
+ * @returns {Promise<CryptoKeyPair>}
+ */
+async function getBallotLogSigningKey() {
+  if (!ballotLogKeyPromise) {
+    ballotLogKeyPromise = (async () => {
+      const keyStore = createIndexedDBAdapter(BALLOT_LOG_KEY_DATABASE);
+      let keyPair = await keyStore.getItem(BALLOT_LOG_KEY_NAME);
+      if (!keyPair) {
+        keyPair = await generateBallotLogKey();
+        await keyStore.setItem(BALLOT_LOG_KEY_NAME, keyPair);
+      }
+      return keyPair;
+    })();
+    ballotLogKeyPromise.catch(() => {
+      ballotLogKeyPromise = null;
+    });
+  }
+  return ballotLogKeyPromise;
+}
+
+/**
+ * Get the ballot box with its signed checkpoint (election officials only)
+ * @returns {Promise<Object>} { success, message, log } - log is
+ *   { electionId, ballots, checkpoint, publicKey }, publicKey being the key
+ *   the checkpoint should be signed with
+ */
+async function getBallotLog() {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', log: null };
+  }
+  const poll = await checkBallotsReadable();
+  if (!poll.readable) {
+    return { success: false, message: poll.message, log: null };
+  }
+
+  const election = await loadElection();
+  const storage = getStorage();
+  if (typeof storage.getBallots === 'function') {
+    const response = await storage.getBallots(session.token);
+    if (!response.success) {
+      // The server no longer accepts this session (expired or server restarted)
+      if (response.rejected) {
+        await clearOfficialSession('rejected');
+      }
+      return { success: false, message: response.message, log: null };
+    }
+    const { ballots, checkpoint, publicKey } = response;
+    return { success: true, message: 'Ballot log loaded.', log: { electionId: election.id, ballots, checkpoint, publicKey } };
+  }
+
+  return {
+    success: true,
+    message: 'Ballot log loaded.',
+    log: {
+      electionId: election.id,
+      ballots: await getVotes(),
+      checkpoint: await readStoredJSON(storage, STORAGE_KEYS.BALLOT_CHECKPOINT, null),
+      publicKey: await exportBallotLogPublicKey(await getBallotLogSigningKey())
+    }
+  };
+}
+
+/**
+ * Check that the ballot with a receipt code is in the ballot box. Anyone can
+ * check a receipt: it does not say how anyone voted.
+ * @param {string} code - Receipt code entered by the voter
+ * @returns {Promise<Object>} { valid, found, message, signedAt } from
+ *   findBallotReceipt (receipt.js)
+ */
+async function checkBallotReceipt(code) {
+  const storage = getStorage();
+  if (typeof storage.checkReceipt === 'function') {
+    return storage.checkReceipt(code);
+  }
+  const election = await loadElection();
+  return findBallotReceipt(
+    code,
+    await getVotes(),
+    await readStoredJSON(storage, STORAGE_KEYS.BALLOT_CHECKPOINT, null),
+    await exportBallotLogPublicKey(await getBallotLogSigningKey()),
+    election.id
+  );
+}
+
+/**
+ * Check the ballot box against its chain links and signed checkpoint
+ * (election officials only). The ballots stay encrypted.
+ * @returns {Promise<Object>} { success, message, report, log } - report from
+ *   checkBallotLog (ballot-log.js), log from getBallotLog
+ */
+async function verifyBallotLog() {
+  const { success, message, log } = await getBallotLog();
+  if (!success) {
+    return { success, message, report: null, log: null };
+  }
+  const report = await checkBallotLog(log.ballots, log.checkpoint, log.publicKey, log.electionId);
+  await recordOfficialAction('verify-ballot-log', report.valid ? 'success' : 'failure', { ballots: log.ballots.length });
+  return { success: true, message: report.message, report, log };
+}
+
+// ============================================
+// Election Results
+// ============================================
+
+// Ballots already decrypted with each election key, so refreshing the
+// results only decrypts new ballots
+const openedBallots = new WeakMap();
+
+/**
+ * Decrypt a ballot and check it against the election
+ * @param {Object} ballot - Ballot from the ballot box
+ * @param {CryptoKey} electionKey - Key from unlockElectionKey (ballot-crypto.js)
+ * @param {Object} election - Election definition
+ * @returns {Promise<Object|null>} { selections }, or null if the ballot
+ *   cannot be decrypted or is not a valid ballot for the election
+ */
+async function openBallot(ballot, electionKey, election) {
+  if (!openedBallots.has(electionKey)) {
+    openedBallots.set(electionKey, new Map());
+  }
+  const opened = openedBallots.get(electionKey);
+  const ballotId = ballot.encrypted ? ballot.encrypted.wrappedKey : null;
+  if (ballotId && opened.has(ballotId)) {
+    return opened.get(ballotId);
+  }
+
+  let result = null;
+  try {
+    // Ballots stored before encryption are kept until the next vote seals them
+    const { selections } = ballot.encrypted ? await decryptBallot(ballot, electionKey) : ballot;
+    const check = checkBallotSelections(election, selections);
+    result = check.valid ? { selections: check.selections } : null;
+  } catch (error) {
+    console.error('Ballot could not be decrypted:', error);
+  }
+  if (ballotId) {
+    opened.set(ballotId, result);
+  }
+  return result;
+}
+
+/**
+ * Decrypt the ballots and count them (election officials only)
+ * @param {CryptoKey} electionKey - Key from unlockElectionKey (ballot-crypto.js)
+ * @returns {Promise<Object>} { success, message, results } - results is null
+ *   when the official is not logged in
+ */
+async function getElectionResults(electionKey) {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', results: null };
+  }
+  const poll = await checkBallotsReadable();
+  if (!poll.readable) {
+    return { success: false, message: poll.message, results: null };
+  }
+
+  const storage = getStorage();
+  let ballots;
+  let registeredVoters;
+  if (typeof storage.getBallots === 'function') {
+    const response = await storage.getBallots(session.token);
+    if (!response.success) {
+      // The server no longer accepts this session (expired or server restarted)
+      if (response.rejected) {
+        await clearOfficialSession('rejected');
+      }
+      return { success: false, message: response.message, results: null };
+    }
+    ({ ballots, registeredVoters } = response);
+  } else {
+    ballots = await getVotes();
+    registeredVoters = Object.keys(await getVoterAccounts()).length;
+  }
+
+  const election = await loadElection();
+  const opened = await Promise.all(ballots.map(ballot => openBallot(ballot, electionKey, election)));
+  const counted = opened.filter(ballot => ballot !== null);
+  return {
+    success: true,
+    message: 'Results updated.',
+    results: computeElectionResults(counted, election, registeredVoters, opened.length - counted.length)
+  };
+}
+
+// ============================================
+// Polling Booths
+// ============================================
+
+/**
+ * Export this booth's ballots and voter roll as a signed booth bundle, to
+ * count together with other booths (election officials only)
+ * @returns {Promise<Object>} { success, message, bundle } - bundle from
+ *   createBoothBundle (booth-bundle.js)
+ */
+async function getBoothBundle() {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', bundle: null };
+  }
+  const poll = await checkBallotsReadable();
+  if (!poll.readable) {
+    return { success: false, message: poll.message, bundle: null };
+  }
+
+  const storage = getStorage();
+  let response;
+  if (typeof storage.getBoothBundle === 'function') {
+    response = await storage.getBoothBundle(session.token);
+    if (!response.success) {
+      if (response.rejected) {
+        await clearOfficialSession('rejected');
+      }
+      return response;
+    }
+  } else {
+    const { log } = await getBallotLog();
+    if (!log.checkpoint) {
+      return { success: false, message: 'No ballots have been signed on this machine yet, so there is nothing to export.', bundle: null };
+    }
+    const boothName = (APP_CONFIG.booth && APP_CONFIG.booth.name) || '';
+    const bundle = await createBoothBundle(log, await getVoterRoll(), boothName, await getBallotLogSigningKey());
+    response = { success: true, message: 'Booth bundle created.', bundle };
+  }
+  if (!isAuditedByServer('getBoothBundle')) {
+    await recordOfficialAction('export-booth-bundle', 'success', {
+      machineId: response.bundle.machineId,
+      ballots: response.bundle.ballots.length
+    });
+  }
+  return response;
+}
+
+/**
+ * Decrypt and count the ballots of imported booth bundles, all together and
+ * booth by booth (election officials only)
+ * @param {CryptoKey} electionKey - Key from unlockElectionKey (ballot-crypto.js)
+ * @param {Array<Object>} bundles - Bundles accepted by importBoothBundle
+ *   (booth-bundle.js)
+ * @returns {Promise<Object>} { success, message, results } - results is
+ *   { total, booths }, total being computeElectionResults (tally.js) for
+ *   every booth and booths { bundle, results } for each one
+ */
+async function getBoothResults(electionKey, bundles) {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', results: null };
+  }
+
+  // Turnout is not known across booths: each only has its own voter accounts
+  const election = await loadElection();
+  const all = [];
+  let allRejected = 0;
+  const booths = [];
+  for (const bundle of bundles) {
+    const opened = await Promise.all(bundle.ballots.map(ballot => openBallot(ballot, electionKey, election)));
+    const counted = opened.filter(ballot => ballot !== null);
+    all.push(...counted);
+    allRejected += opened.length - counted.length;
+    booths.push({ bundle, results: computeElectionResults(counted, election, 0, opened.length - counted.length) });
+  }
+  return {
+    success: true,
+    message: 'Booth results updated.',
+    results: { total: computeElectionResults(all, election, 0, allRejected), booths }
+  };
+}
+
+// ============================================
+// Polling Schedule
+// ============================================
+
+/**
+ * Get the polling window in force, including officials' changes
+ * @returns {Promise<Object>} Window from resolvePollSchedule (schedule.js)
+ */
+async function getPollSchedule() {
+  const storage = getStorage();
+  if (typeof storage.getPollSchedule === 'function') {
+    return storage.getPollSchedule();
+  }
+  return resolvePollSchedule(await loadElection(), await readStoredJSON(storage, STORAGE_KEYS.POLL_AUDIT, []));
+}
+
+/**
+ * Check that polling has closed, so officials can read the ballots. A ballot
+ * that appears while voters are still voting could be matched to the voter
+ * who just voted, so the ballot log, booth bundles and results wait until then.
+ * @returns {Promise<Object>} { readable, message }
+ */
+async function checkBallotsReadable() {
+  const schedule = await getPollSchedule();
+  if (getPollState(schedule) === 'closed') {
+    return { readable: true, message: 'Polling has closed.' };
+  }
+  return { readable: false, message: `The ballots can only be read once polling has closed. ${describePollSchedule(schedule)}` };
+}
+
+/**
+ * Extend the poll or close it early (election officials only). Every change
+ * is kept in the poll audit log.
+ * @param {string} action - 'extend' or 'close'
+ * @param {Object} details - { closesAt (new closing time, for 'extend'), reason }
+ * @returns {Promise<Object>} { success, message, schedule }
+ */
+async function changePollSchedule(action, details) {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', schedule: null };
+  }
+
+  const storage = getStorage();
+  let result;
+  if (typeof storage.changePollSchedule === 'function') {
+    result = await storage.changePollSchedule(session.token, action, details);
+  } else {
+    const schedule = await getPollSchedule();
+    const check = checkPollChange(schedule, action, details);
+    if (check.valid) {
+      await appendStoredRecord(storage, STORAGE_KEYS.POLL_AUDIT,
+        createPollAuditRecord(schedule, action, session.username, check.closesAt, details.reason));
+    }
+    result = check.valid
+      ? { success: true, message: check.message, schedule: await getPollSchedule() }
+      : { success: false, message: check.message, schedule };
+  }
+  if (!isAuditedByServer('changePollSchedule')) {
+    await recordOfficialAction(`${action}-poll`, result.success ? 'success' : 'failure', {
+      closesAt: result.success && result.schedule ? result.schedule.closesAt : null,
+      reason: String(details.reason || '').slice(0, 200)
+    });
+  }
+  return result;
+}
+
+/**
+ * Get the log of officials' changes to the polling window (election officials only)
+ * @returns {Promise<Object>} { success, message, records } - records oldest first
+ */
+async function getPollAudit() {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', records: [] };
+  }
+
+  const storage = getStorage();
+  if (typeof storage.getPollAudit === 'function') {
+    return storage.getPollAudit(session.token);
+  }
+  const election = await loadElection();
+  const records = await readStoredJSON(storage, STORAGE_KEYS.POLL_AUDIT, []);
+  return { success: true, message: 'Audit log loaded.', records: records.filter(record => record.electionId === election.id) };
+}
+
 // ============================================
-// Session Management
+// Audit Log
 // ============================================
 
 /**
- * Get current user session (Aadhar number)
- * @returns {string|null} Aadhar number or null
+ * Start a new audit session on this device
+ * @returns {Promise<string>} Session id
  */
-function getCurrentSession() {
-  return localStorage.getItem(STORAGE_KEYS.SESSION);
+async function startAuditSession() {
+  const sessionId = crypto.randomUUID();
+  await getDeviceStorage().setItem(STORAGE_KEYS.AUDIT_SESSION, sessionId);
+  return sessionId;
 }
 
 /**
- * Set current user session
- * @param {string} aadhar - Aadhar number
+ * Get the id of this device's audit session, starting one when needed.
+ * Logging in starts a new session and logging out ends it.
+ * @returns {Promise<string>} Session id
  */
-function setCurrentSession(aadhar) {
-  localStorage.setItem(STORAGE_KEYS.SESSION, aadhar);
+async function getAuditSessionId() {
+  return (await getDeviceStorage().getItem(STORAGE_KEYS.AUDIT_SESSION)) || startAuditSession();
 }
 
+// Entries stored on this device are chained one at a time, so two events at
+// once cannot both link to the same entry
+let auditQueue = Promise.resolve();
+
 /**
- * Clear current session (logout)
+ * Check if the server records an action in the audit log itself, as it does
+ * for everything done through its endpoints, so the browser must not record
+ * it again
+ * @param {string} hook - Storage hook that does the action, e.g. 'castVote'
+ * @returns {boolean}
  */
-function clearSession() {
-  localStorage.removeItem(STORAGE_KEYS.SESSION);
+function isAuditedByServer(hook) {
+  return typeof getStorage()[hook] === 'function';
 }
 
 /**
- * Check if user is logged in
- * @returns {boolean}
+ * Record an event in the audit log (on the server when the storage backend
+ * has one, which takes the actor and session from the voter's or official's
+ * session token). Failing to record never stops the action itself.
+ * @param {string} event - One of AUDIT_EVENTS (audit-log.js)
+ * @param {Object} options - { outcome, actor, details, sessionId } - the
+ *   session defaults to this device's audit session
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(event, options = {}) {
+  try {
+    const entry = createAuditEntry(event, {
+      source: getActionSource(),
+      page: typeof location !== 'undefined' ? location.pathname.split('/').pop() || 'index.html' : '',
+      ...options,
+      sessionId: options.sessionId !== undefined ? options.sessionId : await getAuditSessionId()
+    });
+
+    const storage = getStorage();
+    if (typeof storage.appendAudit === 'function') {
+      const official = entry.actor && entry.actor.role === 'official'
+        ? await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.OFFICIAL_SESSION, null)
+        : null;
+      await storage.appendAudit(official ? official.token : await getSessionToken(), entry);
+      return;
+    }
+    const run = auditQueue.then(async () => {
+      const entries = await readStoredJSON(storage, STORAGE_KEYS.AUDIT_LOG, []);
+      entries.push(await chainAuditEntry(entries, entry));
+      await writeStoredJSON(storage, STORAGE_KEYS.AUDIT_LOG, entries);
+    });
+    auditQueue = run.catch(() => {});
+    await run;
+  } catch (error) {
+    console.error(`Could not record the ${event} audit event:`, error);
+  }
+}
+
+/**
+ * Get the audit log and check its chain (election officials only)
+ * @returns {Promise<Object>} { success, message, entries, integrity } -
+ *   entries oldest first, integrity from checkAuditLog (audit-log.js)
  */
-function isLoggedIn() {
-  return getCurrentSession() !== null;
+async function getAuditLog() {
+  const session = await getOfficialSession();
+  if (!session) {
+    return { success: false, message: 'Please log in as an election official.', entries: [], integrity: null };
+  }
+
+  const storage = getStorage();
+  let entries;
+  if (typeof storage.getAuditLog === 'function') {
+    const response = await storage.getAuditLog(session.token);
+    if (!response.success) {
+      await clearOfficialSession('rejected');
+      return { success: false, message: response.message, entries: [], integrity: null };
+    }
+    ({ entries } = response);
+  } else {
+    entries = await readStoredJSON(storage, STORAGE_KEYS.AUDIT_LOG, []);
+  }
+  return { success: true, message: 'Audit log loaded.', entries, integrity: await checkAuditLog(entries) };
 }
 
 // ============================================
-// Face Verification State Management
+// Navigation Helpers
 // ============================================
 
 /**
- * Store face descriptor for a user
- * @param {string} aadhar - Aadhar number
- * @param {Float32Array} descriptor - Face descriptor array
+ * Redirect to a page
+ * @param {string} page - Page filename (e.g., 'home.html')
+ * @param {Object} params - Optional query parameters
+ */
+function redirectTo(page, params = {}) {
+  let url = page;
+  if (Object.keys(params).length > 0) {
+    const queryString = new URLSearchParams(params).toString();
+    url += '?' + queryString;
+  }
+  window.location.href = url;
+}
+
+/**
+ * Check authentication and redirect if needed. A session that has ended is
+ * logged out cleanly: the camera is stopped and the login page explains why.
+ * While the session lasts, the page warns the voter before it ends.
+ * @param {string} redirectToPage - Page to redirect to if not logged in
+ * @returns {Promise<boolean>} True if logged in
+ */
+async function requireAuth(redirectToPage = 'index.html') {
+  const session = await getVoterSession();
+  if (session && !session.ended) {
+    watchVoterSession(session);
+    return true;
+  }
+
+  if (typeof stopWatchingSession === 'function') {
+    stopWatchingSession();
+  }
+  if (typeof stopCamera === 'function') {
+    stopCamera();
+  }
+  if (session) {
+    await clearSession(session.ended);
+    redirectTo(redirectToPage, { session: session.ended });
+  } else {
+    if (typeof speak === 'function') {
+      speak('Please login first.');
+    }
+    redirectTo(redirectToPage);
+  }
+  return false;
+}
+
+// ============================================
+// Voter Journey
+// ============================================
+
+// The steps every voter goes through, in order: logging in, verifying their
+// identity (face, one-time code or poll officer), being shown the ballot
+// and casting it. Each page declares the steps it is for and sends voters at
+// any other step to the page for that step (see requireJourneyState).
+const VOTER_JOURNEY = ['logged-in', 'face-verified', 'ballot-issued', 'voted'];
+
+// The steps a voter may move to from each step. Verifying again renews the
+// verification; a cast ballot is final.
+const JOURNEY_TRANSITIONS = {
+  'logged-in': ['face-verified'],
+  'face-verified': ['face-verified', 'ballot-issued'],
+  'ballot-issued': ['face-verified', 'ballot-issued', 'voted'],
+  voted: []
+};
+
+// The page for a voter at each step, and its name for speech
+const JOURNEY_PAGES = {
+  'logged-in': { page: 'face-verification.html', name: 'face verification' },
+  'face-verified': { page: 'home.html', name: 'home' },
+  'ballot-issued': { page: 'voting.html', name: 'voting' },
+  voted: { page: 'home.html', name: 'home' }
+};
+
+// Time to hear why a page is being left before going
+const JOURNEY_REDIRECT_DELAY_MS = 3000;
+
+/**
+ * Get where the logged-in voter is in their journey. A verification older
+ * than APP_CONFIG.session.verificationTtlMs has expired, which puts the voter
+ * back at 'logged-in', and anyone on the voter roll has voted, whichever
+ * device they voted on.
+ * @returns {Promise<Object|null>} { aadhar, state, timestamps, expired } -
+ *   timestamps holds when each step was reached; expired is true when the
+ *   verification has run out. Null when nobody is logged in.
+ */
+async function getVoterJourney() {
+  const aadhar = await getCurrentSession();
+  if (!aadhar) {
+    return null;
+  }
+
+  const stored = await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.VOTER_JOURNEY, null);
+  const journey = stored && stored.aadhar === aadhar
+    ? stored
+    : { aadhar, state: 'logged-in', timestamps: {} };
+  if (await hasUserVoted(aadhar)) {
+    return { ...journey, state: 'voted', expired: false };
+  }
+  const verifiedAt = Date.parse(journey.timestamps['face-verified']);
+  if ((journey.state === 'face-verified' || journey.state === 'ballot-issued') &&
+      Date.now() - verifiedAt > getVoterSessionSettings().verificationTtlMs) {
+    return { ...journey, state: 'logged-in', expired: true };
+  }
+  return { ...journey, expired: false };
+}
+
+/**
+ * Store the voter's new step, with when it was reached
+ * @param {Object} journey - From getVoterJourney
+ * @param {string} state - One of VOTER_JOURNEY
+ * @returns {Promise<Object>} The new journey
  */
-function storeFaceDescriptor(aadhar, descriptor) {
-  const descriptors = getFaceDescriptors();
-  descriptors[aadhar] = Array.from(descriptor); // Convert to regular array for JSON
-  localStorage.setItem(STORAGE_KEYS.FACE_DESCRIPTORS, JSON.stringify(descriptors));
+async function setJourneyState(journey, state) {
+  const next = {
+    aadhar: journey.aadhar,
+    state,
+    timestamps: { ...journey.timestamps, [state]: new Date().toISOString() }
+  };
+  await writeStoredJSON(getDeviceStorage(), STORAGE_KEYS.VOTER_JOURNEY, next);
+  return { ...next, expired: false };
 }
 
 /**
- * Get stored face descriptor for a user
+ * Start the journey of a voter who has just logged in
  * @param {string} aadhar - Aadhar number
- * @returns {Float32Array|null} Face descriptor or null
+ * @returns {Promise<void>}
+ */
+async function startVoterJourney(aadhar) {
+  await setJourneyState({ aadhar, timestamps: {} }, 'logged-in');
+}
+
+/**
+ * Explain to the voter why they cannot do what they tried at their step
+ * @param {Object} journey - From getVoterJourney
+ * @returns {string}
  */
-function getFaceDescriptor(aadhar) {
-  const descriptors = getFaceDescriptors();
-  if (descriptors[aadhar]) {
-    return new Float32Array(descriptors[aadhar]);
+function describeJourneyState(journey) {
+  if (journey.expired) {
+    return 'Your identity check has expired. Please verify your identity again.';
   }
+  switch (journey.state) {
+    case 'logged-in':
+      return 'Please verify your identity first.';
+    case 'face-verified':
+      return 'You have already verified your identity.';
+    case 'ballot-issued':
+      return 'Your ballot is waiting for you on the voting page.';
+    default:
+      return 'You have already voted. Each person can only vote once.';
+  }
+}
+
+/**
+ * Move the logged-in voter to the next step of their journey
+ * @param {string} state - One of VOTER_JOURNEY
+ * @returns {Promise<Object>} { success, message, journey }
+ */
+async function advanceVoterJourney(state) {
+  const journey = await getVoterJourney();
+  if (!journey) {
+    return { success: false, message: 'Please login first.', journey: null };
+  }
+  if (!JOURNEY_TRANSITIONS[journey.state].includes(state)) {
+    return { success: false, message: describeJourneyState(journey), journey };
+  }
+  return { success: true, message: 'Journey updated.', journey: await setJourneyState(journey, state) };
+}
+
+/**
+ * Check that the voter is logged in and at a step this page is for. Voters
+ * at another step are told why, on screen and by voice, and taken to the
+ * page for their step.
+ * @param {Array<string>} allowed - Steps of VOTER_JOURNEY the page is for
+ * @returns {Promise<Object|null>} The journey (see getVoterJourney), or null
+ *   when the voter is being taken elsewhere
+ */
+async function requireJourneyState(allowed) {
+  if (!(await requireAuth())) {
+    return null;
+  }
+  const journey = await getVoterJourney();
+  if (!journey) {
+    return null;
+  }
+  if (allowed.includes(journey.state)) {
+    return journey;
+  }
+
+  const { page, name } = JOURNEY_PAGES[journey.state];
+  const message = `${describeJourneyState(journey)} Taking you to the ${name} page.`;
+  if (typeof stopCamera === 'function') {
+    stopCamera();
+  }
+  showStatusMessage(message, journey.state === 'voted' ? 'error' : 'info', 0);
+  if (typeof speak === 'function') {
+    speak(message);
+  }
+  setTimeout(() => {
+    redirectTo(page);
+  }, JOURNEY_REDIRECT_DELAY_MS);
   return null;
 }
 
+// ============================================
+// Voter Accounts
+// ============================================
+
+const INVALID_CREDENTIALS_MESSAGE = 'Incorrect Aadhar Number or password. Please try again.';
+
 /**
- * Get all face descriptors
- * @returns {Object} Object with aadhar as keys and descriptors as values
+ * Get all voter accounts
+ * @returns {Promise<Object>} Object with aadhar as keys and account records as values
  */
-function getFaceDescriptors() {
-  const stored = localStorage.getItem(STORAGE_KEYS.FACE_DESCRIPTORS);
-  return stored ? JSON.parse(stored) : {};
+async function getVoterAccounts() {
+  return readStoredJSON(getStorage(), STORAGE_KEYS.VOTER_ACCOUNTS, {});
 }
 
 /**
- * Check if user has already voted
+ * Create a voter account with a hashed password
  * @param {string} aadhar - Aadhar number
- * @returns {boolean}
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} { success: boolean, message: string }
  */
-function hasUserVoted(aadhar) {
-  const key = STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar;
-  return localStorage.getItem(key) === 'true';
+async function createVoterAccount(aadhar, password) {
+  const format = validateLoginFormat(aadhar, password);
+  if (!format.valid) {
+    return { success: false, message: format.message };
+  }
+  const strength = validateNewPassword(password);
+  if (!strength.valid) {
+    return { success: false, message: strength.message };
+  }
+
+  const storage = getStorage();
+  if (typeof storage.createAccount === 'function') {
+    return storage.createAccount(aadhar.trim(), password);
+  }
+
+  const accounts = await getVoterAccounts();
+  if (accounts[aadhar.trim()]) {
+    return { success: false, message: 'An account already exists for this Aadhar Number.' };
+  }
+  accounts[aadhar.trim()] = {
+    password: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+  await writeStoredJSON(storage, STORAGE_KEYS.VOTER_ACCOUNTS, accounts);
+  return { success: true, message: 'Account created. You can now log in.' };
 }
 
 /**
- * Mark user as having voted
+ * Check a voter's password
  * @param {string} aadhar - Aadhar number
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} True if the account exists and the password matches
  */
-function markUserAsVoted(aadhar) {
-  const key = STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar;
-  localStorage.setItem(key, 'true');
+async function authenticateVoter(aadhar, password) {
+  const accounts = await getVoterAccounts();
+  const account = accounts[aadhar];
+  return account ? verifyPassword(password, account.password) : false;
+}
+
+/**
+ * Change a voter's password
+ * @param {string} aadhar - Aadhar number
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} { success: boolean, message: string }
+ */
+async function changeVoterPassword(aadhar, currentPassword, newPassword) {
+  const strength = validateNewPassword(newPassword);
+  if (!strength.valid) {
+    return { success: false, message: strength.message };
+  }
+
+  const storage = getStorage();
+  if (typeof storage.changePassword === 'function') {
+    return storage.changePassword(await getSessionToken(), aadhar, currentPassword, newPassword);
+  }
+
+  if (!(await authenticateVoter(aadhar, currentPassword))) {
+    return { success: false, message: 'Your current password is incorrect.' };
+  }
+  const accounts = await getVoterAccounts();
+  accounts[aadhar].password = await hashPassword(newPassword);
+  accounts[aadhar].passwordChangedAt = new Date().toISOString();
+  await writeStoredJSON(storage, STORAGE_KEYS.VOTER_ACCOUNTS, accounts);
+  return { success: true, message: 'Your password has been changed.' };
 }
 
 // ============================================
-// Vote Storage
+// Fallback Verification
 // ============================================
 
 /**
- * Store a vote securely
+ * Get the fallback settings from APP_CONFIG
+ * @returns {Object} APP_CONFIG.fallback (or {})
+ */
+function getFallbackConfig() {
+  return (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.fallback) || {};
+}
+
+/**
+ * Send a voter a one-time code through the configured channel
  * @param {string} aadhar - Aadhar number
- * @param {Object} candidate - Candidate object with name, party, etc.
- * @returns {boolean} Success status
+ * @param {string} reason - 'camera-unavailable' or 'face-rejected'
+ * @returns {Promise<Object>} { success: boolean, message: string }
  */
-function storeVote(aadhar, candidate) {
-  try {
-    // Get existing votes
-    const votes = getVotes();
-    
-    // Create vote record
-    const voteRecord = {
-      aadhar: aadhar,
-      candidate: candidate,
-      timestamp: Date.now(),
-      date: new Date().toISOString()
+async function requestFallbackCode(aadhar, reason) {
+  const storage = getStorage();
+  if (typeof storage.requestFallbackCode === 'function') {
+    return storage.requestFallbackCode(await getSessionToken(), reason);
+  }
+
+  const subjects = getFallbackSubjects(aadhar, await getAuditSessionId());
+  const attempts = await readStoredJSON(storage, STORAGE_KEYS.FALLBACK_ATTEMPTS, {});
+  const limit = checkFallbackLimit(attempts, 'otp-request', subjects);
+  if (!limit.allowed) {
+    await appendStoredRecord(storage, STORAGE_KEYS.FALLBACK_AUDIT,
+      createFallbackAuditRecord(aadhar, 'otp', 'rejected', { reason, message: limit.message }));
+    return { success: false, message: limit.message };
+  }
+  await writeStoredJSON(storage, STORAGE_KEYS.FALLBACK_ATTEMPTS, recordFallbackAttempt(attempts, 'otp-request', subjects));
+
+  const channel = createFallbackChannel(getFallbackConfig().channel || 'mock-sms',
+    entry => appendStoredRecord(storage, STORAGE_KEYS.FALLBACK_OUTBOX, entry));
+  const code = generateFallbackCode();
+  const codes = await readStoredJSON(storage, STORAGE_KEYS.FALLBACK_CODES, {});
+  codes[aadhar] = await createFallbackCodeRecord(code);
+  await writeStoredJSON(storage, STORAGE_KEYS.FALLBACK_CODES, codes);
+
+  await channel.send(aadhar, formatFallbackCodeMessage(code));
+  await appendStoredRecord(storage, STORAGE_KEYS.FALLBACK_AUDIT,
+    createFallbackAuditRecord(aadhar, 'otp', 'code-sent', { reason, channel: channel.name }));
+  return { success: true, message: `A one-time code has been sent to you by ${channel.label}.` };
+}
+
+/**
+ * Confirm a voter's identity with the one-time code they received
+ * @param {string} aadhar - Aadhar number
+ * @param {string} code - Code entered by the voter
+ * @param {string} reason - 'camera-unavailable' or 'face-rejected'
+ * @returns {Promise<Object>} { success: boolean, message: string }
+ */
+async function verifyFallbackCode(aadhar, code, reason) {
+  const storage = getStorage();
+  let result;
+  if (typeof storage.verifyFallback === 'function') {
+    result = await storage.verifyFallback(await getSessionToken(), { method: 'otp', code, reason });
+  } else {
+    const codes = await readStoredJSON(storage, STORAGE_KEYS.FALLBACK_CODES, {});
+    const check = await checkFallbackCode(codes[aadhar], code);
+    if (check.record) {
+      codes[aadhar] = check.record;
+    } else {
+      delete codes[aadhar];
+    }
+    await writeStoredJSON(storage, STORAGE_KEYS.FALLBACK_CODES, codes);
+
+    await appendStoredRecord(storage, STORAGE_KEYS.FALLBACK_AUDIT, createFallbackAuditRecord(
+      aadhar, 'otp', check.valid ? 'verified' : 'rejected', { reason, message: check.valid ? null : check.message }));
+    result = {
+      success: check.valid,
+      message: check.valid ? 'Your identity has been confirmed with the one-time code.' : check.message
     };
-    
-    // Add to votes array
-    votes.push(voteRecord);
-    
-    // Store back to localStorage
-    localStorage.setItem(STORAGE_KEYS.VOTES, JSON.stringify(votes));
-    
-    // Mark user as voted
-    markUserAsVoted(aadhar);
-    
-    return true;
-  } catch (error) {
-    console.error('Error storing vote:', error);
+  }
+
+  if (result.success) {
+    await grantFallbackPass(aadhar, 'otp');
+  }
+  if (!isAuditedByServer('verifyFallback')) {
+    await recordAuditEvent('verification', {
+      outcome: result.success ? 'success' : 'failure',
+      actor: { role: 'voter', id: aadhar },
+      details: { method: 'otp', reason }
+    });
+  }
+  return result;
+}
+
+/**
+ * Check if a poll officer can confirm voters' identities. The officer PIN is
+ * kept in the server's settings, so there is no override without the server.
+ * @returns {Promise<boolean>}
+ */
+async function isOfficerOverrideAvailable() {
+  const storage = getStorage();
+  if (typeof storage.getFallbackOptions !== 'function') {
     return false;
   }
+  const options = await storage.getFallbackOptions(await getSessionToken());
+  return options.officerOverride;
 }
 
 /**
- * Get all votes
- * @returns {Array} Array of vote records
+ * Confirm a voter's identity with a poll officer's override PIN
+ * @param {string} aadhar - Aadhar number
+ * @param {string} officer - Name or ID of the poll officer
+ * @param {string} pin - Officer's override PIN
+ * @param {string} reason - 'camera-unavailable' or 'face-rejected'
+ * @returns {Promise<Object>} { success: boolean, message: string }
+ */
+async function verifyOfficerOverride(aadhar, officer, pin, reason) {
+  if (!officer || officer.trim() === '') {
+    return { success: false, message: 'Please enter the poll officer\'s name or ID.' };
+  }
+
+  const storage = getStorage();
+  let result;
+  if (typeof storage.verifyFallback === 'function') {
+    result = await storage.verifyFallback(await getSessionToken(), { method: 'officer-pin', officer: officer.trim(), pin, reason });
+  } else {
+    // The PIN is only kept on the server (see isOfficerOverrideAvailable)
+    const check = await checkOfficerPin(pin, null);
+    await appendStoredRecord(storage, STORAGE_KEYS.FALLBACK_AUDIT, createFallbackAuditRecord(
+      aadhar, 'officer-pin', 'rejected', { reason, officer: officer.trim(), message: check.message }));
+    result = { success: false, message: check.message };
+  }
+
+  if (result.success) {
+    await grantFallbackPass(aadhar, 'officer-pin');
+  }
+  if (!isAuditedByServer('verifyFallback')) {
+    await recordAuditEvent('verification', {
+      outcome: result.success ? 'success' : 'failure',
+      actor: { role: 'voter', id: aadhar },
+      details: { method: 'officer-pin', reason, officer: officer.trim() }
+    });
+  }
+  return result;
+}
+
+/**
+ * Remember on this device that the voter passed a fallback check
+ * @param {string} aadhar - Aadhar number
+ * @param {string} method - 'otp' or 'officer-pin'
+ * @returns {Promise<void>}
+ */
+async function grantFallbackPass(aadhar, method) {
+  await writeStoredJSON(getDeviceStorage(), STORAGE_KEYS.FALLBACK_PASS, {
+    aadhar,
+    method,
+    expiresAt: new Date(Date.now() + FALLBACK_SETTINGS.passTtlMs).toISOString()
+  });
+}
+
+/**
+ * Check if the voter passed a fallback check recently, which unlocks voting
+ * without another face verification
+ * @param {string} aadhar - Aadhar number
+ * @returns {Promise<boolean>}
  */
-function getVotes() {
-  const stored = localStorage.getItem(STORAGE_KEYS.VOTES);
-  return stored ? JSON.parse(stored) : [];
+async function hasFallbackPass(aadhar) {
+  const pass = await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.FALLBACK_PASS, null);
+  return !!pass && pass.aadhar === aadhar && Date.now() < Date.parse(pass.expiresAt);
 }
 
 /**
- * Get vote count for a candidate
- * @param {string} candidateName - Candidate name
- * @returns {number} Vote count
+ * Get the log of every fallback verification for the logged-in election
+ * official, through the server
+ * @returns {Promise<Object>} { success, message, records } - records oldest first
  */
-function getCandidateVoteCount(candidateName) {
-  const votes = getVotes();
-  return votes.filter(vote => vote.candidate.name === candidateName).length;
+async function getFallbackAudit() {
+  const storage = getStorage();
+  const session = await getOfficialSession();
+  if (!session || typeof storage.getFallbackAudit !== 'function') {
+    return { success: false, message: 'Please log in as an election official.', records: [] };
+  }
+  return storage.getFallbackAudit(session.token);
 }
 
 // ============================================
-// Navigation Helpers
+// Election Officials
 // ============================================
 
 /**
- * Redirect to a page
- * @param {string} page - Page filename (e.g., 'home.html')
- * @param {Object} params - Optional query parameters
+ * Check if election officials can log in here. Their accounts are kept in
+ * the server's settings, so there is no official login without the server.
+ * @returns {boolean}
  */
-function redirectTo(page, params = {}) {
-  let url = page;
-  if (Object.keys(params).length > 0) {
-    const queryString = new URLSearchParams(params).toString();
-    url += '?' + queryString;
+function canOfficialsLogIn() {
+  return typeof getStorage().officialLogin === 'function';
+}
+
+/**
+ * Log in an election official. Official sessions are kept apart from voter
+ * sessions, so logging in or out as one never affects the other.
+ * @param {string} username - Official's username
+ * @param {string} password - Official's password
+ * @returns {Promise<Object>} { valid: boolean, message: string }
+ */
+async function loginOfficial(username, password) {
+  if (!username || username.trim() === '') {
+    return { valid: false, message: 'Please enter your username.' };
   }
-  window.location.href = url;
+  if (!password) {
+    return { valid: false, message: 'Please enter your password.' };
+  }
+
+  if (!canOfficialsLogIn()) {
+    return { valid: false, message: 'Election officials can only log in through the voting server.' };
+  }
+
+  // The server records the login in the audit log
+  const result = await getStorage().officialLogin(username.trim(), password);
+  if (!result.valid) {
+    return { valid: false, message: result.message };
+  }
+  const { token, expiresAt, sessionId } = result;
+
+  // The audit log names the session by its own id: the token is a secret
+  const session = {
+    username: username.trim(),
+    token,
+    expiresAt,
+    sessionId
+  };
+  await writeStoredJSON(getDeviceStorage(), STORAGE_KEYS.OFFICIAL_SESSION, session);
+  return { valid: true, message: 'Login successful.' };
 }
 
 /**
- * Check authentication and redirect if needed
- * @param {string} redirectToPage - Page to redirect to if not logged in
+ * Get the logged-in election official
+ * @returns {Promise<Object|null>} { username, token, expiresAt, sessionId },
+ *   or null when nobody is logged in or the session has expired
  */
-function requireAuth(redirectToPage = 'index.html') {
-  if (!isLoggedIn()) {
-    redirectTo(redirectToPage);
-    return false;
+async function getOfficialSession() {
+  const session = await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.OFFICIAL_SESSION, null);
+  if (session && Date.now() > Date.parse(session.expiresAt)) {
+    await clearOfficialSession('expired');
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Log out the election official
+ * @param {string} reason - Why the session ended, for an audit log kept on
+ *   this device (the server works out its own): 'logged-out', 'expired' or
+ *   'rejected' (the server no longer accepts it)
+ * @returns {Promise<void>}
+ */
+async function clearOfficialSession(reason = 'logged-out') {
+  const session = await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.OFFICIAL_SESSION, null);
+  await getDeviceStorage().removeItem(STORAGE_KEYS.OFFICIAL_SESSION);
+  if (session && isAuditedByServer('endOfficialSession')) {
+    // The server records the logout, unless it no longer knows the session
+    await getStorage().endOfficialSession(session.token);
+  } else if (session) {
+    await recordAuditEvent('official-logout', {
+      actor: { role: 'official', id: session.username },
+      sessionId: session.sessionId || null,
+      details: { reason }
+    });
   }
-  return true;
+}
+
+/**
+ * Record something an election official did in the audit log
+ * @param {string} action - What they did, e.g. 'export-ballot-log'
+ * @param {string} outcome - 'success' or 'failure'
+ * @param {Object} details - More about the action (never ballot contents or keys)
+ * @returns {Promise<void>}
+ */
+async function recordOfficialAction(action, outcome = 'success', details = {}) {
+  const session = await readStoredJSON(getDeviceStorage(), STORAGE_KEYS.OFFICIAL_SESSION, null);
+  await recordAuditEvent('admin-action', {
+    outcome,
+    actor: session ? { role: 'official', id: session.username } : null,
+    sessionId: session ? session.sessionId || null : null,
+    details: { action, ...details }
+  });
 }
 
 // ============================================
@@ -197,12 +1771,12 @@ function requireAuth(redirectToPage = 'index.html') {
 // ============================================
 
 /**
- * Validate login credentials
+ * Validate the format of login credentials
  * @param {string} aadhar - Aadhar number
  * @param {string} password - Password
  * @returns {Object} { valid: boolean, message: string }
  */
-function validateLogin(aadhar, password) {
+function validateLoginFormat(aadhar, password) {
   // Basic validation - non-empty fields
   if (!aadhar || aadhar.trim() === '') {
     return {
@@ -226,15 +1800,64 @@ function validateLogin(aadhar, password) {
       message: 'Aadhar Number must be 12 digits.'
     };
   }
+
+  // The last digit is a check digit, which catches most typing mistakes
+  if (!aadharChecks.hasValidAadharChecksum(aadhar.trim())) {
+    return {
+      valid: false,
+      message: 'This Aadhar Number is not valid. A digit may have been mistyped; please check it and enter it again.'
+    };
+  }
   
-  // For demo purposes, accept any valid format
-  // In production, this would check against a database
+  // Format is fine; validateLogin checks the password itself
   return {
     valid: true,
-    message: 'Login successful.'
+    message: 'Login details are complete.'
   };
 }
 
+/**
+ * Validate login credentials against the voter's account
+ * (on the server when the storage backend has one)
+ * @param {string} aadhar - Aadhar number
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { valid: boolean, message: string }
+ */
+async function validateLogin(aadhar, password) {
+  const validation = validateLoginFormat(aadhar, password);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  const storage = getStorage();
+  let result;
+  if (typeof storage.login === 'function') {
+    result = await storage.login(aadhar.trim(), password);
+  } else if (!(await authenticateVoter(aadhar.trim(), password))) {
+    result = {
+      valid: false,
+      message: INVALID_CREDENTIALS_MESSAGE
+    };
+  } else {
+    result = {
+      valid: true,
+      message: 'Login successful.'
+    };
+  }
+
+  // A successful login starts a new audit session; failed attempts stay in
+  // the session of whoever is at the device
+  if (!isAuditedByServer('login')) {
+    const actor = { role: 'voter', id: aadhar.trim() };
+    if (result.valid) {
+      await recordAuditEvent('login', { actor, sessionId: await startAuditSession() });
+    } else {
+      await recordAuditEvent('login-failed', { outcome: 'failure', actor });
+    }
+  }
+  return result;
+}
+
 // ============================================
 // Confirmation Dialog
 // ============================================
@@ -244,8 +1867,9 @@ function validateLogin(aadhar, password) {
  * @param {string} message - Confirmation message
  * @param {Function} onConfirm - Callback on confirm
  * @param {Function} onCancel - Optional callback on cancel
+ * @param {string} titleText - Dialog title
  */
-function showConfirmation(message, onConfirm, onCancel = null) {
+function showConfirmation(message, onConfirm, onCancel = null, titleText = 'Confirm Your Vote') {
   // Remove existing modal if any
   const existingModal = document.getElementById('confirmation-modal');
   if (existingModal) {
@@ -267,7 +1891,7 @@ function showConfirmation(message, onConfirm, onCancel = null) {
   const title = document.createElement('h2');
   title.id = 'modal-title';
   title.className = 'modal-title';
-  title.textContent = 'Confirm Your Vote';
+  title.textContent = titleText;
   
   const messageEl = document.createElement('p');
   messageEl.textContent = message;
@@ -417,30 +2041,96 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Save data as a JSON file through the browser's downloads
+ * @param {string} filename - File name to suggest
+ * @param {*} data - Data to save
+ */
+function downloadJSON(filename, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 // ============================================
 // Export for use in other scripts
 // ============================================
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    STORAGE_KEYS,
+    FACE_MATCH_MAX_FRAMES,
+    getVoterSessionSettings,
+    getSessionToken,
+    getVoterSession,
     getCurrentSession,
     setCurrentSession,
+    touchCurrentSession,
     clearSession,
     isLoggedIn,
-    storeFaceDescriptor,
-    getFaceDescriptor,
+    storeFaceTemplates,
+    getFaceTemplates,
+    isFaceEnrolled,
+    matchEnrolledFace,
+    getEntryTemplates,
     getFaceDescriptors,
+    enrollFaceTemplates,
+    resetFaceEnrollment,
+    getFaceReviews,
+    resolveFaceReview,
+    faceDistance,
+    scoreFaceMatch,
+    scoreFaceFrames,
     hasUserVoted,
     markUserAsVoted,
+    getVoterRoll,
+    getVoterAccounts,
+    createVoterAccount,
+    authenticateVoter,
+    changeVoterPassword,
+    requestFallbackCode,
+    verifyFallbackCode,
+    isOfficerOverrideAvailable,
+    verifyOfficerOverride,
+    hasFallbackPass,
+    getFallbackAudit,
+    canOfficialsLogIn,
+    loginOfficial,
+    getOfficialSession,
+    clearOfficialSession,
     storeVote,
     getVotes,
-    getCandidateVoteCount,
+    getBallotLog,
+    checkBallotReceipt,
+    verifyBallotLog,
+    getElectionResults,
+    getBoothBundle,
+    getBoothResults,
+    getPollSchedule,
+    checkBallotsReadable,
+    changePollSchedule,
+    getPollAudit,
+    isAuditedByServer,
+    recordAuditEvent,
+    recordOfficialAction,
+    getAuditLog,
     redirectTo,
     requireAuth,
+    VOTER_JOURNEY,
+    getVoterJourney,
+    advanceVoterJourney,
+    requireJourneyState,
+    validateLoginFormat,
     validateLogin,
     showConfirmation,
     showStatusMessage,
     formatDate,
-    debounce
+    debounce,
+    downloadJSON
   };
 }
 
@@ -0,0 +1,113 @@
+/* ============================================
+   Inclusive Voting App - Election Key Tool
+   Generates the key pair that encrypts an
+   election's ballots
+   Usage: node server/election-keys.js [--shares <count> --threshold <count>]
+            [--definition <file>]
+   ============================================ */
+
+const fs = require('fs');
+const { generateElectionKeyPair, splitElectionKey } = require('../ballot-crypto.js');
+
+const USAGE = 'Usage: node server/election-keys.js [--shares <count> --threshold <count>] [--definition <file>]';
+
+// ============================================
+// Main
+// ============================================
+
+/**
+ * Read the --shares, --threshold and --definition options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object|null} { shares, threshold, definition } (shares and
+ *   threshold both null for a single private key; definition null to only
+ *   print the public key), or null if the arguments are not valid
+ */
+function parseOptions(args) {
+  const options = { shares: null, threshold: null, definition: null };
+  for (let index = 0; index < args.length; index += 2) {
+    const name = args[index].replace(/^--/, '');
+    const value = args[index + 1];
+    if (!(name in options) || value === undefined) {
+      return null;
+    }
+    if (name === 'definition') {
+      options.definition = value;
+      continue;
+    }
+    if (!Number.isInteger(Number(value))) {
+      return null;
+    }
+    options[name] = Number(value);
+  }
+  if ((options.shares === null) !== (options.threshold === null)) {
+    return null;
+  }
+  return options;
+}
+
+/**
+ * Put a new public key into an election definition file
+ * @param {string} filePath - Election definition (see election.js)
+ * @param {Object} encryption - { keyId, publicKey }
+ */
+function writeDefinitionKey(filePath, encryption) {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  definition.encryption = encryption;
+  fs.writeFileSync(filePath, JSON.stringify(definition, null, 2) + '\n');
+}
+
+/**
+ * Print a new election key pair: the public key for the election definition,
+ * or write it there with --definition, and the private key or one key share
+ * per official
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const options = parseOptions(args);
+  if (!options) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const { encryption, privateKeyPem } = await generateElectionKeyPair();
+  let shares = null;
+  if (options.shares !== null) {
+    try {
+      shares = splitElectionKey(privateKeyPem, encryption.keyId, options.threshold, options.shares);
+    } catch (error) {
+      console.error(`Rejected: ${error.message}`);
+      return 1;
+    }
+  }
+
+  if (options.definition !== null) {
+    try {
+      writeDefinitionKey(options.definition, encryption);
+    } catch (error) {
+      console.error(`Could not update the election definition ${options.definition}: ${error.message}`);
+      return 1;
+    }
+    console.log(`The public key ${encryption.keyId} is now in ${options.definition}.`);
+  } else {
+    console.log('Paste this into the election definition as "encryption":');
+    console.log(JSON.stringify(encryption, null, 2));
+  }
+  console.log('');
+  if (shares) {
+    console.log(`Give one key share to each official. Any ${options.threshold} of the ${options.shares} shares count the ballots; fewer reveal nothing.`);
+    shares.forEach((share, index) => {
+      console.log('');
+      console.log(`Key share ${index + 1}:`);
+      console.log(share);
+    });
+  } else {
+    console.log('Private key - keep it offline until the count, and never put it on the server:');
+    console.log(privateKeyPem);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,41 @@
+/* ============================================
+   Inclusive Voting App - Officer PIN Tool
+   Hashes a poll officer's override PIN or an election
+   official's password for the server settings
+   Usage: node server/hash-pin.js <pin>
+   ============================================ */
+
+const { hashPassword, validateNewPassword } = require('../auth.js');
+
+// ============================================
+// Main
+// ============================================
+
+/**
+ * Print the hash record to paste into the server settings as officerPin
+ * or an officials entry
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const pin = args[0];
+  if (!pin) {
+    console.error('Usage: node server/hash-pin.js <pin>');
+    return 1;
+  }
+  // PINs and official passwords follow the same length rule as voter passwords
+  const strength = validateNewPassword(pin);
+  if (!strength.valid) {
+    console.error(`Rejected: ${strength.message}`);
+    return 1;
+  }
+
+  const record = await hashPassword(pin);
+  console.log('Paste this into server/settings.json as officerPin or an officials entry:');
+  console.log(JSON.stringify(record, null, 2));
+  return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
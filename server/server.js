@@ -0,0 +1,1686 @@
+/* ============================================
+   Inclusive Voting App - Local Backend Server
+   REST API for accounts, login and voter sessions, faces, encrypted ballots,
+   receipts, booth bundles, the polling schedule and the audit log, plus
+   static file hosting
+   Usage: node server/server.js  (PORT, VOTING_DATA_FILE,
+   BALLOT_LOG_KEY_FILE and VOTING_SETTINGS_FILE are optional)
+   ============================================ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createFileStore } = require('./store');
+const { STORAGE_KEYS, FACE_MATCH_MAX_FRAMES, validateLoginFormat, getEntryTemplates, scoreFaceFrames } = require('../script.js');
+const { hashPassword, verifyPassword, validateNewPassword } = require('../auth.js');
+const {
+  FACE_DESCRIPTOR_LENGTH,
+  FACE_REVIEW_RESOLUTIONS,
+  isFaceDescriptor,
+  buildFaceIndex,
+  screenFaceEnrollment,
+  resolveFaceReview
+} = require('../face-index.js');
+const {
+  generateFallbackCode,
+  createFallbackCodeRecord,
+  checkFallbackCode,
+  formatFallbackCodeMessage,
+  checkOfficerPin,
+  getFallbackSubjects,
+  checkFallbackLimit,
+  recordFallbackAttempt,
+  clearFallbackAttempts,
+  createFallbackChannel,
+  createFallbackAuditRecord
+} = require('../fallback-auth.js');
+const { APP_CONFIG } = require('../config.js');
+const { validateElectionDefinition, prepareElection } = require('../election.js');
+const { addBallotToBox, separateVoterRoll } = require('../ballot-box.js');
+const { checkEncryptedBallot, encryptStoredBallots } = require('../ballot-crypto.js');
+const {
+  generateBallotLogKey,
+  exportBallotLogPublicKey,
+  getBallotLogKeyId,
+  importBallotLogKey,
+  sealBallotLog,
+  checkBallotLog,
+  isBallotInBox,
+  describeBallotLogReport
+} = require('../ballot-log.js');
+const { maskAadhar } = require('../aadhar.js');
+const { findBallotReceipt } = require('../receipt.js');
+const { createBoothBundle } = require('../booth-bundle.js');
+const {
+  AUDIT_LOG,
+  AUDIT_SOURCES,
+  createAuditEntry,
+  checkAuditEntry,
+  isBrowserAuditEntry,
+  chainAuditEntry
+} = require('../audit-log.js');
+const {
+  getSessionSettings,
+  createVoterSession,
+  checkVoterSession,
+  recordSessionActivity
+} = require('../session.js');
+const {
+  POLL_SCHEDULE_ACTIONS,
+  resolvePollSchedule,
+  getPollState,
+  isPollOpen,
+  describePollSchedule,
+  checkPollChange,
+  createPollAuditRecord
+} = require('../schedule.js');
+
+// ============================================
+// Configuration
+// ============================================
+const PORT = Number(process.env.PORT) || 3000;
+const APP_ROOT = path.resolve(__dirname, '..');
+// Keys for the sample elections, which must not be served like app files
+const DEMO_KEYS_DIR = path.join(APP_ROOT, 'elections', 'demo-keys');
+const DATA_FILE = process.env.VOTING_DATA_FILE || path.join(__dirname, 'data', 'voting-data.json');
+// The key that signs the ballot log is kept apart from the data it signs
+const BALLOT_LOG_KEY_FILE = process.env.BALLOT_LOG_KEY_FILE || path.join(path.dirname(DATA_FILE), 'ballot-log-key.json');
+// The server's own settings, such as the electoral roll, which are never
+// served to browsers (unlike config.js)
+const SETTINGS_FILE = process.env.VOTING_SETTINGS_FILE || path.join(__dirname, 'settings.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+const store = createFileStore(DATA_FILE);
+const election = loadElectionDefinition(APP_CONFIG.election.definitionUrl);
+const settings = loadServerSettings(SETTINGS_FILE);
+
+// ============================================
+// Server Settings
+// ============================================
+
+/**
+ * Read the server's settings file (see server/settings.example.json). The
+ * file is optional; without an electoral roll nobody can register, without
+ * an officer PIN the poll officer override is off, and without officials
+ * nobody can log in to the results page.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} { electoralRoll, officerPin, officials } - electoralRoll
+ *   is a Set of the Aadhar numbers that may register, or null when there is
+ *   none; officerPin is the hash record of the override PIN, or null;
+ *   officials maps each official's username to their password's hash record
+ */
+function loadServerSettings(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { electoralRoll: null, officerPin: null, officials: {} };
+  }
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the server settings ${filePath}: ${error.message}`);
+  }
+  const roll = saved.electoralRoll;
+  if (roll !== undefined && roll !== null &&
+      (!Array.isArray(roll) || !roll.every(aadhar => typeof aadhar === 'string' && /^\d{12}$/.test(aadhar)))) {
+    throw new Error(`The electoralRoll in ${filePath} must be a list of 12-digit Aadhar Numbers.`);
+  }
+  const officerPin = saved.officerPin || null;
+  if (officerPin && !isHashRecord(officerPin)) {
+    throw new Error(`The officerPin in ${filePath} must be a hash record made with server/hash-pin.js.`);
+  }
+  const officials = saved.officials || {};
+  if (typeof officials !== 'object' || Array.isArray(officials) || !Object.values(officials).every(isHashRecord)) {
+    throw new Error(`The officials in ${filePath} must map each username to a hash record made with server/hash-pin.js.`);
+  }
+  return { electoralRoll: roll ? new Set(roll) : null, officerPin, officials };
+}
+
+/**
+ * Check if a value looks like a hash record made by hashPassword
+ * @param {*} value - Value from the settings file
+ * @returns {boolean}
+ */
+function isHashRecord(value) {
+  return !!value && typeof value === 'object' &&
+    ['algorithm', 'salt', 'hash'].every(key => typeof value[key] === 'string') &&
+    Number.isInteger(value.iterations);
+}
+
+// ============================================
+// Election Definition
+// ============================================
+
+/**
+ * Read and check the election definition named in config.js
+ * @param {string} definitionUrl - Path of the JSON file, relative to the app folder
+ * @returns {Object} Election definition, candidates sorted by number
+ */
+function loadElectionDefinition(definitionUrl) {
+  const filePath = path.resolve(APP_ROOT, definitionUrl);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // A new install has no election of its own until one is set up
+    const hint = error.code === 'ENOENT'
+      ? ' Set up the election as the README describes, or point APP_CONFIG.election.definitionUrl at a demo election in elections/.'
+      : '';
+    throw new Error(`Could not read the election definition ${filePath}: ${error.message}${hint}`);
+  }
+  const check = validateElectionDefinition(definition);
+  if (!check.valid) {
+    throw new Error(`The election definition ${filePath} has errors: ${check.errors.join(' ')}`);
+  }
+  return prepareElection(definition);
+}
+
+// ============================================
+// Response Helpers
+// ============================================
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body. The body must be a JSON object, and
+ * each of the named fields a string when it is given, so handlers can call
+ * string methods on them; anything else is refused with a 400.
+ * @param {http.IncomingMessage} req - Request
+ * @param {string[]} [stringFields] - Fields that must be strings if present
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJSONBody(req, stringFields = []) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body is not valid JSON.'), { status: 400 }));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(Object.assign(new Error('Request body must be a JSON object.'), { status: 400 }));
+        return;
+      }
+      const wrongField = stringFields.find(name => body[name] != null && typeof body[name] !== 'string');
+      if (wrongField) {
+        reject(Object.assign(new Error(`${wrongField} must be a string.`), { status: 400 }));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+// ============================================
+// Voting Rules
+// ============================================
+
+// Keys a logged-in voter or official may change through the storage
+// endpoints. None of the app's own data is here: votes, voted flags,
+// accounts, faces, fallback checks, the poll and audit logs and sessions
+// each change only through their own endpoint, so that the server's checks
+// cannot be bypassed, and the browser keeps its session keys on the device.
+const WRITABLE_KEYS = new Set();
+
+/**
+ * Whether the storage endpoints may change a key
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isWritableKey(key) {
+  return WRITABLE_KEYS.has(key);
+}
+
+/**
+ * Password hashes, face templates and duplicate-face reviews, fallback codes,
+ * messages, attempts and logs, the poll audit log, the encrypted ballots and their
+ * checkpoint, the voter roll, the audit log and voter sessions are never sent to
+ * voters' browsers
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+function isPrivateKey(key) {
+  return key === STORAGE_KEYS.VOTES ||
+         key === STORAGE_KEYS.VOTER_ACCOUNTS ||
+         key === STORAGE_KEYS.FACE_DESCRIPTORS ||
+         key === STORAGE_KEYS.FACE_DUPLICATE_AUDIT ||
+         key === STORAGE_KEYS.FALLBACK_CODES ||
+         key === STORAGE_KEYS.FALLBACK_OUTBOX ||
+         key === STORAGE_KEYS.FALLBACK_AUDIT ||
+         key === STORAGE_KEYS.FALLBACK_ATTEMPTS ||
+         key === STORAGE_KEYS.POLL_AUDIT ||
+         key === STORAGE_KEYS.BALLOT_CHECKPOINT ||
+         key === STORAGE_KEYS.AUDIT_LOG ||
+         key === STORAGE_KEYS.VOTER_SESSIONS ||
+         key.startsWith(STORAGE_KEYS.HAS_VOTED_PREFIX);
+}
+
+/**
+ * Get the polling window in force, including officials' changes
+ * @returns {Object} Window from resolvePollSchedule (schedule.js)
+ */
+function getPollSchedule() {
+  return resolvePollSchedule(election, store.getJSON(STORAGE_KEYS.POLL_AUDIT, []));
+}
+
+/**
+ * Only hand out the ballots once polling has closed: a ballot that appears
+ * while voters are still voting could be matched to the voter who just voted
+ * @param {http.ServerResponse} res - Response, sent a 403 until polling closes
+ * @returns {boolean} True once polling has closed
+ */
+function requireClosedPoll(res) {
+  const schedule = getPollSchedule();
+  if (getPollState(schedule) === 'closed') {
+    return true;
+  }
+  sendJSON(res, 403, { error: `The ballots can only be read once polling has closed. ${describePollSchedule(schedule)}` });
+  return false;
+}
+
+/**
+ * Add a record to a list kept under a storage key
+ * @param {string} key - Storage key
+ * @param {Object} record - Record to append
+ */
+function appendRecord(key, record) {
+  const records = store.getJSON(key, []);
+  records.push(record);
+  store.setJSON(key, records);
+}
+
+/**
+ * Count a voter's fallback attempt, unless they have reached its limit. The
+ * attempt is stored before anything slow is checked, so requests sent
+ * together cannot get past the limit.
+ * @param {string} kind - 'otp-request' or 'officer-pin' (see FALLBACK_LIMITS)
+ * @param {Object} session - Voter session
+ * @returns {Object} { allowed, message, retryAt } from checkFallbackLimit
+ */
+function takeFallbackAttempt(kind, session) {
+  const subjects = getFallbackSubjects(session.aadhar, session.auditId);
+  const attempts = store.getJSON(STORAGE_KEYS.FALLBACK_ATTEMPTS, {});
+  const limit = checkFallbackLimit(attempts, kind, subjects);
+  if (limit.allowed) {
+    store.setJSON(STORAGE_KEYS.FALLBACK_ATTEMPTS, recordFallbackAttempt(attempts, kind, subjects));
+  }
+  return limit;
+}
+
+/**
+ * Check a voter's password
+ * @param {string} aadhar - Aadhar number
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>}
+ */
+async function authenticateVoter(aadhar, password) {
+  const accounts = store.getJSON(STORAGE_KEYS.VOTER_ACCOUNTS, {});
+  return accounts[aadhar] ? verifyPassword(password, accounts[aadhar].password) : false;
+}
+
+/**
+ * Check if a voter has already voted
+ * @param {string} aadhar - Aadhar number
+ * @returns {boolean}
+ */
+function hasVoted(aadhar) {
+  return store.get(STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar) === 'true';
+}
+
+// ============================================
+// Ballot Box
+// ============================================
+
+let ballotLogKeyPromise = null;
+
+/**
+ * Load the key pair that signs the ballot log, creating the key file the
+ * first time
+ * @returns {Promise<Object>} { keyPair, publicKey } - publicKey as a JWK
+ */
+function getBallotLogKey() {
+  if (!ballotLogKeyPromise) {
+    ballotLogKeyPromise = (async () => {
+      if (fs.existsSync(BALLOT_LOG_KEY_FILE)) {
+        const saved = JSON.parse(fs.readFileSync(BALLOT_LOG_KEY_FILE, 'utf8'));
+        return { keyPair: await importBallotLogKey(saved), publicKey: saved.publicKey };
+      }
+      const keyPair = await generateBallotLogKey(true);
+      const publicKey = await exportBallotLogPublicKey(keyPair);
+      const privateKey = await crypto.webcrypto.subtle.exportKey('jwk', keyPair.privateKey);
+      fs.mkdirSync(path.dirname(BALLOT_LOG_KEY_FILE), { recursive: true });
+      fs.writeFileSync(BALLOT_LOG_KEY_FILE, JSON.stringify({
+        keyId: await getBallotLogKeyId(publicKey),
+        publicKey,
+        privateKey
+      }, null, 2), { mode: 0o600 });
+      return { keyPair, publicKey };
+    })();
+  }
+  return ballotLogKeyPromise;
+}
+
+/**
+ * Check the stored ballot box against its chain links and signed checkpoint
+ * @returns {Promise<Object>} Report from checkBallotLog (ballot-log.js)
+ */
+async function checkStoredBallotLog() {
+  const { publicKey } = await getBallotLogKey();
+  const ballots = store.getJSON(STORAGE_KEYS.VOTES, []);
+  return checkBallotLog(ballots, store.getJSON(STORAGE_KEYS.BALLOT_CHECKPOINT, null), publicKey, election.id);
+}
+
+/**
+ * Link the ballots, sign the head of the chain and store both
+ * @param {Array<Object>} ballots - Ballots in ballot box order
+ * @returns {Promise<void>}
+ */
+async function storeSealedBallots(ballots) {
+  const { keyPair } = await getBallotLogKey();
+  const log = await sealBallotLog(ballots, election.id, keyPair);
+  store.setJSON(STORAGE_KEYS.VOTES, log.ballots);
+  store.setJSON(STORAGE_KEYS.BALLOT_CHECKPOINT, log.checkpoint);
+}
+
+// Casting a ballot reads the ballot box, checks it, and writes it back
+// signed. Casts wait their turn, so two at once cannot both read the same box.
+let ballotBoxQueue = Promise.resolve();
+
+/**
+ * Run a change to the ballot box after any change already under way
+ * @param {Function} task - Async function making the change
+ * @returns {Promise<*>} What the task returns
+ */
+function updateBallotBox(task) {
+  const run = ballotBoxQueue.then(task);
+  ballotBoxQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check the ballot box when the server starts. A box that matches its
+ * signed log is left alone; one that does not is reported and no ballots are
+ * accepted until it is put right. A box stored by an older version, before
+ * the ballot log, is brought up to date: voter details are removed (see
+ * ballot-box.js), any ballot stored before ballots were encrypted is
+ * encrypted (see ballot-crypto.js), and the box is linked and signed.
+ * @returns {Promise<void>}
+ */
+async function prepareBallotBox() {
+  const stored = store.getJSON(STORAGE_KEYS.VOTES, []);
+  if (store.get(STORAGE_KEYS.BALLOT_CHECKPOINT) !== null || stored.some(ballot => ballot.chain)) {
+    const report = await checkStoredBallotLog();
+    if (!report.valid) {
+      console.warn(`WARNING: ${describeBallotLogReport(report).join('\n  ')}`);
+      console.warn('No ballots will be accepted until the ballot box matches its signed log.');
+    }
+    return;
+  }
+
+  const separated = separateVoterRoll(stored);
+  separated.voters.forEach(aadhar => store.set(STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar, 'true'));
+  const sealed = await encryptStoredBallots(separated.ballots, election.encryption);
+  await storeSealedBallots(sealed.ballots);
+  if (separated.changed || sealed.changed) {
+    console.log(`Updated ${sealed.ballots.length} stored ballots: voter details removed and every ballot encrypted.`);
+  }
+}
+
+// ============================================
+// Audit Log
+// ============================================
+
+// Entries are chained one at a time, so two at once cannot both link to the
+// same entry
+let auditQueue = Promise.resolve();
+
+/**
+ * Chain an entry onto the stored audit log
+ * @param {Object} entry - Entry from createAuditEntry (audit-log.js)
+ * @returns {Promise<void>}
+ */
+function appendAuditEntry(entry) {
+  const run = auditQueue.then(async () => {
+    const entries = store.getJSON(STORAGE_KEYS.AUDIT_LOG, []);
+    entries.push(await chainAuditEntry(entries, entry));
+    store.setJSON(STORAGE_KEYS.AUDIT_LOG, entries);
+  });
+  auditQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read how the person acted and on which page from a request's
+ * X-Audit-Source and X-Audit-Page headers, which the browser sends with
+ * every API request
+ * @param {http.IncomingMessage|null} req - Request, or null for something the
+ *   server does on its own
+ * @returns {Object} { source, page }
+ */
+function describeAuditRequest(req) {
+  const source = req ? req.headers['x-audit-source'] : null;
+  const page = req ? req.headers['x-audit-page'] : null;
+  return {
+    source: Object.prototype.hasOwnProperty.call(AUDIT_SOURCES, source) ? source : 'system',
+    page: typeof page === 'string' && page.length <= AUDIT_LOG.maxIdLength ? page : ''
+  };
+}
+
+/**
+ * Record something done through the API in the audit log. The actor and
+ * session come from the server's own records, never from the request.
+ * Failing to record never stops the action itself.
+ * @param {http.IncomingMessage|null} req - Request, or null for something the
+ *   server does on its own
+ * @param {string} event - One of AUDIT_EVENTS (audit-log.js)
+ * @param {Object} options - { outcome, actor, sessionId, details, source }
+ * @returns {Promise<void>}
+ */
+async function recordApiAudit(req, event, options) {
+  try {
+    await appendAuditEntry(createAuditEntry(event, { ...describeAuditRequest(req), ...options }));
+  } catch (error) {
+    console.error(`Could not record the ${event} audit event:`, error);
+  }
+}
+
+// ============================================
+// Election Official Sessions
+// ============================================
+
+// Logged-in officials by session token. Kept in memory only, so restarting
+// the server logs every official out.
+const officialSessions = new Map();
+
+/**
+ * Start a session for an election official
+ * @param {string} username - Official's username
+ * @returns {Object} { token, expiresAt, sessionId } - sessionId names the
+ *   session in the audit log, where the token, a secret, never goes
+ */
+function createOfficialSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = Date.now() + (APP_CONFIG.officials.sessionTtlMs || 8 * 60 * 60 * 1000);
+  const sessionId = crypto.randomUUID();
+  officialSessions.set(token, { username, expiresAt, sessionId });
+  return { token, expiresAt: new Date(expiresAt).toISOString(), sessionId };
+}
+
+/**
+ * End an official's session and record it in the audit log
+ * @param {string} token - Session token
+ * @param {http.IncomingMessage|null} req - The logout request, or null when
+ *   the server drops a session that expired
+ * @returns {Promise<void>}
+ */
+async function endOfficialSession(token, req = null) {
+  const session = officialSessions.get(token);
+  if (!session) {
+    return;
+  }
+  officialSessions.delete(token);
+  const reason = Date.now() > session.expiresAt ? 'expired' : 'logged-out';
+  await recordApiAudit(req, 'official-logout', {
+    actor: { role: 'official', id: session.username },
+    sessionId: session.sessionId,
+    details: { reason },
+    ...(reason === 'logged-out' ? {} : { source: 'system' })
+  });
+}
+
+/**
+ * Find the session of the official who sent a request
+ * (Authorization: Bearer <token>)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} { username, expiresAt, sessionId }, or null without
+ *   a valid session
+ */
+function getRequestOfficialSession(req) {
+  const match = /^Bearer ([0-9a-f]+)$/.exec(req.headers.authorization || '');
+  const session = match ? officialSessions.get(match[1]) : null;
+  if (!session) {
+    return null;
+  }
+  if (Date.now() > session.expiresAt) {
+    endOfficialSession(match[1]);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * End every official session that has expired, every minute
+ */
+function dropEndedOfficialSessions() {
+  officialSessions.forEach((session, token) => {
+    if (Date.now() > session.expiresAt) {
+      endOfficialSession(token);
+    }
+  });
+}
+
+/**
+ * Find the official who sent a request (Authorization: Bearer <token>)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Username, or null without a valid session
+ */
+function getRequestOfficial(req) {
+  const session = getRequestOfficialSession(req);
+  return session ? session.username : null;
+}
+
+/**
+ * Record something an official did through the API in the audit log
+ * @param {http.IncomingMessage} req - Request, from a logged-in official
+ * @param {string} action - What they did, e.g. 'extend-poll'
+ * @param {string} outcome - 'success' or 'failure'
+ * @param {Object} details - More about the action
+ * @returns {Promise<void>}
+ */
+async function recordOfficialAction(req, action, outcome, details = {}) {
+  const session = getRequestOfficialSession(req);
+  await recordApiAudit(req, 'admin-action', {
+    outcome,
+    actor: session ? { role: 'official', id: session.username } : null,
+    sessionId: session ? session.sessionId : null,
+    details: { action, ...details }
+  });
+}
+
+// ============================================
+// Voter Sessions
+// ============================================
+
+// Logged-in voters by session token (see session.js). Kept in memory only,
+// like official sessions.
+const voterSessions = new Map();
+const SESSION_SETTINGS = getSessionSettings(APP_CONFIG.session);
+
+/**
+ * Describe a voter session for the browser that holds its token
+ * @param {Object} session - Voter session
+ * @returns {Object} { aadhar, issuedAt, expiresAt, lastActiveAt, ended }
+ */
+function describeVoterSession(session) {
+  const { aadhar, issuedAt, expiresAt, lastActiveAt } = session;
+  return { aadhar, issuedAt, expiresAt, lastActiveAt, ended: checkVoterSession(session, SESSION_SETTINGS) };
+}
+
+/**
+ * Find the voter session a request names (Authorization: Bearer <token>)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object|null} { token, session } - session is null when the token
+ *   is not known; null without a token
+ */
+function getRequestVoterSession(req) {
+  const match = /^Bearer ([0-9a-f]+)$/.exec(req.headers.authorization || '');
+  return match ? { token: match[1], session: voterSessions.get(match[1]) || null } : null;
+}
+
+/**
+ * Find the logged-in voter who sent a request. Everything a voter does names
+ * the voter through their session, never through the request body.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response, sent 401 without a session
+ *   that lasts, or 403 when the session is another voter's
+ * @param {string} aadhar - The voter named in the URL, if any
+ * @returns {Object|null} { token, session }, or null once a response is sent
+ */
+function requireVoterSession(req, res, aadhar = null) {
+  const request = getRequestVoterSession(req);
+  if (!request || !request.session) {
+    sendJSON(res, 401, { error: 'Please log in first.' });
+    return null;
+  }
+  // Ended sessions are kept until dropEndedVoterSessions, so the voter's page
+  // can still say why, but they can do nothing more
+  if (checkVoterSession(request.session, SESSION_SETTINGS)) {
+    sendJSON(res, 401, { error: 'Your session has ended. Please log in again.' });
+    return null;
+  }
+  if (aadhar !== null && request.session.aadhar !== aadhar) {
+    sendJSON(res, 403, { error: 'Forbidden.' });
+    return null;
+  }
+  return request;
+}
+
+/**
+ * Check that a request comes from a logged-in voter or official
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response, sent 401 when it does not
+ * @returns {boolean} True when it does
+ */
+function requireSignedIn(req, res) {
+  if (getRequestOfficial(req)) {
+    return true;
+  }
+  return requireVoterSession(req, res) !== null;
+}
+
+/**
+ * Record that a session's voter has proved who they are, by their face or a
+ * fallback check
+ * @param {string} token - Session token
+ * @param {string} method - 'face', 'otp' or 'officer-pin'
+ */
+function markSessionVerified(token, method) {
+  const session = voterSessions.get(token);
+  if (session) {
+    voterSessions.set(token, { ...session, verifiedAt: new Date().toISOString(), verifiedBy: method });
+  }
+}
+
+/**
+ * Check that a session's voter proved who they are recently enough to vote
+ * (APP_CONFIG.session.verificationTtlMs, as in the voter journey of script.js)
+ * @param {Object} session - Voter session
+ * @returns {boolean}
+ */
+function isSessionVerified(session) {
+  return !!session.verifiedAt && Date.now() - Date.parse(session.verifiedAt) <= SESSION_SETTINGS.verificationTtlMs;
+}
+
+/**
+ * Name a session's voter in the audit log
+ * @param {Object} session - Voter session
+ * @returns {Object} { actor, sessionId } for recordApiAudit - sessionId is the
+ *   session's auditId, as its token is a secret
+ */
+function describeAuditVoter(session) {
+  return { actor: { role: 'voter', id: session.aadhar }, sessionId: session.auditId };
+}
+
+/**
+ * End a voter session and record it in the audit log
+ * @param {string} token - Session token
+ * @param {http.IncomingMessage|null} req - The logout request, or null when
+ *   the server drops a session that ran out
+ * @returns {Promise<void>}
+ */
+async function endVoterSession(token, req = null) {
+  const session = voterSessions.get(token);
+  if (!session) {
+    return;
+  }
+  voterSessions.delete(token);
+  // A session that ran out ends on its own, whatever the voter last did
+  const reason = checkVoterSession(session, SESSION_SETTINGS) || 'logged-out';
+  await recordApiAudit(req, 'logout', {
+    ...describeAuditVoter(session),
+    details: { reason },
+    ...(reason === 'logged-out' ? {} : { source: 'system' })
+  });
+}
+
+/**
+ * Drop every voter session that has ended, at each login and every minute
+ */
+function dropEndedVoterSessions() {
+  voterSessions.forEach((session, token) => {
+    if (checkVoterSession(session, SESSION_SETTINGS)) {
+      endVoterSession(token);
+    }
+  });
+}
+
+// ============================================
+// API Routes
+// ============================================
+
+const routes = [
+  // Generic key-value storage used by the browser 'http' storage adapter
+  {
+    method: 'GET',
+    pattern: /^\/api\/storage\/([^/]+)$/,
+    handler: (req, res, [key]) => {
+      if (isPrivateKey(key)) {
+        sendJSON(res, 403, { error: 'Forbidden.' });
+        return;
+      }
+      const value = store.get(key);
+      if (value === null) {
+        sendJSON(res, 404, { error: 'Not found.' });
+        return;
+      }
+      sendJSON(res, 200, { value });
+    }
+  },
+  {
+    method: 'PUT',
+    pattern: /^\/api\/storage\/([^/]+)$/,
+    handler: async (req, res, [key]) => {
+      if (!requireSignedIn(req, res)) {
+        return;
+      }
+      if (!isWritableKey(key)) {
+        sendJSON(res, 403, { error: 'This key can only be changed through its own API endpoint.' });
+        return;
+      }
+      const body = await readJSONBody(req);
+      if (typeof body.value !== 'string') {
+        sendJSON(res, 400, { error: 'Body must be { value: string }.' });
+        return;
+      }
+      store.set(key, body.value);
+      sendJSON(res, 200, { ok: true });
+    }
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/api\/storage\/([^/]+)$/,
+    handler: (req, res, [key]) => {
+      if (!requireSignedIn(req, res)) {
+        return;
+      }
+      if (!isWritableKey(key)) {
+        sendJSON(res, 403, { error: 'This key cannot be deleted.' });
+        return;
+      }
+      store.remove(key);
+      sendJSON(res, 200, { ok: true });
+    }
+  },
+
+  // Accounts and login
+  {
+    method: 'POST',
+    pattern: /^\/api\/accounts$/,
+    handler: async (req, res) => {
+      const { aadhar, password } = await readJSONBody(req, ['aadhar', 'password']);
+      const format = validateLoginFormat(aadhar, password);
+      const strength = validateNewPassword(password);
+      if (!format.valid || !strength.valid) {
+        sendJSON(res, 400, { success: false, message: format.valid ? strength.message : format.message });
+        return;
+      }
+      // Only voters on the electoral roll can register, so nobody can claim
+      // someone else's vote by registering their Aadhar Number first
+      if (!settings.electoralRoll || !settings.electoralRoll.has(aadhar)) {
+        sendJSON(res, 403, { success: false, message: 'This Aadhar Number is not on the electoral roll. Please ask an election official for help.' });
+        return;
+      }
+      const accounts = store.getJSON(STORAGE_KEYS.VOTER_ACCOUNTS, {});
+      if (accounts[aadhar]) {
+        sendJSON(res, 409, { success: false, message: 'An account already exists for this Aadhar Number.' });
+        return;
+      }
+      accounts[aadhar] = {
+        password: await hashPassword(password),
+        createdAt: new Date().toISOString()
+      };
+      store.setJSON(STORAGE_KEYS.VOTER_ACCOUNTS, accounts);
+      sendJSON(res, 201, { success: true, message: 'Account created. You can now log in.' });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/accounts\/(\d{12})\/password$/,
+    handler: async (req, res, [aadhar]) => {
+      if (!requireVoterSession(req, res, aadhar)) {
+        return;
+      }
+      const { currentPassword, newPassword } = await readJSONBody(req, ['currentPassword', 'newPassword']);
+      const strength = validateNewPassword(newPassword);
+      if (!strength.valid) {
+        sendJSON(res, 400, { success: false, message: strength.message });
+        return;
+      }
+      if (!(await authenticateVoter(aadhar, currentPassword))) {
+        sendJSON(res, 401, { success: false, message: 'Your current password is incorrect.' });
+        return;
+      }
+      const accounts = store.getJSON(STORAGE_KEYS.VOTER_ACCOUNTS, {});
+      accounts[aadhar].password = await hashPassword(newPassword);
+      accounts[aadhar].passwordChangedAt = new Date().toISOString();
+      store.setJSON(STORAGE_KEYS.VOTER_ACCOUNTS, accounts);
+      sendJSON(res, 200, { success: true, message: 'Your password has been changed.' });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/login$/,
+    handler: async (req, res) => {
+      const { aadhar, password } = await readJSONBody(req, ['aadhar', 'password']);
+      const format = validateLoginFormat(aadhar, password);
+      if (!format.valid) {
+        sendJSON(res, 400, format);
+        return;
+      }
+      if (!(await authenticateVoter(aadhar.trim(), password))) {
+        await recordApiAudit(req, 'login-failed', { outcome: 'failure', actor: { role: 'voter', id: aadhar.trim() } });
+        sendJSON(res, 401, { valid: false, message: 'Incorrect Aadhar Number or password. Please try again.' });
+        return;
+      }
+      dropEndedVoterSessions();
+      const session = { ...createVoterSession(aadhar.trim(), SESSION_SETTINGS), auditId: crypto.randomUUID() };
+      voterSessions.set(session.token, session);
+      await recordApiAudit(req, 'login', describeAuditVoter(session));
+      sendJSON(res, 200, { valid: true, message: 'Login successful.', session });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/session$/,
+    handler: (req, res) => {
+      const request = getRequestVoterSession(req);
+      if (!request) {
+        sendJSON(res, 401, { error: 'A session token is required.' });
+        return;
+      }
+      if (!request.session) {
+        sendJSON(res, 404, { error: 'This session is not known.' });
+        return;
+      }
+      sendJSON(res, 200, describeVoterSession(request.session));
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/session\/activity$/,
+    handler: (req, res) => {
+      const request = getRequestVoterSession(req);
+      if (!request) {
+        sendJSON(res, 401, { error: 'A session token is required.' });
+        return;
+      }
+      // A session that has ended cannot be kept going
+      if (!request.session || checkVoterSession(request.session, SESSION_SETTINGS)) {
+        sendJSON(res, 404, { error: 'This session has ended.' });
+        return;
+      }
+      const session = recordSessionActivity(request.session);
+      voterSessions.set(request.token, session);
+      sendJSON(res, 200, describeVoterSession(session));
+    }
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/api\/session$/,
+    handler: async (req, res) => {
+      const request = getRequestVoterSession(req);
+      if (!request) {
+        sendJSON(res, 401, { error: 'A session token is required.' });
+        return;
+      }
+      await endVoterSession(request.token, req);
+      sendJSON(res, 200, { ok: true });
+    }
+  },
+
+  // Face template enrollment and matching. Templates never leave the
+  // server: a voter's browser sends the face it captured and is told whether
+  // it matches.
+  {
+    method: 'GET',
+    pattern: /^\/api\/faces\/(\d{12})$/,
+    handler: (req, res, [aadhar]) => {
+      if (!requireVoterSession(req, res, aadhar)) {
+        return;
+      }
+      const entries = store.getJSON(STORAGE_KEYS.FACE_DESCRIPTORS, {});
+      if (getEntryTemplates(entries[aadhar]).length === 0) {
+        sendJSON(res, 404, { error: 'No face enrolled for this voter.' });
+        return;
+      }
+      sendJSON(res, 200, { aadhar, enrolledAt: entries[aadhar].enrolledAt || null });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/faces\/(\d{12})\/verify$/,
+    handler: async (req, res, [aadhar]) => {
+      const voter = requireVoterSession(req, res, aadhar);
+      if (!voter) {
+        return;
+      }
+      // Every frame the browser captured, through the liveness challenge
+      const { descriptors } = await readJSONBody(req);
+      const templates = getEntryTemplates(store.getJSON(STORAGE_KEYS.FACE_DESCRIPTORS, {})[aadhar]);
+      if (templates.length === 0) {
+        sendJSON(res, 404, { error: 'No face enrolled for this voter.' });
+        return;
+      }
+      if (!Array.isArray(descriptors) || descriptors.length === 0 || descriptors.length > FACE_MATCH_MAX_FRAMES ||
+          !descriptors.every(isFaceDescriptor)) {
+        sendJSON(res, 400, { error: `descriptors must be 1 to ${FACE_MATCH_MAX_FRAMES} arrays of ${FACE_DESCRIPTOR_LENGTH} finite numbers.` });
+        return;
+      }
+      const match = scoreFaceFrames(templates, descriptors, {
+        threshold: APP_CONFIG.face.matchThreshold,
+        scoring: APP_CONFIG.face.scoring
+      });
+      if (match.isMatch) {
+        markSessionVerified(voter.token, 'face');
+      }
+      // Only what the server checked: the liveness challenge itself runs in
+      // the browser, which the server cannot vouch for
+      await recordApiAudit(req, 'verification', {
+        ...describeAuditVoter(voter.session),
+        outcome: match.isMatch ? 'success' : 'failure',
+        details: {
+          method: 'face',
+          reason: match.reason,
+          distance: Number(match.distance.toFixed(3)),
+          spread: Number(match.spread.toFixed(3)),
+          frames: match.frames,
+          threshold: APP_CONFIG.face.matchThreshold
+        }
+      });
+      // The distances stay in the audit log: they would help someone tune a
+      // photo or a mask until it passes
+      sendJSON(res, 200, { match: { isMatch: match.isMatch, reason: match.reason } });
+    }
+  },
+  {
+    method: 'PUT',
+    pattern: /^\/api\/faces\/(\d{12})$/,
+    handler: async (req, res, [aadhar]) => {
+      const voter = requireVoterSession(req, res, aadhar);
+      if (!voter) {
+        return;
+      }
+      const { templates } = await readJSONBody(req);
+      if (!Array.isArray(templates) || templates.length === 0 || !templates.every(isFaceDescriptor)) {
+        sendJSON(res, 400, { error: `templates must be a non-empty array of descriptors, each an array of ${FACE_DESCRIPTOR_LENGTH} finite numbers.` });
+        return;
+      }
+      const entries = store.getJSON(STORAGE_KEYS.FACE_DESCRIPTORS, {});
+      // A face is enrolled once: only an election official can reset it
+      if (getEntryTemplates(entries[aadhar]).length > 0) {
+        await recordApiAudit(req, 'face-enrollment', {
+          ...describeAuditVoter(voter.session),
+          outcome: 'failure',
+          details: { reason: 'already-enrolled', templates: templates.length }
+        });
+        sendJSON(res, 409, {
+          success: false,
+          flagged: false,
+          message: 'A face is already enrolled for this Aadhar Number. Please ask an election official to reset it.'
+        });
+        return;
+      }
+      // Compare against every other enrolled voter
+      const screening = screenFaceEnrollment(buildFaceIndex(entries), aadhar, templates, {
+        threshold: APP_CONFIG.face.duplicateThreshold,
+        policy: APP_CONFIG.face.duplicatePolicy,
+        reviews: store.getJSON(STORAGE_KEYS.FACE_DUPLICATE_AUDIT, [])
+      });
+      if (screening.auditRecord) {
+        appendRecord(STORAGE_KEYS.FACE_DUPLICATE_AUDIT, screening.auditRecord);
+        console.warn('Possible duplicate face enrollment recorded:', screening.auditRecord.id);
+      }
+      const recordEnrollment = outcome => recordApiAudit(req, 'face-enrollment', {
+        ...describeAuditVoter(voter.session),
+        outcome,
+        details: { flagged: screening.flagged, templates: templates.length }
+      });
+      if (!screening.allowed) {
+        await recordEnrollment('failure');
+        sendJSON(res, 409, {
+          success: false,
+          flagged: true,
+          message: 'This face appears to be enrolled under another Aadhar Number. Enrollment has been blocked and an election official will review it.'
+        });
+        return;
+      }
+
+      entries[aadhar] = { templates, enrolledAt: new Date().toISOString() };
+      store.setJSON(STORAGE_KEYS.FACE_DESCRIPTORS, entries);
+      await recordEnrollment('success');
+      sendJSON(res, 200, { success: true, flagged: screening.flagged, message: 'Face enrolled successfully.' });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/faces\/(\d{12})\/reset$/,
+    handler: async (req, res, [aadhar]) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      const { reason } = await readJSONBody(req);
+      if (typeof reason !== 'string' || reason.trim() === '') {
+        sendJSON(res, 400, { success: false, message: 'Please give a reason for resetting the face enrollment.' });
+        return;
+      }
+      const entries = store.getJSON(STORAGE_KEYS.FACE_DESCRIPTORS, {});
+      const enrolled = getEntryTemplates(entries[aadhar]).length > 0;
+      await recordOfficialAction(req, 'reset-face-enrollment', enrolled ? 'success' : 'failure', {
+        voter: maskAadhar(aadhar),
+        reason: reason.trim().slice(0, AUDIT_LOG.maxDetailLength)
+      });
+      if (!enrolled) {
+        sendJSON(res, 404, { success: false, message: 'No face is enrolled for this Aadhar Number.' });
+        return;
+      }
+      // The voter enrolls again, and is screened for duplicates again
+      delete entries[aadhar];
+      store.setJSON(STORAGE_KEYS.FACE_DESCRIPTORS, entries);
+      sendJSON(res, 200, { success: true, message: 'The face enrollment has been reset. The voter can now enroll again.' });
+    }
+  },
+
+  // Possible duplicate enrollments, for an election official to review
+  {
+    method: 'GET',
+    pattern: /^\/api\/face-reviews$/,
+    handler: (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      sendJSON(res, 200, { records: store.getJSON(STORAGE_KEYS.FACE_DUPLICATE_AUDIT, []) });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/face-reviews\/([^/]+)$/,
+    handler: async (req, res, [id]) => {
+      const official = getRequestOfficial(req);
+      if (!official) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      const { resolution, note } = await readJSONBody(req, ['resolution', 'note']);
+      const review = resolveFaceReview(store.getJSON(STORAGE_KEYS.FACE_DUPLICATE_AUDIT, []), id, resolution, official, note);
+      await recordOfficialAction(req, 'resolve-face-review', review.valid ? 'success' : 'failure', {
+        review: id.slice(0, AUDIT_LOG.maxDetailLength),
+        resolution: FACE_REVIEW_RESOLUTIONS.includes(resolution) ? resolution : null,
+        voter: review.record ? maskAadhar(review.record.aadhar) : null,
+        note: typeof note === 'string' ? note.trim().slice(0, AUDIT_LOG.maxDetailLength) : null
+      });
+      if (!review.valid) {
+        let status = 400;
+        if (!review.record) {
+          status = 404;
+        } else if (review.record.status !== 'pending-review') {
+          status = 409;
+        }
+        sendJSON(res, status, { success: false, message: review.message });
+        return;
+      }
+      store.setJSON(STORAGE_KEYS.FACE_DUPLICATE_AUDIT, review.reviews);
+
+      // A face enrolled under someone else's number is taken off, so it
+      // cannot be used to vote twice
+      let { message } = review;
+      const entries = store.getJSON(STORAGE_KEYS.FACE_DESCRIPTORS, {});
+      if (resolution === 'confirmed' && getEntryTemplates(entries[review.record.aadhar]).length > 0) {
+        delete entries[review.record.aadhar];
+        store.setJSON(STORAGE_KEYS.FACE_DESCRIPTORS, entries);
+        message += ' Their face enrollment has been removed.';
+      }
+      sendJSON(res, 200, { success: true, message, record: review.record });
+    }
+  },
+
+  // Fallback verification when the face check cannot be used
+  {
+    method: 'GET',
+    pattern: /^\/api\/fallback\/options$/,
+    handler: (req, res) => {
+      if (!requireVoterSession(req, res)) {
+        return;
+      }
+      sendJSON(res, 200, { officerOverride: !!settings.officerPin });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/fallback\/code$/,
+    handler: async (req, res) => {
+      const voter = requireVoterSession(req, res);
+      if (!voter) {
+        return;
+      }
+      const { aadhar } = voter.session;
+      const { reason } = await readJSONBody(req, ['reason']);
+      const limit = takeFallbackAttempt('otp-request', voter.session);
+      if (!limit.allowed) {
+        appendRecord(STORAGE_KEYS.FALLBACK_AUDIT,
+          createFallbackAuditRecord(aadhar, 'otp', 'rejected', { reason, message: limit.message }));
+        sendJSON(res, 429, { success: false, message: limit.message, retryAt: limit.retryAt });
+        return;
+      }
+      const channel = createFallbackChannel(APP_CONFIG.fallback.channel || 'mock-sms',
+        async entry => appendRecord(STORAGE_KEYS.FALLBACK_OUTBOX, entry));
+      const code = generateFallbackCode();
+      const codes = store.getJSON(STORAGE_KEYS.FALLBACK_CODES, {});
+      codes[aadhar] = await createFallbackCodeRecord(code);
+      store.setJSON(STORAGE_KEYS.FALLBACK_CODES, codes);
+
+      await channel.send(aadhar, formatFallbackCodeMessage(code));
+      appendRecord(STORAGE_KEYS.FALLBACK_AUDIT,
+        createFallbackAuditRecord(aadhar, 'otp', 'code-sent', { reason, channel: channel.name }));
+      sendJSON(res, 200, { success: true, message: `A one-time code has been sent to you by ${channel.label}.` });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/fallback\/verify$/,
+    handler: async (req, res) => {
+      const voter = requireVoterSession(req, res);
+      if (!voter) {
+        return;
+      }
+      const { aadhar } = voter.session;
+      const { method, code, officer, pin, reason } = await readJSONBody(req, ['method', 'code', 'officer', 'pin', 'reason']);
+
+      let check;
+      let details;
+      let successMessage;
+      let locked = false;
+      if (method === 'otp') {
+        const codes = store.getJSON(STORAGE_KEYS.FALLBACK_CODES, {});
+        check = await checkFallbackCode(codes[aadhar], code);
+        if (check.record) {
+          codes[aadhar] = check.record;
+        } else {
+          delete codes[aadhar];
+        }
+        store.setJSON(STORAGE_KEYS.FALLBACK_CODES, codes);
+        details = { reason };
+        successMessage = 'Your identity has been confirmed with the one-time code.';
+      } else if (method === 'officer-pin') {
+        if (typeof officer !== 'string' || officer.trim() === '') {
+          sendJSON(res, 400, { success: false, message: 'Please enter the poll officer\'s name or ID.' });
+          return;
+        }
+        // Wrong PINs lock the override for this voter and session for a while
+        const limit = takeFallbackAttempt('officer-pin', voter.session);
+        check = limit.allowed ? await checkOfficerPin(pin, settings.officerPin) : { valid: false, message: limit.message };
+        if (check.valid) {
+          const subjects = getFallbackSubjects(aadhar, voter.session.auditId);
+          store.setJSON(STORAGE_KEYS.FALLBACK_ATTEMPTS,
+            clearFallbackAttempts(store.getJSON(STORAGE_KEYS.FALLBACK_ATTEMPTS, {}), 'officer-pin', subjects));
+        }
+        locked = !limit.allowed;
+        details = { reason, officer: officer.trim() };
+        successMessage = 'The poll officer has confirmed your identity.';
+      } else {
+        sendJSON(res, 400, { success: false, message: 'method must be "otp" or "officer-pin".' });
+        return;
+      }
+
+      const record = createFallbackAuditRecord(
+        aadhar, method, check.valid ? 'verified' : 'rejected', { ...details, message: check.valid ? null : check.message });
+      appendRecord(STORAGE_KEYS.FALLBACK_AUDIT, record);
+      await recordApiAudit(req, 'verification', {
+        ...describeAuditVoter(voter.session),
+        outcome: check.valid ? 'success' : 'failure',
+        details: method === 'otp'
+          ? { method, reason: record.reason }
+          : { method, reason: record.reason, officer: record.officer.slice(0, AUDIT_LOG.maxDetailLength), ...(locked ? { locked } : {}) }
+      });
+      if (!check.valid) {
+        sendJSON(res, locked ? 429 : 401, { success: false, message: check.message });
+        return;
+      }
+      markSessionVerified(voter.token, method);
+      sendJSON(res, 200, { success: true, message: successMessage });
+    }
+  },
+
+  {
+    method: 'GET',
+    pattern: /^\/api\/fallback\/audit$/,
+    handler: (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      sendJSON(res, 200, { records: store.getJSON(STORAGE_KEYS.FALLBACK_AUDIT, []) });
+    }
+  },
+
+  // Voting
+  {
+    method: 'GET',
+    pattern: /^\/api\/voters\/(\d{12})\/voted$/,
+    handler: (req, res, [aadhar]) => {
+      // Only the voter can find out whether they have voted
+      if (!requireVoterSession(req, res, aadhar)) {
+        return;
+      }
+      sendJSON(res, 200, { aadhar, hasVoted: hasVoted(aadhar) });
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/votes$/,
+    handler: async (req, res) => {
+      const voter = requireVoterSession(req, res);
+      if (!voter) {
+        return;
+      }
+      const { aadhar } = voter.session;
+      // The audit log records that the voter voted, never what they chose
+      const recordVote = (outcome, reason = null) => recordApiAudit(req, 'vote-cast', {
+        ...describeAuditVoter(voter.session),
+        outcome,
+        details: reason ? { reason } : {}
+      });
+      const refuse = async (status, error, reason) => {
+        await recordVote('failure', reason);
+        sendJSON(res, status, { error });
+      };
+      const { ballot } = await readJSONBody(req);
+      if (!ballot) {
+        await refuse(400, 'A ballot is required.', 'invalid-ballot');
+        return;
+      }
+      // Only a voter with an account, who has just proved who they are, can vote
+      if (!store.getJSON(STORAGE_KEYS.VOTER_ACCOUNTS, {})[aadhar]) {
+        await refuse(403, 'There is no voter account for this Aadhar Number.', 'no-account');
+        return;
+      }
+      if (!isSessionVerified(voter.session)) {
+        await refuse(403, 'Please verify your identity before casting your ballot.', 'not-verified');
+        return;
+      }
+      // Ballots are only accepted while the poll is open
+      const schedule = getPollSchedule();
+      if (!isPollOpen(schedule)) {
+        await refuse(403, describePollSchedule(schedule), 'poll-closed');
+        return;
+      }
+      // The server cannot read the ballot, only check it is encrypted for
+      // this election. Its selections are checked when it is counted.
+      const check = checkEncryptedBallot(election, ballot);
+      if (!check.valid) {
+        await refuse(400, check.message, 'invalid-ballot');
+        return;
+      }
+      await updateBallotBox(async () => {
+        if (hasVoted(aadhar)) {
+          await refuse(409, 'This voter has already voted.', 'already-voted');
+          return;
+        }
+        // Signing the box again would hide any change made to it outside the server
+        const report = await checkStoredBallotLog();
+        if (!report.valid) {
+          console.warn(`Ballot refused: ${describeBallotLogReport(report).join(' ')}`);
+          await refuse(503, 'The ballot box does not match its signed log. Voting is stopped until an election official checks it.', 'ballot-log-mismatch');
+          return;
+        }
+        // The ballot box holds no voter details; the voter roll records who voted
+        const ballots = store.getJSON(STORAGE_KEYS.VOTES, []);
+        const anonymous = { encrypted: ballot.encrypted };
+        if (await isBallotInBox(ballots, anonymous)) {
+          await refuse(409, 'This ballot is already in the ballot box.', 'duplicate-ballot');
+          return;
+        }
+        await storeSealedBallots(addBallotToBox(ballots, anonymous));
+        store.set(STORAGE_KEYS.HAS_VOTED_PREFIX + aadhar, 'true');
+        await recordVote('success');
+        sendJSON(res, 201, { ok: true });
+      });
+    }
+  },
+
+  // Election officials and results
+  {
+    method: 'POST',
+    pattern: /^\/api\/officials\/login$/,
+    handler: async (req, res) => {
+      const { username, password } = await readJSONBody(req);
+      if (typeof username !== 'string' || typeof password !== 'string' || username.trim() === '') {
+        sendJSON(res, 400, { valid: false, message: 'Please enter your username and password.' });
+        return;
+      }
+      const account = Object.prototype.hasOwnProperty.call(settings.officials, username.trim())
+        ? settings.officials[username.trim()]
+        : null;
+      const actor = { role: 'official', id: username.trim().slice(0, AUDIT_LOG.maxIdLength) };
+      if (!account || !(await verifyPassword(password, account))) {
+        await recordApiAudit(req, 'official-login-failed', { outcome: 'failure', actor });
+        sendJSON(res, 401, { valid: false, message: 'Incorrect username or password. Please try again.' });
+        return;
+      }
+      const session = createOfficialSession(username.trim());
+      await recordApiAudit(req, 'official-login', { actor, sessionId: session.sessionId });
+      sendJSON(res, 200, { valid: true, message: 'Login successful.', ...session });
+    }
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/api\/officials\/session$/,
+    handler: async (req, res) => {
+      const match = /^Bearer ([0-9a-f]+)$/.exec(req.headers.authorization || '');
+      if (!match) {
+        sendJSON(res, 401, { error: 'A session token is required.' });
+        return;
+      }
+      await endOfficialSession(match[1], req);
+      sendJSON(res, 200, { ok: true });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/ballots$/,
+    handler: async (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      if (!requireClosedPoll(res)) {
+        return;
+      }
+      // Still encrypted: they are decrypted and counted in the official's
+      // browser with the election private key, which the server never has.
+      // The checkpoint and public key let the official verify the ballot log.
+      const ballots = store.getJSON(STORAGE_KEYS.VOTES, []);
+      const accounts = store.getJSON(STORAGE_KEYS.VOTER_ACCOUNTS, {});
+      const checkpoint = store.getJSON(STORAGE_KEYS.BALLOT_CHECKPOINT, null);
+      const { publicKey } = await getBallotLogKey();
+      sendJSON(res, 200, { ballots, registeredVoters: Object.keys(accounts).length, checkpoint, publicKey });
+    }
+  },
+
+  {
+    method: 'GET',
+    pattern: /^\/api\/booth-bundle$/,
+    handler: async (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      if (!requireClosedPoll(res)) {
+        return;
+      }
+      // Read in the ballot box queue, so the ballots and the voter roll are
+      // taken between two votes
+      const bundle = await updateBallotBox(async () => {
+        const voterRoll = store.keys()
+          .filter(key => key.startsWith(STORAGE_KEYS.HAS_VOTED_PREFIX) && store.get(key) === 'true')
+          .map(key => key.slice(STORAGE_KEYS.HAS_VOTED_PREFIX.length));
+        const log = {
+          electionId: election.id,
+          ballots: store.getJSON(STORAGE_KEYS.VOTES, []),
+          checkpoint: store.getJSON(STORAGE_KEYS.BALLOT_CHECKPOINT, null)
+        };
+        const { keyPair } = await getBallotLogKey();
+        return createBoothBundle(log, voterRoll, (APP_CONFIG.booth && APP_CONFIG.booth.name) || '', keyPair);
+      });
+      await recordOfficialAction(req, 'export-booth-bundle', 'success', {
+        machineId: bundle.machineId,
+        ballots: bundle.ballots.length
+      });
+      sendJSON(res, 200, bundle);
+    }
+  },
+
+  // Receipts: anyone can check a receipt code, which does not reveal the vote
+  {
+    method: 'GET',
+    pattern: /^\/api\/receipts\/([^/]+)$/,
+    handler: async (req, res, [code]) => {
+      const { publicKey } = await getBallotLogKey();
+      const ballots = store.getJSON(STORAGE_KEYS.VOTES, []);
+      const checkpoint = store.getJSON(STORAGE_KEYS.BALLOT_CHECKPOINT, null);
+      const result = await findBallotReceipt(code, ballots, checkpoint, publicKey, election.id);
+      sendJSON(res, 200, result);
+    }
+  },
+
+  // Polling schedule
+  {
+    method: 'GET',
+    pattern: /^\/api\/poll$/,
+    handler: (req, res) => {
+      sendJSON(res, 200, getPollSchedule());
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/api\/poll$/,
+    handler: async (req, res) => {
+      const official = getRequestOfficial(req);
+      if (!official) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      const { action, closesAt, reason } = await readJSONBody(req, ['action', 'closesAt', 'reason']);
+      const schedule = getPollSchedule();
+      const check = checkPollChange(schedule, action, { closesAt, reason });
+      // An unknown action is recorded without the name it was sent with
+      const recordChange = outcome => recordOfficialAction(req, POLL_SCHEDULE_ACTIONS.includes(action) ? `${action}-poll` : 'change-poll', outcome, {
+        closesAt: check.valid ? getPollSchedule().closesAt : null,
+        reason: String(reason || '').slice(0, AUDIT_LOG.maxDetailLength)
+      });
+      if (!check.valid) {
+        await recordChange('failure');
+        sendJSON(res, 400, { success: false, message: check.message, schedule });
+        return;
+      }
+      appendRecord(STORAGE_KEYS.POLL_AUDIT, createPollAuditRecord(schedule, action, official, check.closesAt, reason));
+      await recordChange('success');
+      sendJSON(res, 200, { success: true, message: check.message, schedule: getPollSchedule() });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/poll\/audit$/,
+    handler: (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      const records = store.getJSON(STORAGE_KEYS.POLL_AUDIT, []).filter(record => record.electionId === election.id);
+      sendJSON(res, 200, { records });
+    }
+  },
+
+  // Audit log: the server records what is done through its endpoints, a
+  // logged-in browser adds what happens only in the browser (see
+  // isBrowserAuditEntry in audit-log.js), and only officials can read it
+  {
+    method: 'POST',
+    pattern: /^\/api\/audit$/,
+    handler: async (req, res) => {
+      const body = await readJSONBody(req);
+      const check = checkAuditEntry(body);
+      if (!check.valid) {
+        sendJSON(res, 400, { error: check.message });
+        return;
+      }
+      if (!isBrowserAuditEntry(body)) {
+        sendJSON(res, 403, { error: 'The server records this event itself.' });
+        return;
+      }
+      // The actor and session are the ones that sent the entry, never the
+      // ones it names
+      let who;
+      if (body.event === 'admin-action') {
+        const official = getRequestOfficialSession(req);
+        if (!official) {
+          sendJSON(res, 401, { error: 'Please log in as an election official.' });
+          return;
+        }
+        who = { actor: { role: 'official', id: official.username }, sessionId: official.sessionId };
+      } else {
+        const voter = requireVoterSession(req, res);
+        if (!voter) {
+          return;
+        }
+        who = describeAuditVoter(voter.session);
+      }
+      // The entry gets the server's id and time, not the browser's
+      await appendAuditEntry(createAuditEntry(body.event, { ...check.options, ...who }));
+      sendJSON(res, 201, { ok: true });
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/api\/audit$/,
+    handler: (req, res) => {
+      if (!getRequestOfficial(req)) {
+        sendJSON(res, 401, { error: 'Please log in as an election official.' });
+        return;
+      }
+      sendJSON(res, 200, { entries: store.getJSON(STORAGE_KEYS.AUDIT_LOG, []) });
+    }
+  }
+];
+
+// ============================================
+// Static Files
+// ============================================
+
+/**
+ * Serve a file from the app directory
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Decoded URL path
+ */
+function serveStatic(req, res, pathname) {
+  const relativePath = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+  const filePath = path.resolve(APP_ROOT, relativePath);
+
+  // Never serve files outside the app, the server's own data or the sample
+  // election keys
+  if (!filePath.startsWith(APP_ROOT + path.sep) || filePath.startsWith(__dirname + path.sep) ||
+      filePath.startsWith(DEMO_KEYS_DIR + path.sep)) {
+    sendJSON(res, 403, { error: 'Forbidden.' });
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      sendJSON(res, 404, { error: 'Not found.' });
+      return;
+    }
+    const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+}
+
+// ============================================
+// Server
+// ============================================
+
+/**
+ * Handle an incoming request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  // Allow pages opened from file:// or another port to call the API
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  // The audit headers are sent by storage.js for the audit log entries made here
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Audit-Source, X-Audit-Page');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    if (pathname.startsWith('/api/')) {
+      for (const route of routes) {
+        const match = pathname.match(route.pattern);
+        if (match && route.method === req.method) {
+          const params = match.slice(1).map(decodeURIComponent);
+          await route.handler(req, res, params);
+          return;
+        }
+      }
+      sendJSON(res, 404, { error: 'Unknown API endpoint.' });
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJSON(res, 405, { error: 'Method not allowed.' });
+      return;
+    }
+    serveStatic(req, res, decodeURIComponent(pathname));
+  } catch (error) {
+    // decodeURIComponent throws on a broken percent-encoding in the path
+    if (error instanceof URIError) {
+      sendJSON(res, 400, { error: 'The request path is not a valid URL.' });
+      return;
+    }
+    console.error('Error handling request:', error);
+    sendJSON(res, error.status || 500, { error: error.status ? error.message : 'Internal server error.' });
+  }
+}
+
+if (require.main === module) {
+  // The shared browser code uses the global Web Crypto API, which Node.js
+  // only provides from version 20 (this file's own crypto is the Node module)
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    console.error(`The server needs Node.js 20 or newer; this is ${process.version}.`);
+    process.exit(1);
+  }
+  prepareBallotBox().then(async () => {
+    const ballotLogKeyId = await getBallotLogKeyId((await getBallotLogKey()).publicKey);
+    setInterval(() => {
+      dropEndedVoterSessions();
+      dropEndedOfficialSessions();
+    }, 60 * 1000).unref();
+    http.createServer(handleRequest).listen(PORT, () => {
+      console.log(`Inclusive Voting App server running at http://localhost:${PORT}/`);
+      console.log(`Data file: ${DATA_FILE}`);
+      console.log(`Ballot log signing key: ${ballotLogKeyId} (${BALLOT_LOG_KEY_FILE})`);
+      const rollSize = settings.electoralRoll ? settings.electoralRoll.size : 0;
+      console.log(settings.electoralRoll
+        ? `Electoral roll: ${rollSize} ${rollSize === 1 ? 'voter' : 'voters'} (${SETTINGS_FILE})`
+        : `No electoral roll in ${SETTINGS_FILE}: nobody can register.`);
+      if (!settings.officerPin) {
+        console.log('No officerPin in the server settings: the poll officer override is off.');
+      }
+      if (Object.keys(settings.officials).length === 0) {
+        console.log('No officials in the server settings: nobody can log in to the results page.');
+      }
+    });
+  }).catch((error) => {
+    console.error('The server could not start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  handleRequest
+};
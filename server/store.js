@@ -0,0 +1,62 @@
+/* ============================================
+   Inclusive Voting App - Server Data Store
+   Key-value persistence in a local JSON file
+   ============================================ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// File Store
+// ============================================
+
+/**
+ * Create a key-value store persisted to a JSON file.
+ * Keys and values mirror the browser storage adapters: values are strings.
+ * @param {string} filePath - Path of the JSON data file
+ * @returns {Object} Store with get, set, remove and keys methods
+ */
+function createFileStore(filePath) {
+  let data = {};
+
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Write to a temporary file first so a crash never leaves a half-written file
+  const persist = () => {
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    get(key) {
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    set(key, value) {
+      data[key] = String(value);
+      persist();
+    },
+    remove(key) {
+      delete data[key];
+      persist();
+    },
+    keys() {
+      return Object.keys(data);
+    },
+    getJSON(key, fallback) {
+      const stored = this.get(key);
+      return stored ? JSON.parse(stored) : fallback;
+    },
+    setJSON(key, value) {
+      this.set(key, JSON.stringify(value));
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
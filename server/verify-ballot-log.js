@@ -0,0 +1,97 @@
+/* ============================================
+   Inclusive Voting App - Ballot Log Verifier
+   Checks exported ballots against their chain
+   links and signed checkpoint
+   Usage: node server/verify-ballot-log.js <file> [--key-id <id>]
+   ============================================ */
+
+// <file> is a ballot log exported from the results page, or the server's
+// data file (the key is then read from BALLOT_LOG_KEY_FILE, or the
+// ballot-log-key.json beside the data file). --key-id is the id of the key
+// the log must be signed with, as shown on the results page and when the
+// server starts; without it, the key in the export is trusted.
+
+const fs = require('fs');
+const path = require('path');
+const { STORAGE_KEYS } = require('../script.js');
+const { checkBallotLog, describeBallotLogReport, getBallotLogKeyId, readBallotLogExport } = require('../ballot-log.js');
+const { APP_CONFIG } = require('../config.js');
+
+const USAGE = 'Usage: node server/verify-ballot-log.js <file> [--key-id <id>]';
+
+// ============================================
+// Reading the Log
+// ============================================
+
+/**
+ * Read a ballot log from the server's data file
+ * @param {Object} data - Parsed data file (values are JSON strings)
+ * @param {string} filePath - Path of the data file
+ * @returns {Object} { valid, message, log }
+ */
+function readServerDataFile(data, filePath) {
+  const keyFile = process.env.BALLOT_LOG_KEY_FILE || path.join(path.dirname(filePath), 'ballot-log-key.json');
+  if (!fs.existsSync(keyFile)) {
+    return { valid: false, message: `The ballot log key file ${keyFile} was not found.`, log: null };
+  }
+  const definition = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', APP_CONFIG.election.definitionUrl), 'utf8'));
+  const stored = key => (data[key] ? JSON.parse(data[key]) : null);
+  return {
+    valid: true,
+    message: 'Ballot log read.',
+    log: {
+      electionId: definition.id,
+      ballots: stored(STORAGE_KEYS.VOTES) || [],
+      checkpoint: stored(STORAGE_KEYS.BALLOT_CHECKPOINT),
+      publicKey: JSON.parse(fs.readFileSync(keyFile, 'utf8')).publicKey
+    }
+  };
+}
+
+// ============================================
+// Main
+// ============================================
+
+/**
+ * Verify a ballot log file and print what was added, removed or altered
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Promise<number>} Exit code: 0 if the log is intact, 1 if not,
+ *   2 if it could not be read
+ */
+async function main(args) {
+  const [filePath, option, expectedKeyId] = args;
+  if (!filePath || (option !== undefined && (option !== '--key-id' || !expectedKeyId))) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${filePath}: ${error.message}`);
+    return 2;
+  }
+  const read = data && data.format ? readBallotLogExport(data) : readServerDataFile(data, filePath);
+  if (!read.valid) {
+    console.error(read.message);
+    return 2;
+  }
+
+  const { log } = read;
+  if (expectedKeyId && (!log.publicKey || await getBallotLogKeyId(log.publicKey) !== expectedKeyId)) {
+    console.log(`NOT VERIFIED: the log was not signed with key ${expectedKeyId}.`);
+    return 1;
+  }
+  const report = await checkBallotLog(log.ballots, log.checkpoint, log.publicKey, log.electionId);
+  console.log(`${report.valid ? 'VERIFIED' : 'NOT VERIFIED'}: ${log.electionId}, ${log.ballots.length} ballots`);
+  describeBallotLogReport(report).forEach(line => console.log(`  ${line}`));
+  if (report.signedAt) {
+    console.log(`  Checkpoint signed ${report.signedAt}.`);
+  }
+  return report.valid ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,323 @@
+/* ============================================
+   Inclusive Voting App - Voter Sessions
+   Opaque session tokens, their lifetime and the
+   inactivity timeout with its spoken warning
+   ============================================ */
+
+// Used in the browser (every voter page, through script.js) and by
+// server/server.js. Logging in starts a session named by a random token;
+// the device keeps only the token, and the session itself (whose it is and
+// when it ends) is kept by the server, or with the voter accounts when there
+// is no server. A session ends a fixed time after login however busy the
+// voter is, and sooner if nobody touches, types or speaks for a while, so a
+// voter who walks away from a shared booth is logged out. Shortly before
+// either, the voter is warned on screen and by voice and can say "continue"
+// to stay (the fixed limit cannot be extended).
+
+// ============================================
+// Session Settings
+// ============================================
+
+// Used for anything APP_CONFIG.session does not set
+const SESSION_DEFAULTS = {
+  lifetimeMs: 20 * 60 * 1000,
+  idleTimeoutMs: 3 * 60 * 1000,
+  warningMs: 30 * 1000,
+  // How long an identity verification lasts (see the voter journey in script.js)
+  verificationTtlMs: 10 * 60 * 1000,
+  // Activity is sent to the server at most this often
+  activityIntervalMs: 15 * 1000
+};
+
+/**
+ * Get the session settings, from APP_CONFIG.session and the defaults
+ * @param {Object} configured - APP_CONFIG.session (or undefined)
+ * @returns {Object} Session settings
+ */
+function getSessionSettings(configured) {
+  return { ...SESSION_DEFAULTS, ...(configured || {}) };
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+/**
+ * Make a random session token
+ * @returns {string} 64 hex characters
+ */
+function createSessionToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(32)))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Start a voter session
+ * @param {string} aadhar - Aadhar number
+ * @param {Object} settings - From getSessionSettings
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {Object} { token, aadhar, issuedAt, expiresAt, lastActiveAt } -
+ *   times are ISO strings
+ */
+function createVoterSession(aadhar, settings, now = Date.now()) {
+  return {
+    token: createSessionToken(),
+    aadhar,
+    issuedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + settings.lifetimeMs).toISOString(),
+    lastActiveAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Work out when a session ends if the voter does nothing more
+ * @param {Object} session - Voter session
+ * @param {Object} settings - From getSessionSettings
+ * @returns {Object} { endsAt, endsBy } - endsAt in milliseconds; endsBy is
+ *   'expired' (the fixed lifetime) or 'idle' (the inactivity timeout)
+ */
+function getSessionEnd(session, settings) {
+  const expiresAt = Date.parse(session.expiresAt);
+  const idleAt = Date.parse(session.lastActiveAt) + settings.idleTimeoutMs;
+  return idleAt < expiresAt ? { endsAt: idleAt, endsBy: 'idle' } : { endsAt: expiresAt, endsBy: 'expired' };
+}
+
+/**
+ * Check whether a session has ended
+ * @param {Object} session - Voter session
+ * @param {Object} settings - From getSessionSettings
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {string|null} null while the session lasts, otherwise why it
+ *   ended: 'expired' or 'idle'
+ */
+function checkVoterSession(session, settings, now = Date.now()) {
+  const { endsAt, endsBy } = getSessionEnd(session, settings);
+  return now >= endsAt ? endsBy : null;
+}
+
+/**
+ * Record that the voter did something, which restarts the inactivity timeout
+ * @param {Object} session - Voter session that has not ended
+ * @param {number} now - Time in milliseconds (defaults to now)
+ * @returns {Object} The session with its new lastActiveAt
+ */
+function recordSessionActivity(session, now = Date.now()) {
+  return { ...session, lastActiveAt: new Date(now).toISOString() };
+}
+
+/**
+ * Explain to the voter why their session ended
+ * @param {string} reason - 'expired', 'idle', or anything else for a session
+ *   that is no longer known
+ * @param {Object} settings - From getSessionSettings
+ * @returns {string}
+ */
+function describeSessionEnd(reason, settings) {
+  const minutes = ms => {
+    const count = Math.round(ms / 60000);
+    return `${count} ${count === 1 ? 'minute' : 'minutes'}`;
+  };
+  if (reason === 'idle') {
+    return `You were logged out after ${minutes(settings.idleTimeoutMs)} without any activity.`;
+  }
+  if (reason === 'expired') {
+    return `You were logged out because sessions last ${minutes(settings.lifetimeMs)}.`;
+  }
+  return 'Your session has ended.';
+}
+
+// ============================================
+// Inactivity Warning (browser)
+// ============================================
+
+// The session the page is watching, as last read or touched
+let watchedSession = null;
+let sessionTimer = null;
+let lastActivitySent = 0;
+let sessionWarningShown = false;
+
+/**
+ * Get the session settings from APP_CONFIG
+ * @returns {Object} Session settings
+ */
+function getPageSessionSettings() {
+  return getSessionSettings(typeof APP_CONFIG !== 'undefined' ? APP_CONFIG.session : null);
+}
+
+/**
+ * Watch the voter's session on this page: warn before it ends and log out
+ * when it does. Called by requireAuth (script.js) once the session is checked.
+ * @param {Object} session - Voter session from getVoterSession (script.js)
+ */
+function watchVoterSession(session) {
+  watchedSession = session;
+  if (sessionTimer) {
+    return;
+  }
+  sessionTimer = setInterval(checkSessionTimer, 1000);
+  // Capture phase, so activity counts even where the page stops the event
+  ['pointerdown', 'keydown'].forEach((type) => {
+    document.addEventListener(type, (e) => {
+      if (e.isTrusted) {
+        noteSessionActivity();
+      }
+    }, true);
+  });
+}
+
+/**
+ * Stop watching the session (when it has ended)
+ */
+function stopWatchingSession() {
+  clearInterval(sessionTimer);
+  sessionTimer = null;
+  watchedSession = null;
+  hideSessionWarning();
+}
+
+/**
+ * Note that the voter did something. During the warning this keeps the
+ * session, like saying "continue"; otherwise the server hears of it at most
+ * every activityIntervalMs.
+ */
+function noteSessionActivity() {
+  if (!watchedSession) {
+    return;
+  }
+  if (sessionWarningShown) {
+    continueVoterSession();
+    return;
+  }
+  watchedSession = recordSessionActivity(watchedSession);
+  if (Date.now() - lastActivitySent >= getPageSessionSettings().activityIntervalMs) {
+    lastActivitySent = Date.now();
+    touchCurrentSession().catch(error => console.error('Could not record session activity:', error));
+  }
+}
+
+/**
+ * Keep the session going after the warning ("continue")
+ * @returns {Promise<void>}
+ */
+async function continueVoterSession() {
+  if (!watchedSession) {
+    return;
+  }
+  hideSessionWarning();
+  lastActivitySent = Date.now();
+  const session = await touchCurrentSession();
+  if (!session) {
+    await requireAuth();
+    return;
+  }
+  watchedSession = session;
+  const { endsBy } = getSessionEnd(session, getPageSessionSettings());
+  if (typeof speak === 'function') {
+    speak(endsBy === 'idle'
+      ? 'You are still logged in.'
+      : 'You are still logged in, but your session time is almost over. Please finish now.');
+  }
+}
+
+/**
+ * Check if the session warning is on screen
+ * @returns {boolean}
+ */
+function isSessionWarningShown() {
+  return sessionWarningShown;
+}
+
+/**
+ * Count down to the end of the session, warn before it and log out at it
+ */
+function checkSessionTimer() {
+  if (!watchedSession) {
+    return;
+  }
+  const settings = getPageSessionSettings();
+  const { endsAt, endsBy } = getSessionEnd(watchedSession, settings);
+  const remaining = endsAt - Date.now();
+  if (remaining <= 0) {
+    // requireAuth checks the stored session, which another tab may have kept
+    // going, and logs out if it has really ended
+    hideSessionWarning();
+    requireAuth();
+    return;
+  }
+  if (remaining <= settings.warningMs) {
+    showSessionWarning(Math.ceil(remaining / 1000), endsBy === 'idle');
+  } else if (sessionWarningShown) {
+    hideSessionWarning();
+  }
+}
+
+/**
+ * Show the session warning, speaking it when it first appears
+ * @param {number} seconds - Seconds left
+ * @param {boolean} canContinue - False when the fixed lifetime is ending,
+ *   which cannot be extended
+ */
+function showSessionWarning(seconds, canContinue) {
+  let warning = document.getElementById('session-warning');
+  if (!warning) {
+    warning = document.createElement('div');
+    warning.id = 'session-warning';
+    warning.className = 'session-warning';
+    warning.setAttribute('role', 'alert');
+    const message = document.createElement('p');
+    message.id = 'session-warning-message';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = 'btn-session-continue';
+    button.className = 'btn';
+    button.textContent = 'Continue';
+    button.addEventListener('click', continueVoterSession);
+    warning.append(message, button);
+    document.body.prepend(warning);
+  }
+  const remaining = `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+  const text = canContinue
+    ? `Your session will end in ${remaining}. Say "continue" or press Continue to stay.`
+    : `Your session will end in ${remaining}. Please finish now; you will need to log in again.`;
+  document.getElementById('session-warning-message').textContent = text;
+  document.getElementById('btn-session-continue').style.display = canContinue ? '' : 'none';
+
+  if (!sessionWarningShown) {
+    sessionWarningShown = true;
+    if (canContinue) {
+      document.getElementById('btn-session-continue').focus();
+    }
+    if (typeof speak === 'function') {
+      speak(canContinue
+        ? `Your session will end in ${remaining}, say "continue" to stay.`
+        : text);
+    }
+  }
+}
+
+/**
+ * Remove the session warning
+ */
+function hideSessionWarning() {
+  sessionWarningShown = false;
+  const warning = document.getElementById('session-warning');
+  if (warning) {
+    warning.remove();
+  }
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SESSION_DEFAULTS,
+    getSessionSettings,
+    createVoterSession,
+    getSessionEnd,
+    checkVoterSession,
+    recordSessionActivity,
+    describeSessionEnd
+  };
+}
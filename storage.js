@@ -0,0 +1,550 @@
+/* ============================================
+   Inclusive Voting App - Storage Adapters
+   Pluggable persistence for sessions, faces and votes
+   ============================================ */
+
+// Every adapter exposes the same promise-based interface:
+//   getItem(key)        -> Promise<string|null>
+//   setItem(key, value) -> Promise<void>
+//   removeItem(key)     -> Promise<void>
+// Values are strings (script.js stores JSON). Adapters that talk to a store
+// shared between machines set `shared: true`.
+//
+// Adapters backed by a server may also implement rules that must be enforced
+// server-side; script.js uses them when present:
+//   login(aadhar, password)     -> Promise<{ valid, message, session }>
+//     (session from createVoterSession in session.js)
+//   getSession(token) -> Promise<{ aadhar, expiresAt, lastActiveAt, ended }|null>
+//     (null when the server does not know the session)
+//   touchSession(token) -> Promise<{ aadhar, expiresAt, lastActiveAt }|null>
+//     (restarts the inactivity timeout; null when the session has ended)
+//   endSession(token) -> Promise<void>
+//   createAccount(aadhar, password)                   -> Promise<{ success, message }>
+// Everything else a voter does is done as the voter of a session, named by
+// its token; the server never takes the voter from the request:
+//   changePassword(token, aadhar, currentPassword, newPassword) -> Promise<{ success, message }>
+//   enrollFace(token, aadhar, templates) -> Promise<{ success, flagged, message }>
+//   getFaceEnrollment(token, aadhar) -> Promise<{ enrolled, enrolledAt }>
+//   matchFace(token, aadhar, descriptors) -> Promise<{ isMatch, reason }|null>
+//     (compared on the server, which never sends face templates to a
+//     browser; null when the voter has not enrolled a face)
+//   getFallbackOptions(token) -> Promise<{ officerOverride }> (whether the
+//     server has a poll officer PIN; the PIN itself never leaves the server)
+//   requestFallbackCode(token, reason) -> Promise<{ success, message }>
+//   verifyFallback(token, { method, code | officer + pin, reason }) -> Promise<{ success, message }>
+//   hasVoted(token, aadhar) -> Promise<boolean> (the voter roll is never
+//     sent to browsers; a voter can only look themselves up)
+//   castVote(token, ballot) -> Promise<void> (ballot from encryptBallot in
+//     ballot-crypto.js; rejects on double votes, ballots not encrypted for
+//     the election, ballots outside the polling window and sessions that
+//     have ended)
+//   officialLogin(username, password) -> Promise<{ valid, message, token, expiresAt, sessionId }>
+//     (sessionId names the session in the audit log)
+//   endOfficialSession(token) -> Promise<void>
+//   resetFaceEnrollment(token, aadhar, reason) -> Promise<{ success, message }>
+//   getFaceReviews(token) -> Promise<{ success, message, records }> (see face-index.js)
+//   resolveFaceReview(token, id, resolution, note) -> Promise<{ success, message }>
+//   getFallbackAudit(token) -> Promise<{ success, message, records }>
+//   getBallots(token) -> Promise<{ success, message, rejected, ballots, registeredVoters,
+//     checkpoint, publicKey }> (encrypted ballots, counted in the official's
+//     browser, with the ballot log checkpoint and the server's signing key;
+//     only once polling has closed. rejected is true when the server no
+//     longer accepts the official's session)
+//   checkReceipt(code) -> Promise<{ valid, found, message, signedAt }> (see receipt.js)
+//   getBoothBundle(token) -> Promise<{ success, message, rejected, bundle }> (the
+//     server's ballots and voter roll, signed with its key, once polling has
+//     closed; see booth-bundle.js)
+//   getPollSchedule() -> Promise<Object> (see schedule.js)
+//   changePollSchedule(token, action, { closesAt, reason }) -> Promise<{ success, message, schedule }>
+//   getPollAudit(token) -> Promise<{ success, message, records }>
+//   appendAudit(token, entry) -> Promise<void> (entry from createAuditEntry
+//     in audit-log.js, sent with the voter's or official's session token.
+//     The server records logins, verifications, votes and everything else
+//     done through it itself; it only takes entries for what happens in the
+//     browser, see isBrowserAuditEntry)
+//   getAuditLog(token) -> Promise<{ success, message, entries }>
+
+// ============================================
+// localStorage Adapter
+// ============================================
+
+/**
+ * Create an adapter backed by the browser's localStorage
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+  return {
+    name: 'local',
+    shared: false,
+    async getItem(key) {
+      return localStorage.getItem(key);
+    },
+    async setItem(key, value) {
+      localStorage.setItem(key, value);
+    },
+    async removeItem(key) {
+      localStorage.removeItem(key);
+    }
+  };
+}
+
+// ============================================
+// IndexedDB Adapter
+// ============================================
+
+const INDEXEDDB_STORE_NAME = 'keyvalue';
+
+/**
+ * Create an adapter backed by an IndexedDB object store
+ * @param {string} dbName - Database name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(dbName = 'inclusive-voting') {
+  let dbPromise = null;
+
+  // Open the database once and reuse the connection
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not supported in this browser.'));
+          return;
+        }
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(INDEXEDDB_STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run a single request inside a transaction and resolve with its result
+  const runRequest = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(INDEXEDDB_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(INDEXEDDB_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    name: 'indexeddb',
+    shared: false,
+    async getItem(key) {
+      const value = await runRequest('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    async setItem(key, value) {
+      await runRequest('readwrite', store => store.put(value, key));
+    },
+    async removeItem(key) {
+      await runRequest('readwrite', store => store.delete(key));
+    }
+  };
+}
+
+// ============================================
+// HTTP Adapter
+// ============================================
+
+/**
+ * Create an adapter backed by an HTTP key-value service
+ * Expects GET/PUT/DELETE on {baseUrl}/storage/{key}, with JSON bodies
+ * of the form { value: string }, plus the login and vote endpoints of
+ * server/server.js. That server refuses PUT and DELETE for all of the app's
+ * own keys, which have their own endpoints, so every write the app makes
+ * goes through one of the hooks below.
+ * @param {string} baseUrl - Service base URL (e.g., '/api')
+ * @returns {Object} Storage adapter
+ */
+function createHttpStorageAdapter(baseUrl = '/api') {
+  const apiBase = baseUrl.replace(/\/$/, '');
+  const urlFor = (key) => `${apiBase}/storage/${encodeURIComponent(key)}`;
+
+  // How the person acted and on which page, for the entries the server adds
+  // to its audit log (see audit-log.js)
+  const auditHeaders = () => ({
+    'X-Audit-Source': typeof getActionSource === 'function' ? getActionSource() : 'system',
+    'X-Audit-Page': typeof location !== 'undefined' ? location.pathname.split('/').pop() || 'index.html' : ''
+  });
+
+  const postJSON = async (endpoint, body, token = null) => {
+    const headers = { 'Content-Type': 'application/json', ...auditHeaders() };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(apiBase + endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+  };
+
+  const request = async (method, key, body) => {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    const response = await fetch(urlFor(key), options);
+    if (method === 'GET' && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Storage request failed: ${method} ${key} (HTTP ${response.status})`);
+    }
+    return method === 'GET' ? response.json() : null;
+  };
+
+  return {
+    name: 'http',
+    shared: true,
+    async getItem(key) {
+      const data = await request('GET', key);
+      return data ? data.value : null;
+    },
+    async setItem(key, value) {
+      await request('PUT', key, { value });
+    },
+    async removeItem(key) {
+      await request('DELETE', key);
+    },
+    async login(aadhar, password) {
+      const { data } = await postJSON('/login', { aadhar, password });
+      return { valid: data.valid === true, message: data.message || 'Login failed.', session: data.session || null };
+    },
+    async getSession(token) {
+      const response = await fetch(`${apiBase}/session`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Session request failed (HTTP ${response.status})`);
+      }
+      return response.json();
+    },
+    async touchSession(token) {
+      const response = await fetch(`${apiBase}/session/activity`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Session request failed (HTTP ${response.status})`);
+      }
+      return response.json();
+    },
+    async endSession(token) {
+      await fetch(`${apiBase}/session`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}`, ...auditHeaders() }
+      });
+    },
+    async createAccount(aadhar, password) {
+      const { data } = await postJSON('/accounts', { aadhar, password });
+      return { success: data.success === true, message: data.message || 'Could not create account.' };
+    },
+    async changePassword(token, aadhar, currentPassword, newPassword) {
+      const endpoint = `/accounts/${encodeURIComponent(aadhar)}/password`;
+      const { data } = await postJSON(endpoint, { currentPassword, newPassword }, token);
+      return { success: data.success === true, message: data.message || data.error || 'Could not change password.' };
+    },
+    async enrollFace(token, aadhar, templates) {
+      const response = await fetch(`${apiBase}/faces/${encodeURIComponent(aadhar)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...auditHeaders() },
+        body: JSON.stringify({ templates })
+      });
+      const data = await response.json().catch(() => ({}));
+      return {
+        success: data.success === true,
+        flagged: data.flagged === true,
+        message: data.message || data.error || 'Could not enroll face.'
+      };
+    },
+    async resetFaceEnrollment(token, aadhar, reason) {
+      const endpoint = `/faces/${encodeURIComponent(aadhar)}/reset`;
+      const { data } = await postJSON(endpoint, { reason }, token);
+      return { success: data.success === true, message: data.message || data.error || 'Could not reset the face enrollment.' };
+    },
+    async getFaceEnrollment(token, aadhar) {
+      const response = await fetch(`${apiBase}/faces/${encodeURIComponent(aadhar)}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (response.status === 404) {
+        return { enrolled: false, enrolledAt: null };
+      }
+      if (!response.ok) {
+        throw new Error(`Face enrollment request failed (HTTP ${response.status})`);
+      }
+      const data = await response.json();
+      return { enrolled: true, enrolledAt: data.enrolledAt || null };
+    },
+    async matchFace(token, aadhar, descriptors) {
+      const endpoint = `/faces/${encodeURIComponent(aadhar)}/verify`;
+      const { response, data } = await postJSON(endpoint, { descriptors }, token);
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(data.error || `Face match request failed (HTTP ${response.status})`);
+      }
+      return data.match;
+    },
+    async getFaceReviews(token) {
+      const response = await fetch(`${apiBase}/face-reviews`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, message: data.error || 'Could not load the reviews.', records: [] };
+      }
+      return { success: true, message: 'Reviews loaded.', records: data.records || [] };
+    },
+    async resolveFaceReview(token, id, resolution, note) {
+      const endpoint = `/face-reviews/${encodeURIComponent(id)}`;
+      const { data } = await postJSON(endpoint, { resolution, note }, token);
+      return { success: data.success === true, message: data.message || data.error || 'Could not resolve the review.' };
+    },
+    async getFallbackAudit(token) {
+      const response = await fetch(`${apiBase}/fallback/audit`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, message: data.error || 'Could not load the fallback checks.', records: [] };
+      }
+      return { success: true, message: 'Fallback checks loaded.', records: data.records || [] };
+    },
+    async getFallbackOptions(token) {
+      const response = await fetch(`${apiBase}/fallback/options`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Fallback options request failed (HTTP ${response.status})`);
+      }
+      const data = await response.json();
+      return { officerOverride: data.officerOverride === true };
+    },
+    async requestFallbackCode(token, reason) {
+      const { data } = await postJSON('/fallback/code', { reason }, token);
+      return { success: data.success === true, message: data.message || data.error || 'Could not send a code.' };
+    },
+    async verifyFallback(token, details) {
+      const { data } = await postJSON('/fallback/verify', details, token);
+      return { success: data.success === true, message: data.message || data.error || 'Could not confirm your identity.' };
+    },
+    async hasVoted(token, aadhar) {
+      const response = await fetch(`${apiBase}/voters/${encodeURIComponent(aadhar)}/voted`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Voter roll request failed (HTTP ${response.status})`);
+      }
+      const data = await response.json();
+      return data.hasVoted === true;
+    },
+    async castVote(token, ballot) {
+      const { response, data } = await postJSON('/votes', { ballot }, token);
+      if (!response.ok) {
+        throw new Error(data.error || `Vote request failed (HTTP ${response.status})`);
+      }
+    },
+    async officialLogin(username, password) {
+      const { data } = await postJSON('/officials/login', { username, password });
+      return {
+        valid: data.valid === true,
+        message: data.message || 'Login failed.',
+        token: data.token || null,
+        expiresAt: data.expiresAt || null,
+        sessionId: data.sessionId || null
+      };
+    },
+    async endOfficialSession(token) {
+      await fetch(`${apiBase}/officials/session`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}`, ...auditHeaders() }
+      });
+    },
+    async getBallots(token) {
+      const response = await fetch(`${apiBase}/ballots`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return {
+          success: false,
+          message: data.error || 'Could not load the ballots.',
+          rejected: response.status === 401,
+          ballots: [],
+          registeredVoters: 0,
+          checkpoint: null,
+          publicKey: null
+        };
+      }
+      return {
+        success: true,
+        message: 'Ballots loaded.',
+        ballots: data.ballots || [],
+        registeredVoters: data.registeredVoters || 0,
+        checkpoint: data.checkpoint || null,
+        publicKey: data.publicKey || null
+      };
+    },
+    async getBoothBundle(token) {
+      const response = await fetch(`${apiBase}/booth-bundle`, {
+        headers: { Authorization: `Bearer ${token}`, ...auditHeaders() }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, message: data.error || 'Could not create the booth bundle.', rejected: response.status === 401, bundle: null };
+      }
+      return { success: true, message: 'Booth bundle created.', bundle: data };
+    },
+    async checkReceipt(code) {
+      const response = await fetch(`${apiBase}/receipts/${encodeURIComponent(code)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { valid: false, found: false, message: data.error || 'The receipt could not be checked. Please try again.', signedAt: null };
+      }
+      return data;
+    },
+    async getPollSchedule() {
+      const response = await fetch(`${apiBase}/poll`);
+      if (!response.ok) {
+        throw new Error(`Poll schedule request failed (HTTP ${response.status})`);
+      }
+      return response.json();
+    },
+    async changePollSchedule(token, action, details) {
+      const response = await fetch(`${apiBase}/poll`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...auditHeaders() },
+        body: JSON.stringify({ action, ...details })
+      });
+      const data = await response.json().catch(() => ({}));
+      return {
+        success: data.success === true,
+        message: data.message || data.error || 'Could not change the polling schedule.',
+        schedule: data.schedule || null
+      };
+    },
+    async getPollAudit(token) {
+      const response = await fetch(`${apiBase}/poll/audit`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, message: data.error || 'Could not load the audit log.', records: [] };
+      }
+      return { success: true, message: 'Audit log loaded.', records: data.records || [] };
+    },
+    async appendAudit(token, entry) {
+      const { response, data } = await postJSON('/audit', entry, token);
+      if (!response.ok) {
+        throw new Error(data.error || `Audit request failed (HTTP ${response.status})`);
+      }
+    },
+    async getAuditLog(token) {
+      const response = await fetch(`${apiBase}/audit`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        return { success: false, message: data.error || 'Could not load the audit log.', entries: [] };
+      }
+      return { success: true, message: 'Audit log loaded.', entries: data.entries || [] };
+    }
+  };
+}
+
+// ============================================
+// Adapter Selection
+// ============================================
+
+const STORAGE_ADAPTER_FACTORIES = {
+  local: () => createLocalStorageAdapter(),
+  indexeddb: (config) => createIndexedDBAdapter(config.indexedDbName),
+  http: (config) => createHttpStorageAdapter(config.apiBaseUrl)
+};
+
+let activeStorage = null;
+let deviceStorage = null;
+
+/**
+ * Get the storage configuration from APP_CONFIG (config.js)
+ * @returns {Object} Storage configuration
+ */
+function getStorageConfig() {
+  const defaults = { backend: 'local', apiBaseUrl: '/api', indexedDbName: 'inclusive-voting' };
+  const configured = (typeof APP_CONFIG !== 'undefined' && APP_CONFIG.storage) || {};
+  return { ...defaults, ...configured };
+}
+
+/**
+ * Get the configured storage adapter (created on first use)
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!activeStorage) {
+    const config = getStorageConfig();
+    const factory = STORAGE_ADAPTER_FACTORIES[config.backend];
+    if (!factory) {
+      throw new Error(`Unknown storage backend: ${config.backend}`);
+    }
+    activeStorage = factory(config);
+  }
+  return activeStorage;
+}
+
+/**
+ * Get the adapter for data that belongs to this device only (the login
+ * session). Same as getStorage() unless the configured backend is shared
+ * between machines, in which case localStorage is used.
+ * @returns {Object} Storage adapter
+ */
+function getDeviceStorage() {
+  const storage = getStorage();
+  if (!storage.shared) {
+    return storage;
+  }
+  if (!deviceStorage) {
+    deviceStorage = createLocalStorageAdapter();
+  }
+  return deviceStorage;
+}
+
+/**
+ * Replace the active storage adapter (e.g., for testing)
+ * @param {Object} adapter - Object implementing getItem, setItem, removeItem
+ */
+function setStorageAdapter(adapter) {
+  activeStorage = adapter;
+  deviceStorage = null;
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createLocalStorageAdapter,
+    createIndexedDBAdapter,
+    createHttpStorageAdapter,
+    getStorage,
+    getDeviceStorage,
+    setStorageAdapter
+  };
+}
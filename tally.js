@@ -0,0 +1,369 @@
+/* ============================================
+   Inclusive Voting App - Tally Engine
+   Counts plurality, approval and ranked-choice
+   contests from the ballots cast
+   ============================================ */
+
+// Used on the results page (through script.js), once the ballots have been
+// decrypted with the election key (see ballot-crypto.js). A ballot's
+// selection for a contest is one candidate (plurality) or a list of
+// candidates (approval, or ranked in order of preference) - see
+// checkBallotSelections in election.js. "None of the Above" selections are
+// counted on their own and never as a candidate: they count towards a
+// contest's ballots (and so its percentages) but can never lead or win.
+// Contests left blank are abstentions: they are counted, but not as votes,
+// so they are in neither the contest's ballots nor its percentages.
+const tallyRules = typeof module !== 'undefined' && module.exports
+  ? require('./election.js')
+  : { isNotaSelection, isBlankSelection };
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Round a share to one decimal place
+ * @param {number} count - Part
+ * @param {number} total - Whole
+ * @returns {number} Percentage (0 when total is 0)
+ */
+function percentOf(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Get a ballot's selection for a contest as a list of candidates
+ * @param {Object} vote - Vote record (ballot)
+ * @param {string} contestId - Contest id
+ * @returns {Array<Object>} Chosen candidates, in ranked order for ranked
+ *   contests (empty for "None of the Above" and for a contest left blank)
+ */
+function getSelectionList(vote, contestId) {
+  const selected = (vote.selections || {})[contestId];
+  if (!selected || tallyRules.isNotaSelection(selected) || tallyRules.isBlankSelection(selected)) {
+    return [];
+  }
+  return Array.isArray(selected) ? selected : [selected];
+}
+
+/**
+ * Count the ballots choosing "None of the Above" in a contest
+ * @param {Array} votes - Vote records (ballots)
+ * @param {string} contestId - Contest id
+ * @returns {number}
+ */
+function countNotaVotes(votes, contestId) {
+  return votes.filter(vote => tallyRules.isNotaSelection((vote.selections || {})[contestId])).length;
+}
+
+/**
+ * Count the ballots leaving a contest blank
+ * @param {Array} votes - Vote records (ballots)
+ * @param {string} contestId - Contest id
+ * @returns {number}
+ */
+function countBlankVotes(votes, contestId) {
+  return votes.filter(vote => tallyRules.isBlankSelection((vote.selections || {})[contestId])).length;
+}
+
+/**
+ * Start a count with every candidate in the contest at zero
+ * @param {Object} contest - Contest from the election definition
+ * @returns {Map<string, Object>} Tallies by candidate name
+ */
+function createTallyMap(contest) {
+  const byName = new Map();
+  contest.candidates.forEach((candidate) => {
+    byName.set(candidate.name, { number: candidate.number, name: candidate.name, party: candidate.party, votes: 0 });
+  });
+  return byName;
+}
+
+/**
+ * Add one vote for a candidate, keeping candidates that are not in the
+ * definition (from older ballots) visible
+ * @param {Map<string, Object>} byName - Tallies by candidate name
+ * @param {Object} candidate - Candidate from a ballot
+ */
+function addTallyVote(byName, candidate) {
+  if (!byName.has(candidate.name)) {
+    byName.set(candidate.name, { number: null, name: candidate.name, party: candidate.party, votes: 0 });
+  }
+  byName.get(candidate.name).votes += 1;
+}
+
+/**
+ * Compare two tallies in ballot order: by candidate number, then candidates
+ * that are not in the definition (no number) by name, so every count sorts
+ * the same way
+ * @param {Object} a - Tally
+ * @param {Object} b - Tally
+ * @returns {number} Negative when a comes first
+ */
+function compareBallotOrder(a, b) {
+  const aListed = Number.isFinite(a.number);
+  const bListed = Number.isFinite(b.number);
+  if (aListed && bListed) {
+    return a.number - b.number;
+  }
+  if (aListed !== bListed) {
+    return aListed ? -1 : 1;
+  }
+  if (a.name === b.name) {
+    return 0;
+  }
+  return a.name < b.name ? -1 : 1;
+}
+
+/**
+ * Sort tallies most votes first (ballot order on ties) and add percentages
+ * @param {Map<string, Object>} byName - Tallies by candidate name
+ * @param {number} total - Count the percentages are taken of
+ * @returns {Array<Object>} [{ number, name, party, votes, percent }]
+ */
+function finishTallies(byName, total) {
+  return Array.from(byName.values())
+    .map(tally => ({ ...tally, percent: percentOf(tally.votes, total) }))
+    .sort((a, b) => b.votes - a.votes || compareBallotOrder(a, b));
+}
+
+/**
+ * Names of every candidate sharing the most votes
+ * @param {Array<Object>} tallies - Sorted tallies
+ * @returns {Array<string>} Empty before the first vote
+ */
+function findLeaders(tallies) {
+  const topVotes = tallies.length > 0 ? tallies[0].votes : 0;
+  return topVotes > 0 ? tallies.filter(tally => tally.votes === topVotes).map(tally => tally.name) : [];
+}
+
+// ============================================
+// Plurality and Approval
+// ============================================
+
+/**
+ * Count a plurality contest: one vote per ballot
+ * @param {Array} votes - Vote records (ballots)
+ * @param {Object} contest - Contest from the election definition
+ * @returns {Object} { totalVotes, tallies, leaders, rounds: [] } - totalVotes
+ *   includes "None of the Above"
+ */
+function tallyPlurality(votes, contest) {
+  const byName = createTallyMap(contest);
+  let totalVotes = countNotaVotes(votes, contest.id);
+  votes.forEach((vote) => {
+    const [candidate] = getSelectionList(vote, contest.id);
+    if (candidate) {
+      addTallyVote(byName, candidate);
+      totalVotes += 1;
+    }
+  });
+  const tallies = finishTallies(byName, totalVotes);
+  return { totalVotes, tallies, leaders: findLeaders(tallies), rounds: [] };
+}
+
+/**
+ * Count an approval contest: a ballot can approve any number of candidates.
+ * Percentages are the share of ballots approving each candidate, so they
+ * can add up to more than 100.
+ * @param {Array} votes - Vote records (ballots)
+ * @param {Object} contest - Contest from the election definition
+ * @returns {Object} { totalVotes, tallies, leaders, rounds: [] }
+ */
+function tallyApproval(votes, contest) {
+  const byName = createTallyMap(contest);
+  let totalVotes = countNotaVotes(votes, contest.id);
+  votes.forEach((vote) => {
+    const approved = getSelectionList(vote, contest.id);
+    if (approved.length > 0) {
+      approved.forEach(candidate => addTallyVote(byName, candidate));
+      totalVotes += 1;
+    }
+  });
+  const tallies = finishTallies(byName, totalVotes);
+  return { totalVotes, tallies, leaders: findLeaders(tallies), rounds: [] };
+}
+
+// ============================================
+// Ranked Choice (Instant Runoff)
+// ============================================
+
+/**
+ * Count a ranked-choice contest by instant runoff. Each round, every ballot
+ * counts for its highest-ranked candidate still in the count; a candidate
+ * with more than half of those votes wins. Otherwise the candidate with the
+ * fewest votes is eliminated - on a tie, the one with fewer votes in the
+ * latest earlier round where they differ, then the one listed later on the
+ * ballot - and the count runs again. When every candidate still in the count
+ * has the same number of votes, no one is eliminated: the count stops there
+ * as a tie between them all, rather than deciding the election by ballot
+ * order. Ballots choosing "None of the Above" are not in the rounds.
+ * @param {Array} votes - Vote records (ballots)
+ * @param {Object} contest - Contest from the election definition
+ * @returns {Object} { totalVotes, tallies, leaders, rounds, winner }
+ *   tallies are first preferences; rounds are [{ round, tallies, exhausted,
+ *   eliminated, winner }]; winner is null and leaders are everyone still in
+ *   the count when it ends in a tie (the last round then has no eliminated)
+ */
+function tallyRanked(votes, contest) {
+  const rankings = votes
+    .map(vote => getSelectionList(vote, contest.id).map(candidate => candidate.name))
+    .filter(ranking => ranking.length > 0);
+
+  const firstPreferences = createTallyMap(contest);
+  votes.forEach((vote) => {
+    const [first] = getSelectionList(vote, contest.id);
+    if (first) {
+      addTallyVote(firstPreferences, first);
+    }
+  });
+  const totalVotes = rankings.length + countNotaVotes(votes, contest.id);
+  const tallies = finishTallies(firstPreferences, totalVotes);
+
+  const rounds = [];
+  let winner = null;
+  let leaders = [];
+  const continuing = new Set(tallies.map(tally => tally.name));
+
+  while (rankings.length > 0 && continuing.size > 0) {
+    const byName = new Map();
+    tallies
+      .filter(tally => continuing.has(tally.name))
+      .forEach(tally => byName.set(tally.name, { number: tally.number, name: tally.name, party: tally.party, votes: 0 }));
+
+    let exhausted = 0;
+    rankings.forEach((ranking) => {
+      const choice = ranking.find(name => continuing.has(name));
+      if (choice) {
+        byName.get(choice).votes += 1;
+      } else {
+        exhausted += 1;
+      }
+    });
+
+    const activeVotes = rankings.length - exhausted;
+    const roundTallies = finishTallies(byName, activeVotes);
+    const round = { round: rounds.length + 1, tallies: roundTallies, exhausted, eliminated: null, winner: null };
+    rounds.push(round);
+
+    const top = roundTallies[0];
+    if (top.votes * 2 > activeVotes || continuing.size === 1) {
+      winner = top.name;
+      round.winner = winner;
+      leaders = [winner];
+      break;
+    }
+
+    // Everyone still in the count is tied: no one can be fairly eliminated
+    if (roundTallies.every(tally => tally.votes === top.votes)) {
+      leaders = roundTallies.map(tally => tally.name);
+      break;
+    }
+
+    const eliminated = chooseRankedElimination(roundTallies, rounds);
+    round.eliminated = eliminated;
+    continuing.delete(eliminated);
+  }
+
+  return { totalVotes, tallies, leaders, rounds, winner };
+}
+
+/**
+ * Pick the candidate to eliminate after a round without a winner
+ * @param {Array<Object>} roundTallies - This round's tallies, most votes first
+ * @param {Array<Object>} rounds - Every round so far, this one last
+ * @returns {string} Name of the candidate to eliminate
+ */
+function chooseRankedElimination(roundTallies, rounds) {
+  const fewestVotes = roundTallies[roundTallies.length - 1].votes;
+  let tied = roundTallies.filter(tally => tally.votes === fewestVotes);
+
+  // Look back through earlier rounds for the first difference
+  for (let index = rounds.length - 2; index >= 0 && tied.length > 1; index--) {
+    const earlier = new Map(rounds[index].tallies.map(tally => [tally.name, tally.votes]));
+    const fewestEarlier = Math.min(...tied.map(tally => earlier.get(tally.name)));
+    tied = tied.filter(tally => earlier.get(tally.name) === fewestEarlier);
+  }
+
+  // The one listed last on the ballot
+  tied.sort((a, b) => compareBallotOrder(b, a));
+  return tied[0].name;
+}
+
+// ============================================
+// Election Results
+// ============================================
+
+/**
+ * Count the votes for one contest with its voting method
+ * @param {Array} votes - Vote records (ballots)
+ * @param {Object} contest - Contest from the election definition
+ * @returns {Object} { id, title, method, totalVotes, tallies, nota, blank, leaders, rounds }
+ *   tallies are [{ number, name, party, votes, percent }], most votes first
+ *   (first preferences for ranked contests); nota is { votes, percent } for
+ *   "None of the Above", or null if the contest does not offer it; blank is
+ *   the number of ballots leaving the contest blank (not in totalVotes); leaders
+ *   lists every candidate sharing the lead, or the ranked-choice winner (empty
+ *   before the first vote); rounds holds the instant-runoff rounds of a
+ *   ranked contest
+ */
+function tallyContest(votes, contest) {
+  const method = contest.method || 'plurality';
+  let counted;
+  if (method === 'approval') {
+    counted = tallyApproval(votes, contest);
+  } else if (method === 'ranked') {
+    counted = tallyRanked(votes, contest);
+  } else {
+    counted = tallyPlurality(votes, contest);
+  }
+  const notaVotes = countNotaVotes(votes, contest.id);
+  return {
+    id: contest.id,
+    title: contest.title,
+    method,
+    totalVotes: counted.totalVotes,
+    tallies: counted.tallies,
+    nota: contest.nota ? { votes: notaVotes, percent: percentOf(notaVotes, counted.totalVotes) } : null,
+    blank: countBlankVotes(votes, contest.id),
+    leaders: counted.leaders,
+    rounds: counted.rounds
+  };
+}
+
+/**
+ * Work out per-contest results and the turnout from the ballots cast
+ * @param {Array} votes - Vote records (decrypted ballots)
+ * @param {Object} election - Election definition
+ * @param {number} registeredVoters - Number of voter accounts
+ * @param {number} rejectedBallots - Ballots cast that could not be decrypted
+ *   or were not valid, and so are not counted
+ * @returns {Object} { totalVotes, rejectedBallots, registeredVoters, turnout,
+ *   contests, updatedAt } - totalVotes counts every ballot cast, rejected or
+ *   not; contests are tallyContest results in ballot order; turnout is a
+ *   percentage (null without registered voters)
+ */
+function computeElectionResults(votes, election, registeredVoters, rejectedBallots = 0) {
+  const totalVotes = votes.length + rejectedBallots;
+  return {
+    totalVotes,
+    rejectedBallots,
+    registeredVoters,
+    turnout: registeredVoters > 0 ? percentOf(totalVotes, registeredVoters) : null,
+    contests: election.contests.map(contest => tallyContest(votes, contest)),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// ============================================
+// Export for use in other scripts
+// ============================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tallyPlurality,
+    tallyApproval,
+    tallyRanked,
+    tallyContest,
+    computeElectionResults
+  };
+}
@@ -0,0 +1,60 @@
+/* ============================================
+   Inclusive Voting App - Aadhar Number Tests
+   Verhoeff check digit and masking (aadhar.js)
+   Run with: node --test test/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasValidAadharChecksum, maskAadhar } = require('../aadhar.js');
+
+// ============================================
+// Verhoeff Check Digit
+// ============================================
+
+test('numbers with the right check digit are accepted', () => {
+  for (const aadhar of ['2363', '123412341234', '234523452343', '499118665246']) {
+    assert.equal(hasValidAadharChecksum(aadhar), true, aadhar);
+  }
+});
+
+test('every other last digit is refused', () => {
+  for (let digit = 0; digit <= 9; digit++) {
+    const aadhar = `12341234123${digit}`;
+    assert.equal(hasValidAadharChecksum(aadhar), digit === 4, aadhar);
+  }
+});
+
+test('a single mistyped digit is caught', () => {
+  const aadhar = '499118665246';
+  for (let position = 0; position < aadhar.length; position++) {
+    const digit = Number(aadhar[position]);
+    const mistyped = aadhar.slice(0, position) + ((digit + 1) % 10) + aadhar.slice(position + 1);
+    assert.equal(hasValidAadharChecksum(mistyped), false, mistyped);
+  }
+});
+
+test('two swapped neighbouring digits are caught', () => {
+  const aadhar = '499118665246';
+  for (let position = 0; position < aadhar.length - 1; position++) {
+    if (aadhar[position] === aadhar[position + 1]) {
+      continue;
+    }
+    const swapped = aadhar.slice(0, position) + aadhar[position + 1] + aadhar[position] + aadhar.slice(position + 2);
+    assert.equal(hasValidAadharChecksum(swapped), false, swapped);
+  }
+});
+
+test('anything but digits is refused', () => {
+  for (const aadhar of ['', '1234 1234 1234', '12341234123a', '-123412341234']) {
+    assert.equal(hasValidAadharChecksum(aadhar), false, aadhar);
+  }
+});
+
+// ============================================
+// Masked Display
+// ============================================
+
+test('only the last four digits are shown', () => {
+  assert.equal(maskAadhar('123412341234'), 'XXXX-XXXX-1234');
+});
@@ -0,0 +1,113 @@
+/* ============================================
+   Inclusive Voting App - Key Share Tests
+   Splitting the election key into shares and
+   rebuilding it (ballot-crypto.js)
+   Run with: node --test test/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateElectionKeyPair,
+  encryptBallot,
+  decryptBallot,
+  splitElectionKey,
+  parseKeyShare,
+  unlockElectionKey
+} = require('../ballot-crypto.js');
+
+// ============================================
+// Helpers
+// ============================================
+
+const BALLOT = { selections: { chair: { number: 2, name: 'Bilal Khan' } } };
+
+// One key pair for every test: making one takes a moment
+const keyPairReady = generateElectionKeyPair();
+
+/**
+ * Unlock the election key and decrypt a test ballot with it
+ * @param {string} text - Private key or key shares, one per line
+ * @param {Object} encryption - The election's { keyId, publicKey }
+ * @returns {Promise<Object>} The decrypted ballot
+ */
+async function unlockAndDecrypt(text, encryption) {
+  const unlocked = await unlockElectionKey(text, encryption);
+  assert.equal(unlocked.valid, true, unlocked.message);
+  return decryptBallot(await encryptBallot(BALLOT, encryption), unlocked.key);
+}
+
+// ============================================
+// Splitting and Combining
+// ============================================
+
+test('every set of threshold shares rebuilds the key', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 2, 3);
+  assert.equal(shares.length, 3);
+  for (const pair of [[0, 1], [0, 2], [1, 2], [2, 0]]) {
+    const text = pair.map(index => shares[index]).join('\n');
+    assert.deepEqual(await unlockAndDecrypt(text, encryption), BALLOT);
+  }
+});
+
+test('more shares than the threshold also rebuild the key', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 3, 5);
+  assert.deepEqual(await unlockAndDecrypt(shares.join('\n'), encryption), BALLOT);
+});
+
+test('the private key itself unlocks the ballots', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  assert.deepEqual(await unlockAndDecrypt(privateKeyPem, encryption), BALLOT);
+});
+
+test('each share records the key, the threshold and its own number', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 2, 3).map(parseKeyShare);
+  assert.deepEqual(shares.map(share => share.x), [1, 2, 3]);
+  assert.ok(shares.every(share => share.keyId === encryption.keyId && share.threshold === 2));
+});
+
+test('fewer shares than the threshold do not unlock the key', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 3, 5);
+  const unlocked = await unlockElectionKey([shares[0], shares[3]].join('\n'), encryption);
+  assert.equal(unlocked.valid, false);
+  assert.equal(unlocked.message, '2 of the 3 key shares needed have been entered.');
+});
+
+test('the same share entered twice counts once', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 2, 3);
+  const unlocked = await unlockElectionKey([shares[1], shares[1]].join('\n'), encryption);
+  assert.equal(unlocked.valid, false);
+  assert.equal(unlocked.message, '1 of the 2 key shares needed have been entered.');
+});
+
+test('a damaged share does not rebuild the key', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, encryption.keyId, 2, 3);
+  // Change one character of the share's data where the key's modulus is
+  const parts = shares[1].split(':');
+  const data = parts[4];
+  parts[4] = data.slice(0, 100) + (data[100] === 'A' ? 'B' : 'A') + data.slice(101);
+  const damaged = parts.join(':');
+  const unlocked = await unlockElectionKey([shares[0], damaged].join('\n'), encryption);
+  assert.equal(unlocked.valid, false);
+  assert.equal(unlocked.message, 'These key shares do not rebuild the key for this election.');
+});
+
+test('shares for another election are refused', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  const shares = splitElectionKey(privateKeyPem, 'ffffffffffffffff', 2, 3);
+  const unlocked = await unlockElectionKey(shares.join('\n'), encryption);
+  assert.equal(unlocked.message, 'Some key shares are not for this election.');
+});
+
+test('a threshold below 2 or above the number of shares is refused', async () => {
+  const { encryption, privateKeyPem } = await keyPairReady;
+  assert.throws(() => splitElectionKey(privateKeyPem, encryption.keyId, 1, 3), /threshold must be at least 2/);
+  assert.throws(() => splitElectionKey(privateKeyPem, encryption.keyId, 4, 3), /threshold must be at least 2/);
+  assert.throws(() => splitElectionKey(privateKeyPem, encryption.keyId, 2, 256), /threshold must be at least 2/);
+});
@@ -0,0 +1,123 @@
+/* ============================================
+   Inclusive Voting App - Tally Tests
+   Instant-runoff rounds and ties (tally.js)
+   Run with: node --test test/
+   ============================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tallyRanked, tallyPlurality } = require('../tally.js');
+
+// ============================================
+// Helpers
+// ============================================
+
+const CONTEST = {
+  id: 'chair',
+  method: 'ranked',
+  candidates: [
+    { number: 1, name: 'Asha Rao', party: 'A' },
+    { number: 2, name: 'Bilal Khan', party: 'B' },
+    { number: 3, name: 'Chitra Nair', party: 'C' }
+  ]
+};
+
+const FOUR_WAY_CONTEST = {
+  ...CONTEST,
+  candidates: [...CONTEST.candidates, { number: 4, name: 'Dev Patel', party: 'D' }]
+};
+
+/**
+ * Make ranked ballots for a test contest
+ * @param {number} count - Ballots to make
+ * @param {Array<number>} numbers - Candidate numbers in order of preference
+ * @param {Object} contest - Contest the candidates are from
+ * @returns {Array<Object>} Vote records
+ */
+function ballots(count, numbers, contest = CONTEST) {
+  const ranking = numbers.map(number => contest.candidates.find(candidate => candidate.number === number));
+  return Array.from({ length: count }, () => ({ selections: { [CONTEST.id]: ranking } }));
+}
+
+// ============================================
+// Instant Runoff
+// ============================================
+
+test('a majority of first preferences wins in the first round', () => {
+  const result = tallyRanked([...ballots(3, [1, 2]), ...ballots(1, [2]), ...ballots(1, [3])], CONTEST);
+  assert.equal(result.winner, 'Asha Rao');
+  assert.equal(result.rounds.length, 1);
+  assert.equal(result.rounds[0].eliminated, null);
+});
+
+test('the last candidate is eliminated and their ballots move to the next choice', () => {
+  const result = tallyRanked([...ballots(4, [1]), ...ballots(3, [2]), ...ballots(2, [3, 2])], CONTEST);
+  assert.equal(result.rounds.length, 2);
+  assert.equal(result.rounds[0].eliminated, 'Chitra Nair');
+  assert.deepEqual(result.rounds[1].tallies.map(tally => [tally.name, tally.votes]), [['Bilal Khan', 5], ['Asha Rao', 4]]);
+  assert.equal(result.winner, 'Bilal Khan');
+});
+
+test('ballots with no choice left are exhausted and leave the count', () => {
+  const result = tallyRanked([...ballots(4, [1]), ...ballots(3, [2]), ...ballots(2, [3])], CONTEST);
+  assert.equal(result.rounds[1].exhausted, 2);
+  assert.equal(result.winner, 'Asha Rao');
+});
+
+test('a tie for last place is broken by the latest earlier round where they differ', () => {
+  // Round 2 ties Bilal and Chitra on 4, but Bilal had fewer in round 1
+  const votes = [...ballots(6, [1]), ...ballots(3, [2]), ...ballots(4, [3]), ...ballots(1, [4, 2], FOUR_WAY_CONTEST)];
+  const result = tallyRanked(votes, FOUR_WAY_CONTEST);
+  assert.equal(result.rounds[0].eliminated, 'Dev Patel');
+  assert.deepEqual(result.rounds[1].tallies.map(tally => tally.votes), [6, 4, 4]);
+  assert.equal(result.rounds[1].eliminated, 'Bilal Khan');
+});
+
+test('a tie for last place in the first round eliminates the candidate listed later', () => {
+  const result = tallyRanked([...ballots(3, [1]), ...ballots(2, [2, 1]), ...ballots(2, [3, 2])], CONTEST);
+  assert.equal(result.rounds[0].eliminated, 'Chitra Nair');
+  assert.equal(result.winner, 'Bilal Khan');
+});
+
+test('a full tie stops the count and reports every candidate as tied', () => {
+  const result = tallyRanked([...ballots(2, [1]), ...ballots(2, [2]), ...ballots(2, [3])], CONTEST);
+  assert.equal(result.winner, null);
+  assert.equal(result.rounds.length, 1);
+  assert.equal(result.rounds[0].eliminated, null);
+  assert.deepEqual(result.leaders, ['Asha Rao', 'Bilal Khan', 'Chitra Nair']);
+});
+
+test('a full tie after eliminations reports the candidates still in the count', () => {
+  const result = tallyRanked([...ballots(3, [1]), ...ballots(2, [2]), ...ballots(1, [3, 2])], CONTEST);
+  assert.equal(result.rounds[0].eliminated, 'Chitra Nair');
+  assert.equal(result.winner, null);
+  assert.deepEqual(result.leaders, ['Asha Rao', 'Bilal Khan']);
+});
+
+// ============================================
+// Ballot Order
+// ============================================
+
+test('candidates that are not in the definition sort after the others, by name', () => {
+  const votes = [
+    { selections: { chair: { name: 'Zoya Ali' } } },
+    { selections: { chair: { name: 'Yash Mehta' } } },
+    { selections: { chair: CONTEST.candidates[2] } }
+  ];
+  const result = tallyPlurality(votes, CONTEST);
+  assert.deepEqual(result.tallies.map(tally => tally.name),
+    ['Chitra Nair', 'Yash Mehta', 'Zoya Ali', 'Asha Rao', 'Bilal Khan']);
+});
+
+test('a tie for last place between candidates not in the definition is decided by name', () => {
+  const votes = [
+    ...ballots(3, [1]),
+    ...ballots(2, [2]),
+    { selections: { chair: [{ name: 'Zoya Ali' }, CONTEST.candidates[1]] } },
+    { selections: { chair: [{ name: 'Yash Mehta' }, CONTEST.candidates[1]] } }
+  ];
+  const result = tallyRanked(votes, { ...CONTEST, candidates: CONTEST.candidates.slice(0, 2) });
+  assert.equal(result.rounds[0].eliminated, 'Zoya Ali');
+  assert.equal(result.rounds[1].eliminated, 'Yash Mehta');
+  assert.equal(result.winner, 'Bilal Khan');
+});
@@ -11,7 +11,7 @@ const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecogni
 let recognition = null;
 let isListening = false;
 let isAlwaysOn = false;
-let currentPage = 'login'; // 'login', 'home', 'voting', 'face-verification'
+let currentPage = 'login'; // 'login', 'home', 'voting', 'face-verification', 'face-enrollment', 'admin'
 
 /**
  * Initialize speech recognition
@@ -204,10 +204,18 @@ function toggleVoiceAssistance() {
     speak('Voice assistance turned off.');
   } else {
     setAlwaysOnMode(true);
-    speak('Voice assistance turned on. I am listening.');
+    speak(`Voice assistance turned on. I am listening. ${getPollAnnouncementText()}`.trim());
   }
 }
 
+/**
+ * What the page says about the polling window when the assistant starts
+ * @returns {string} Empty on pages without a polling announcement
+ */
+function getPollAnnouncementText() {
+  return typeof getPollAnnouncement === 'function' ? getPollAnnouncement() : '';
+}
+
 // ============================================
 // Voice Status UI
 // ============================================
@@ -277,7 +285,21 @@ function normalizeCommand(text) {
 function handleVoiceCommand(command) {
   const normalized = normalizeCommand(command);
   console.log('Processing command:', normalized, 'Current page:', currentPage);
-  
+  // The audit log records which actions were taken by voice (audit-log.js)
+  if (typeof noteActionSource === 'function') {
+    noteActionSource('voice');
+  }
+  // Speaking keeps the voter's session going (session.js); "continue" during
+  // the session warning does only that
+  if (typeof isSessionWarningShown === 'function' && isSessionWarningShown() &&
+      /\b(continue|stay)\b/.test(normalized)) {
+    continueVoterSession();
+    return;
+  }
+  if (typeof noteSessionActivity === 'function') {
+    noteSessionActivity();
+  }
+
   // Try to handle voting commands first (they work on voting page)
   // Check if we're on voting page by looking for voting-specific elements
   const verifyBtn = document.getElementById('btn-verify-face');
@@ -304,6 +326,15 @@ function handleVoiceCommand(command) {
     case 'face-verification':
       handleFaceVerificationCommands(normalized);
       break;
+    case 'face-enrollment':
+      handleFaceEnrollmentCommands(normalized);
+      break;
+    case 'admin':
+      handleAdminCommands(normalized);
+      break;
+    case 'verify':
+      handleReceiptCommands(normalized);
+      break;
     default:
       console.log('Unknown page context:', currentPage, '- trying voting commands as fallback');
       // Fallback: try voting commands if elements exist
@@ -318,7 +349,17 @@ function handleVoiceCommand(command) {
  * @param {string} command - Normalized command
  */
 function handleLoginCommands(command) {
-  if (command.includes('login') || command.includes('log in')) {
+  if (command.includes('create account') || command.includes('register') || command.includes('sign up')) {
+    const confirmGroup = document.getElementById('confirm-password-group');
+    const isRegistering = confirmGroup && confirmGroup.style.display !== 'none';
+    const button = document.getElementById(isRegistering ? 'btn-login' : 'btn-toggle-register');
+    if (button) {
+      if (isRegistering) {
+        speak('Creating your account...');
+      }
+      button.click();
+    }
+  } else if (command.includes('login') || command.includes('log in')) {
     const loginBtn = document.getElementById('btn-login');
     if (loginBtn) {
       speak('Logging in...');
@@ -327,13 +368,15 @@ function handleLoginCommands(command) {
   } else if (command.includes('clear')) {
     const aadharInput = document.getElementById('aadhar-input');
     const passwordInput = document.getElementById('password-input');
+    const confirmPasswordInput = document.getElementById('confirm-password-input');
     if (aadharInput) aadharInput.value = '';
     if (passwordInput) passwordInput.value = '';
+    if (confirmPasswordInput) confirmPasswordInput.value = '';
     speak('Form cleared.');
   } else if (command.includes('back')) {
     speak('You are on the login page.');
   } else {
-    speak('Say "Login" to proceed, or "Clear" to clear the form.');
+    speak('Say "Login" to proceed, "Create account" to register, or "Clear" to clear the form.');
   }
 }
 
@@ -352,20 +395,213 @@ function handleHomeCommands(command) {
         redirectTo('voting.html');
       }
     }
+  } else if (command.includes('poll') || command.includes('time left') || command.includes('closing')) {
+    speak(getPollAnnouncementText() || 'The polling schedule is still loading. Please ask again in a moment.');
   } else if (command.includes('read rules') || command.includes('rules')) {
     readPageContent();
   } else if (command.includes('log out') || command.includes('logout')) {
     handleLogoutCommand();
+  } else if (command.includes('change password')) {
+    const changePasswordBtn = document.getElementById('btn-change-password');
+    if (changePasswordBtn) {
+      changePasswordBtn.click();
+    }
   } else if (command.includes('profile') || command.includes('open profile')) {
     const profileBtn = document.getElementById('btn-profile');
     if (profileBtn) {
       profileBtn.click();
     }
+    readProfile();
   } else if (command.includes('home')) {
     speak('You are already on the home page.');
   } else {
-    speak('Say "Go to voting page", "Read rules", "Open profile", or "Log out".');
+    speak('Say "Go to voting page", "Poll status", "Read rules", "Open profile", "Change password", or "Log out".');
+  }
+}
+
+/**
+ * Open the "Other ways to verify" dialog when the page offers it
+ * @param {string} command - Normalized command
+ * @returns {boolean} True if the command asked for another way to verify
+ */
+function handleFallbackCommand(command) {
+  if (!(command.includes('other way') || command.includes('fallback') ||
+        command.includes('onetime code') || command.includes('one time code') ||
+        command.includes('officer'))) {
+    return false;
+  }
+
+  const fallbackBtn = document.getElementById('btn-fallback');
+  if (fallbackBtn && fallbackBtn.style.display !== 'none') {
+    fallbackBtn.click();
+  } else {
+    speak('Other ways to verify are offered if face verification does not work. Please try face verification first.');
   }
+  return true;
+}
+
+// Numbers as speech recognition may write them out
+const SPOKEN_NUMBERS = {
+  'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
+  'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
+  'eleven': 11, 'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15,
+  'sixteen': 16, 'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20
+};
+
+// Ranking positions, for "Rank candidate 3 first"
+const SPOKEN_ORDINALS = {
+  'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5,
+  'sixth': 6, 'seventh': 7, 'eighth': 8, 'ninth': 9, 'tenth': 10,
+  'last': Infinity
+};
+
+/**
+ * Read a spoken number ("3" or "three")
+ * @param {string} word - One word of a command
+ * @returns {number|null}
+ */
+function parseSpokenNumber(word) {
+  return parseInt(word) || SPOKEN_NUMBERS[word] || null;
+}
+
+/**
+ * Read a spoken ranking position ("first", "1st" or "last")
+ * @param {string} word - One word of a command
+ * @returns {number|null} Position from 1 (Infinity for last)
+ */
+function parseSpokenOrdinal(word) {
+  const numbered = word.match(/^(\d+)(?:st|nd|rd|th)$/);
+  if (numbered) {
+    return parseInt(numbered[1]);
+  }
+  return SPOKEN_ORDINALS[word] || null;
+}
+
+/**
+ * Get the contest on screen on the voting page
+ * @returns {Object|null} Contest from the loaded election, or null
+ */
+function getContestOnScreen() {
+  const election = typeof getLoadedElection === 'function' ? getLoadedElection() : null;
+  const container = document.getElementById('candidates-container');
+  const contestId = container && container.getAttribute('data-contest-id');
+  return election && contestId ? getElectionContest(election, contestId) : null;
+}
+
+/**
+ * Move around a multi-contest ballot: next or previous contest, review,
+ * reading the selections, changing a contest and casting the ballot
+ * @param {string} command - Normalized command
+ * @returns {boolean} True if the command was about the ballot
+ */
+function handleBallotCommand(command) {
+  const reviewSection = document.getElementById('review-section');
+  const isReviewVisible = !!reviewSection && reviewSection.style.display !== 'none';
+  const clickIfShown = (id, unavailableMessage) => {
+    const btn = document.getElementById(id);
+    const section = btn && btn.closest('section');
+    if (btn && btn.style.display !== 'none' && (!section || section.style.display !== 'none')) {
+      btn.click();
+    } else {
+      speak(unavailableMessage);
+    }
+  };
+
+  if (command.includes('next contest')) {
+    clickIfShown('btn-next-contest', 'This is the last contest. Say "Review ballot" to check your selections.');
+    return true;
+  }
+  if (command.includes('previous contest')) {
+    clickIfShown('btn-previous-contest', 'This is the first contest.');
+    return true;
+  }
+  if (command.includes('cast ballot') || command.includes('cast my ballot')) {
+    clickIfShown('btn-cast-ballot', 'Please choose in every contest and review your ballot first.');
+    return true;
+  }
+  if (isReviewVisible && (command.includes('read') || command.includes('selections'))) {
+    document.getElementById('btn-read-review').click();
+    return true;
+  }
+
+  // "Rank candidate 3 first", "Rank 3 second", "Rank candidate three 1st"
+  const rankMatch = command.match(/\brank\s+(?:candidate\s+|number\s+)?(\w+)(?:\s+as)?(?:\s+(\w+))?/);
+  if (rankMatch && typeof rankCandidateByNumber === 'function') {
+    const candidateNumber = parseSpokenNumber(rankMatch[1]);
+    const position = rankMatch[2] ? parseSpokenOrdinal(rankMatch[2]) : null;
+    if (!candidateNumber || !position) {
+      speak('Say "Rank candidate" followed by the number and a position, for example "Rank candidate 3 first".');
+    } else {
+      rankCandidateByNumber(candidateNumber, position);
+    }
+    return true;
+  }
+  if (command.includes('clear choices') || command.includes('clear ranking') || command.includes('clear approvals')) {
+    clickIfShown('btn-clear-choices', 'There are no choices to clear in this contest.');
+    return true;
+  }
+
+  const changeMatch = command.match(/(?:change|edit)\s+contest\s+(\w+)/);
+  if (changeMatch) {
+    const contestNumber = parseSpokenNumber(changeMatch[1]);
+    const editBtn = document.getElementById(`edit-contest-${contestNumber}`);
+    if (isReviewVisible && editBtn) {
+      editBtn.click();
+    } else {
+      speak(isReviewVisible
+        ? `There is no contest ${changeMatch[1]}.`
+        : 'You can change a contest from the review page.');
+    }
+    return true;
+  }
+  if (command.includes('review')) {
+    clickIfShown('btn-review-ballot', 'Please make a selection in every contest before reviewing your ballot.');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Choose "None of the Above" in the contest on screen ("None of the above"
+ * or "NOTA")
+ * @param {string} command - Normalized command
+ * @returns {boolean} True if the command asked for None of the Above
+ */
+function handleNotaCommand(command) {
+  if (!/\b(none of the above|nota)\b/.test(command)) {
+    return false;
+  }
+  const votingSection = document.getElementById('voting-section');
+  const notaBtn = document.getElementById('vote-btn-nota');
+  if (votingSection && votingSection.style.display !== 'none' && notaBtn) {
+    notaBtn.click();
+  } else {
+    const contest = getContestOnScreen();
+    speak(contest && !contest.nota
+      ? `${contest.title} does not offer None of the Above.`
+      : 'None of the Above can be chosen while a contest is on screen.');
+  }
+  return true;
+}
+
+/**
+ * Leave the contest on screen blank ("Abstain" or "Leave blank"). This is
+ * not None of the Above: it is counted apart, as no vote in the contest.
+ * @param {string} command - Normalized command
+ * @returns {boolean} True if the command asked to leave the contest blank
+ */
+function handleBlankCommand(command) {
+  if (!/\b(abstain|leave (it |this )?blank)\b/.test(command)) {
+    return false;
+  }
+  const votingSection = document.getElementById('voting-section');
+  const blankBtn = document.getElementById('vote-btn-blank');
+  if (votingSection && votingSection.style.display !== 'none' && blankBtn) {
+    blankBtn.click();
+  } else {
+    speak('A contest can be left blank while it is on screen.');
+  }
+  return true;
 }
 
 /**
@@ -374,6 +610,44 @@ function handleHomeCommands(command) {
  */
 function handleVotingCommands(command) {
   console.log('Handling voting command:', command);
+
+  // Outside the polling window there is no ballot: only going home makes sense
+  const pollClosedSection = document.getElementById('poll-closed-section');
+  if (pollClosedSection && pollClosedSection.style.display !== 'none') {
+    if (command.includes('back') || command.includes('home') || command.includes('return')) {
+      speak('Going back to home page...');
+      redirectTo('home.html');
+    } else {
+      speak(`${document.getElementById('poll-closed-message').textContent} Say "Go back" to return to the home page.`);
+    }
+    return;
+  }
+
+  // After casting: the receipt can be read again or printed
+  const thankYouSection = document.getElementById('thank-you-section');
+  if (thankYouSection && thankYouSection.style.display !== 'none') {
+    const receiptCode = document.getElementById('receipt-code');
+    const receipt = receiptCode && receiptCode.dataset.receipt;
+    if (receipt && (command.includes('receipt') || command.includes('code') || command.includes('repeat'))) {
+      speak(`Your receipt code is ${spellReceiptCode(receipt)}.`);
+    } else if (receipt && command.includes('print')) {
+      speak('Printing your receipt.');
+      document.getElementById('btn-print-receipt').click();
+    } else if (command.includes('back') || command.includes('home') || command.includes('return')) {
+      speak('Going back to home page...');
+      redirectTo('home.html');
+    } else if (receipt) {
+      speak('Say "Read receipt" to hear your receipt code, "Print" to print it, or "Go home".');
+    } else {
+      speak('You have already voted. You can check your receipt code on the Check Your Ballot Receipt page. Say "Go home" to return to the home page.');
+    }
+    return;
+  }
+
+  // "Other ways to verify" also contains "verify", so check it first
+  if (handleFallbackCommand(command)) {
+    return;
+  }
   
   // Check for verify identity command (for pre-vote verification)
   if (command.includes('verify identity') || command.includes('verify') || command.includes('start verification') || command.includes('begin verification')) {
@@ -407,6 +681,11 @@ function handleVotingCommands(command) {
     }
   }
 
+  // "None of the above" and "NOTA" contain "no", so check them before cancel
+  if (handleNotaCommand(command) || handleBlankCommand(command)) {
+    return;
+  }
+
   // Check for confirm vote (in modal) - try multiple selectors
   if (command.includes('confirm') || command.includes('yes') || command.includes('confirm vote')) {
     console.log('Looking for confirm button in modal');
@@ -452,7 +731,10 @@ function handleVotingCommands(command) {
       console.log('Confirm button not found - modal might not be open');
       // Modal might not be open yet, check if we're in voting section
       const votingSection = document.getElementById('voting-section');
-      if (votingSection && votingSection.style.display !== 'none') {
+      const reviewSection = document.getElementById('review-section');
+      if (reviewSection && reviewSection.style.display !== 'none') {
+        speak('Say "Cast ballot" when you are ready to cast your ballot.');
+      } else if (votingSection && votingSection.style.display !== 'none') {
         speak('Please select a candidate first by saying "Vote for candidate" followed by the number.');
       }
       return;
@@ -486,6 +768,11 @@ function handleVotingCommands(command) {
     }
   }
 
+  // Contest navigation, review and casting the ballot
+  if (handleBallotCommand(command)) {
+    return;
+  }
+
   // Extract candidate number from command - try multiple patterns
   let candidateNumber = null;
   const patterns = [
@@ -497,11 +784,9 @@ function handleVotingCommands(command) {
     /\b(\d+)\b/  // Any standalone number
   ];
   
-  // Also handle word numbers
-  const wordNumbers = {
-    'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
-    'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10
-  };
+  // Also handle word numbers (matched as whole words, so "seventeen" is not "seven")
+  const wordNumbers = SPOKEN_NUMBERS;
+  const commandWords = command.split(/\s+/);
   
   console.log('Extracting candidate number from command:', command);
   
@@ -517,7 +802,7 @@ function handleVotingCommands(command) {
   // Check for word numbers if no numeric match
   if (!candidateNumber) {
     for (const [word, num] of Object.entries(wordNumbers)) {
-      if (command.includes(word)) {
+      if (commandWords.includes(word)) {
         candidateNumber = num;
         console.log('Found candidate number via word:', candidateNumber, 'from word:', word);
         break;
@@ -528,8 +813,8 @@ function handleVotingCommands(command) {
   console.log('Final candidate number:', candidateNumber);
   
   // Handle vote for candidate with various phrasings
-  // If we found a valid candidate number (1-10), check if we're in voting context
-  if (candidateNumber && candidateNumber >= 1 && candidateNumber <= 10) {
+  // If we found a candidate number, check if we're in voting context
+  if (candidateNumber) {
     const votingSection = document.getElementById('voting-section');
     const isVotingVisible = votingSection && votingSection.style.display !== 'none';
     
@@ -545,11 +830,18 @@ function handleVotingCommands(command) {
                           command.includes('select') ||
                           command.includes('choose') ||
                           (isVotingVisible && (command.includes('candidate') || command.includes('number'))) ||
-                          Object.keys(wordNumbers).some(word => command.includes(word)) ||
+                          Object.keys(wordNumbers).some(word => commandWords.includes(word)) ||
                           (isVotingVisible && candidateNumber); // If in voting section and have a number, assume vote
     
     console.log('Is vote command:', isVoteCommand);
     
+    // Candidate numbers come from the contest on screen
+    const contest = getContestOnScreen();
+    if (isVoteCommand && contest && !getElectionCandidate(contest, candidateNumber)) {
+      speak(`There is no candidate ${candidateNumber} in ${contest.title}. Candidates are numbered ${describeCandidateNumbers(contest)}.`);
+      return;
+    }
+
     if (isVoteCommand) {
       console.log('Looking for candidate', candidateNumber, 'vote button');
       
@@ -598,7 +890,7 @@ function handleVotingCommands(command) {
           voteBtn = findVoteButton();
           if (voteBtn) {
             console.log('Found vote button on retry, clicking...', voteBtn);
-            speak(`Voting for candidate ${candidateNumber}...`);
+            speak(`Selecting candidate ${candidateNumber}...`);
             setTimeout(() => {
               voteBtn.click();
             }, 300);
@@ -619,7 +911,7 @@ function handleVotingCommands(command) {
           dataAttr: voteBtn.getAttribute('data-candidate-number'),
           visible: voteBtn.offsetParent !== null
         });
-        speak(`Voting for candidate ${candidateNumber}...`);
+        speak(`Selecting candidate ${candidateNumber}...`);
         // Use setTimeout to ensure click happens after voice feedback
         setTimeout(() => {
           try {
@@ -663,21 +955,187 @@ function handleVotingCommands(command) {
   // Default help message
   const verifySection = document.getElementById('face-verify-section');
   const votingSection = document.getElementById('voting-section');
+  const reviewSection = document.getElementById('review-section');
   
   if (verifySection && verifySection.style.display !== 'none') {
     speak('Say "Verify identity" to begin verification, or "Go back" to return to home.');
   } else if (votingSection && votingSection.style.display !== 'none') {
-    speak('Say "Vote for candidate" followed by the number, "Read candidate list", or "Go back".');
+    const contest = getContestOnScreen();
+    if (contest && contest.method === 'ranked') {
+      speak('Say "Rank candidate" followed by the number and a position, for example "Rank candidate 3 first". You can also say "Clear ranking", "Read candidate list", "Next contest", "Previous contest", or "Review ballot".');
+    } else if (contest && contest.method === 'approval') {
+      speak('Say "Vote for candidate" followed by the number to approve or remove a candidate. You can also say "Clear choices", "Read candidate list", "Next contest", "Previous contest", or "Review ballot".');
+    } else {
+      speak('Say "Vote for candidate" followed by the number, "None of the above", "Abstain", "Read candidate list", "Next contest", "Previous contest", or "Review ballot".');
+    }
+  } else if (reviewSection && reviewSection.style.display !== 'none') {
+    speak('Say "Read my selections", "Change contest" followed by its number, or "Cast ballot".');
   } else {
     speak('Say "Verify identity" to begin, "Vote for candidate" followed by the number, or "Read candidate list".');
   }
 }
 
+/**
+ * Handle voice commands on the election results page
+ * @param {string} command - Normalized command
+ */
+function handleAdminCommands(command) {
+  const resultsSection = document.getElementById('results-section');
+  if (!resultsSection || resultsSection.style.display === 'none') {
+    if (command.includes('login') || command.includes('log in')) {
+      const loginBtn = document.getElementById('btn-official-login');
+      if (loginBtn) {
+        loginBtn.click();
+      }
+    } else {
+      speak('Enter your official username and password, then say "Login".');
+    }
+    return;
+  }
+
+  // Answer the "Close the Poll" confirmation first
+  const confirmBtn = document.getElementById('modal-confirm-btn');
+  if (confirmBtn) {
+    if (command.includes('confirm') || command.includes('yes')) {
+      confirmBtn.click();
+    } else if (command.includes('cancel') || command.includes('no')) {
+      document.getElementById('modal-cancel-btn').click();
+    } else {
+      speak('Say "Confirm" to close the poll, or "Cancel".');
+    }
+    return;
+  }
+
+  const unlockPanel = document.getElementById('unlock-panel');
+  if (unlockPanel && unlockPanel.style.display !== 'none' &&
+      (command.includes('unlock') || command.includes('decrypt') || command.includes('key'))) {
+    const keyInput = document.getElementById('election-key-input');
+    if (command.includes('unlock') && keyInput.value.trim() !== '') {
+      document.getElementById('btn-unlock-ballots').click();
+    } else {
+      keyInput.focus();
+      speak('Paste the election private key, or your key shares one per line, then say "Unlock".');
+    }
+    return;
+  }
+
+  if (command.includes('audit') || command.includes('activity')) {
+    handleAuditCommand(command);
+  } else if (command.includes('booth') || command.includes('import') || command.includes('bundle')) {
+    handleBoothCommand(command);
+  } else if (command.includes('verify') || command.includes('check the log') || command.includes('check log')) {
+    speak('Verifying the ballot log.');
+    document.getElementById('btn-verify-log').click();
+  } else if (command.includes('export')) {
+    document.getElementById('btn-export-log').click();
+  } else if (command.includes('close poll') || command.includes('close the poll')) {
+    document.getElementById('btn-close-poll').click();
+  } else if (command.includes('extend')) {
+    const closesAtInput = document.getElementById('poll-closes-at-input');
+    closesAtInput.focus();
+    speak('Enter the new closing time and the reason, then press "Extend Polling".');
+  } else if (command.includes('poll') || command.includes('schedule')) {
+    speak(document.getElementById('poll-schedule-status').textContent);
+  } else if (command.includes('read') || command.includes('results')) {
+    document.getElementById('btn-read-results').click();
+  } else if (command.includes('refresh') || command.includes('update')) {
+    speak('Refreshing results.');
+    document.getElementById('btn-refresh-results').click();
+  } else if (command.includes('logout') || command.includes('log out') || command.includes('sign out')) {
+    document.getElementById('btn-official-logout').click();
+  } else {
+    speak('Say "Unlock", "Read results", "Refresh", "Verify ballot log", "Export ballot log", "Export booth", "Import bundles", "Booth results", "Show audit log", "Export audit log", "Poll status", "Extend poll", "Close poll", or "Log out".');
+  }
+}
+
+/**
+ * Handle the polling booth commands on the election results page
+ * @param {string} command - Normalized command
+ */
+function handleBoothCommand(command) {
+  const fileInput = document.getElementById('booth-bundle-input');
+  if (command.includes('export')) {
+    document.getElementById('btn-export-booth').click();
+  } else if (command.includes('import')) {
+    if (fileInput.files.length > 0) {
+      document.getElementById('btn-import-booths').click();
+    } else {
+      fileInput.focus();
+      speak('Choose the booth bundle files, then say "Import bundles".');
+    }
+  } else if (command.includes('clear')) {
+    document.getElementById('btn-clear-booths').click();
+  } else {
+    const readButton = document.getElementById('btn-read-booth-results');
+    if (readButton) {
+      readButton.click();
+    } else {
+      speak(document.getElementById('booth-results').textContent.trim() ||
+        'No booth bundles are imported. Choose the booth bundle files, then say "Import bundles".');
+    }
+  }
+}
+
+/**
+ * Handle the audit log commands on the election results page. The filters
+ * are set in the form; "Show audit log" reads out what matches them.
+ * @param {string} command - Normalized command
+ */
+function handleAuditCommand(command) {
+  if (command.includes('export')) {
+    document.getElementById('btn-export-audit').click();
+  } else if (command.includes('clear') || command.includes('reset')) {
+    document.getElementById('btn-reset-audit').click();
+    speak('Audit filters cleared.');
+  } else {
+    document.getElementById('btn-load-audit').click();
+  }
+}
+
+/**
+ * Handle voice commands on the receipt check page
+ * @param {string} command - Normalized command
+ */
+function handleReceiptCommands(command) {
+  const input = document.getElementById('receipt-code-input');
+  const codeMatch = command.match(/\bcode\b(.*)$/);
+  if (codeMatch && codeMatch[1].trim() !== '') {
+    // Spoken characters come as words: "seven k three p ..."
+    const spoken = { 'zero': '0', 'oh': '0' };
+    input.value = codeMatch[1].trim().split(/\s+/)
+      .map(word => spoken[word] || (SPOKEN_NUMBERS[word] < 10 ? String(SPOKEN_NUMBERS[word]) : word))
+      .join('')
+      .toUpperCase();
+    const code = normalizeReceiptCode(input.value);
+    if (code) {
+      speak(`I heard ${spellReceiptCode(code)}. Say "Check" to check it, or "Clear" to start again.`);
+    } else {
+      speak(`I heard ${input.value.split('').join(' ')}. That is not a full receipt code. Say "Clear" to start again.`);
+    }
+  } else if (command.includes('check') || command.includes('submit') || command.includes('verify')) {
+    document.getElementById('btn-check-receipt').click();
+  } else if (command.includes('clear')) {
+    input.value = '';
+    input.focus();
+    speak('Cleared. Say "Code" followed by your receipt code.');
+  } else if (command.includes('read') || command.includes('result')) {
+    speak(lastReceiptMessage || 'No receipt has been checked yet.');
+  } else if (command.includes('login') || command.includes('back') || command.includes('home')) {
+    speak('Going to the login page...');
+    redirectTo('index.html');
+  } else {
+    speak('Say "Code" followed by your receipt code, then "Check". You can also say "Clear", "Read result", or "Go back".');
+  }
+}
+
 /**
  * Handle voice commands on face verification page
  * @param {string} command - Normalized command
  */
 function handleFaceVerificationCommands(command) {
+  if (handleFallbackCommand(command)) {
+    return;
+  }
   if (command.includes('start') || command.includes('verify') || command.includes('begin')) {
     const startBtn = document.getElementById('btn-start-verification');
     if (startBtn) {
@@ -694,6 +1152,32 @@ function handleFaceVerificationCommands(command) {
   }
 }
 
+/**
+ * Handle voice commands on face enrollment page
+ * @param {string} command - Normalized command
+ */
+function handleFaceEnrollmentCommands(command) {
+  if (command.includes('retry') || command.includes('try again')) {
+    const retryBtn = document.getElementById('btn-retry');
+    if (retryBtn) {
+      retryBtn.click();
+    }
+  } else if (command.includes('start') || command.includes('enroll') || command.includes('begin')) {
+    const startBtn = document.getElementById('btn-start-enrollment');
+    if (startBtn && !startBtn.disabled) {
+      speak('Starting face enrollment...');
+      startBtn.click();
+    }
+  } else if (command.includes('cancel')) {
+    const cancelBtn = document.getElementById('btn-cancel');
+    if (cancelBtn) {
+      cancelBtn.click();
+    }
+  } else {
+    speak('Say "Start enrollment" to begin, or "Cancel" to go back to login.');
+  }
+}
+
 // ============================================
 // Content Reading Functions
 // ============================================
@@ -726,6 +1210,20 @@ function readPageContent() {
  * Read candidate list aloud
  */
 function readCandidateList() {
+  const contest = getContestOnScreen();
+  if (contest) {
+    let text = `${contest.title}. There are ${contest.candidates.length} candidates. `;
+    contest.candidates.forEach((candidate) => {
+      text += `Candidate ${candidate.number}: ${candidate.name}. ${candidate.party}. Symbol: ${candidate.symbol}. ${candidate.description} `;
+    });
+    if (contest.nota) {
+      text += 'You can also choose None of the Above to vote for no candidate. ';
+    }
+    text += 'Or say "Abstain" to leave this contest blank.';
+    speak(text);
+    return;
+  }
+
   const candidates = document.querySelectorAll('.card');
   if (candidates.length === 0) {
     speak('No candidates found.');
@@ -751,13 +1249,24 @@ function announceNavigation(pageName) {
   speak(`You are now on the ${pageName} page.`);
 }
 
+/**
+ * Read out who is logged in, with the Aadhar Number masked (see aadhar.js)
+ */
+async function readProfile() {
+  const aadhar = typeof getCurrentSession === 'function' ? await getCurrentSession() : null;
+  if (!aadhar) {
+    return;
+  }
+  speak(`Profile menu. You are logged in with ${describeMaskedAadhar(aadhar)}. Say "Change password" or "Log out".`);
+}
+
 /**
  * Handle logout command
  */
-function handleLogoutCommand() {
+async function handleLogoutCommand() {
   speak('Logging out...');
   if (typeof clearSession === 'function') {
-    clearSession();
+    await clearSession();
   }
   if (typeof redirectTo === 'function') {
     redirectTo('index.html');
@@ -795,7 +1304,7 @@ function initVoiceForPage(page, autoStart = true) {
   // Read page content on load (with delay for page to render)
   setTimeout(() => {
     if (page === 'home') {
-      speak('Welcome to the home page. Say "Go to voting page", "Read rules", "Open profile", or "Log out".');
+      speak(`Welcome to the home page. ${getPollAnnouncementText()} Say "Go to voting page", "Poll status", "Read rules", "Open profile", or "Log out".`.replace(/\s+/g, ' '));
     } else if (page === 'voting') {
       speak('You are on the voting page. Say "Vote for candidate" followed by the number, or "Read candidate list".');
     }